@@ -0,0 +1,236 @@
+// Replays the saved search-page snapshots through each adapter's real in-page extraction, on jsdom and, when
+// a local Chromium is installed (the one `npm install` downloads for Puppeteer), in the browser. No network is used.
+// REQUIRE_CHROMIUM=1 (set it in CI) fails the run instead of skipping the browser suite.
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const adapters = require('../adapters');
+const { replaySnapshot, replaySnapshotInDom, readSnapshot, listSnapshots, domPage } = require('../lib/snapshots');
+const { inspectPage } = require('../lib/extract');
+
+function hasChromium() {
+  try {
+    return fs.existsSync(puppeteer.executablePath());
+  } catch (e) {
+    return false;
+  }
+}
+
+const chromium = hasChromium();
+const describeWithBrowser = chromium ? describe : describe.skip;
+
+const expected = {
+  amazon: [
+    {
+      id: 'amazon:B0CHX1W1XY',
+      platform: 'Amazon',
+      name: 'Apple iPhone 15 (128 GB) - Black',
+      price: 69900,
+      currency: 'INR',
+      mrp: null,
+      discountPercent: null,
+      image: 'https://m.media-amazon.com/images/I/71657TiFeHL._AC_UY218_.jpg',
+      rating: 4.5,
+      link: 'https://amazon.in/Apple-iPhone-15-128-GB-Black/dp/B0CHX1W1XY/ref=sr_1_1',
+      sponsored: false
+    },
+    {
+      id: 'amazon:B0CX5ZMVJG',
+      platform: 'Amazon',
+      name: 'Spigen Ultra Hybrid Back Cover Case for iPhone 15',
+      price: 1299,
+      currency: 'INR',
+      mrp: null,
+      discountPercent: null,
+      image: 'https://m.media-amazon.com/images/I/61f4dTush1L._AC_UY218_.jpg',
+      rating: 4.3,
+      link: 'https://amazon.in/sspa/click?ie=UTF8&spc=MTo&url=%2FSpigen-Ultra-Hybrid-iPhone-15%2Fdp%2FB0CX5ZMVJG',
+      sponsored: true
+    },
+    {
+      id: 'amazon:B0CHWV2WYK',
+      platform: 'Amazon',
+      name: 'Apple iPhone 15 (256 GB) - Blue',
+      price: 79900,
+      currency: 'INR',
+      mrp: null,
+      discountPercent: null,
+      image: 'https://m.media-amazon.com/images/I/71v2jVh6nIL._AC_UY218_.jpg',
+      rating: 4.4,
+      link: 'https://amazon.in/dp/B0CHWV2WYK',
+      sponsored: false
+    }
+  ],
+  flipkart: [
+    {
+      id: 'flipkart:MOBGTAGPTB3VS24W',
+      platform: 'Flipkart',
+      name: 'Apple iPhone 15 (Black, 128 GB)',
+      price: 65999,
+      currency: 'INR',
+      mrp: 79900,
+      discountPercent: 17,
+      image: 'https://rukminim2.flixcart.com/image/312/312/xif0q/mobile/h/d/9/-original-imagtc2qzgnnuhxh.jpeg',
+      rating: 4.6,
+      link: 'https://flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W&lid=LSTMOBGTAGPTB3VS24WKFODHL',
+      sponsored: false
+    },
+    {
+      id: 'flipkart:MOBGTAGPNMZA5PU4',
+      platform: 'Flipkart',
+      name: 'Apple iPhone 15 (Blue, 256 GB)',
+      price: 75999,
+      currency: 'INR',
+      mrp: null,
+      discountPercent: null,
+      image: 'https://rukminim2.flixcart.com/image/312/312/xif0q/mobile/k/l/l/-original-imagtc2qzhhhrbuf.jpeg',
+      rating: null,
+      link: 'https://flipkart.com/apple-iphone-15-blue-256-gb/p/itmc3b3d1e5ee7f4?pid=MOBGTAGPNMZA5PU4',
+      sponsored: false
+    },
+    {
+      id: 'flipkart:ACCGTBVZHKZQZKXN',
+      platform: 'Flipkart',
+      name: 'Spigen Back Cover for Apple iPhone 15',
+      price: 1099,
+      currency: 'INR',
+      mrp: null,
+      discountPercent: null,
+      image: null,
+      rating: 4.4,
+      link: 'https://flipkart.com/spigen-back-cover-apple-iphone-15/p/itm5c1d9f0e7a6b2?pid=ACCGTBVZHKZQZKXN',
+      sponsored: true
+    }
+  ],
+  myntra: [
+    {
+      id: 'myntra:24535346',
+      platform: 'Myntra',
+      name: 'iPhone 15 Silicone Case with MagSafe',
+      price: 4900,
+      currency: 'INR',
+      mrp: 5900,
+      discountPercent: 17,
+      image: 'https://assets.myntassets.com/h_720,q_90,w_540/v1/assets/images/24535346/2023/9/13/case.jpg',
+      rating: 4.3,
+      link: 'https://myntra.com/mobile-accessories/apple/apple-iphone-15-silicone-case-with-magsafe/24535346/buy',
+      sponsored: false
+    },
+    {
+      id: 'myntra:25190832',
+      platform: 'Myntra',
+      name: 'iPhone 15 Ultra Hybrid Clear Case',
+      price: 1274,
+      currency: 'INR',
+      mrp: null,
+      discountPercent: null,
+      image: 'https://assets.myntassets.com/h_720,q_90,w_540/v1/assets/images/25190832/2023/10/2/spigen.jpg',
+      rating: null,
+      link: 'https://myntra.com/mobile-accessories/spigen/spigen-iphone-15-ultra-hybrid-case/25190832/buy',
+      sponsored: false
+    }
+  ],
+  snapdeal: [
+    {
+      id: 'snapdeal:638457385946',
+      platform: 'Snapdeal',
+      name: 'Case Creation Back Cover for Apple iPhone 15',
+      price: 299,
+      currency: 'INR',
+      mrp: 999,
+      discountPercent: 70,
+      image: 'https://g.sdlcdn.com/imgs/k/n/8/230X258_sharpened/iphone15case.jpg',
+      rating: 4.1,
+      link: 'https://www.snapdeal.com/product/case-creation-back-cover-for-apple-iphone-15/638457385946',
+      sponsored: false
+    },
+    {
+      id: 'snapdeal:660871298812',
+      platform: 'Snapdeal',
+      name: 'Tempered Glass Screen Guard for iPhone 15 (Pack of 2)',
+      price: 1049,
+      currency: 'INR',
+      mrp: null,
+      discountPercent: null,
+      image: null,
+      rating: null,
+      link: 'https://www.snapdeal.com/product/tempered-glass-for-iphone-15/660871298812',
+      sponsored: false
+    }
+  ]
+};
+
+test('every adapter has a recorded snapshot', () => {
+  for (const site of adapters.list()) {
+    expect(listSnapshots(site)).toContain('iphone-15');
+  }
+});
+
+test('every snapshot says when it was recorded, or that it was written by hand', () => {
+  for (const site of adapters.list()) {
+    for (const name of listSnapshots(site)) {
+      const { meta } = readSnapshot(site, name);
+      expect([`${site}/${name}`, meta.site, typeof meta.url]).toEqual([`${site}/${name}`, site, 'string']);
+      if (meta.handBuilt) expect(meta.recordedAt).toBeNull();
+      else expect([`${site}/${name}`, Number.isNaN(Date.parse(meta.recordedAt))]).toEqual([`${site}/${name}`, false]);
+    }
+  }
+});
+
+describe('adapter snapshot replay on jsdom', () => {
+  test.each(Object.keys(expected))('%s extracts the recorded results', async (site) => {
+    expect(await replaySnapshotInDom(adapters.get(site), 'iphone-15')).toEqual(expected[site]);
+  });
+
+  test.each([
+    ['amazon', 'captcha', 'captcha'],
+    ['flipkart', 'no-results', 'empty']
+  ])('%s/%s is classified as %s', async (site, name, status) => {
+    const adapter = adapters.get(site);
+    const { html, meta } = readSnapshot(site, name);
+    expect(await replaySnapshotInDom(adapter, name)).toEqual([]);
+    expect((await inspectPage(domPage(html, meta.url), adapter)).status).toBe(status);
+  });
+});
+
+if (!chromium) {
+  test('Chromium snapshot replay is skipped without a local Chromium (REQUIRE_CHROMIUM=1 fails instead)', () => {
+    if (process.env.REQUIRE_CHROMIUM) throw new Error('REQUIRE_CHROMIUM is set but Puppeteer\'s Chromium is not installed (npx puppeteer browsers install chrome)');
+    console.warn('Skipping the Chromium snapshot replay: Puppeteer\'s Chromium is not installed. Set REQUIRE_CHROMIUM=1 to fail instead.');
+  });
+}
+
+describeWithBrowser('adapter snapshot replay in Chromium', () => {
+  let browser;
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+  }, 30000);
+
+  afterAll(async () => {
+    if (browser) await browser.close();
+  });
+
+  test.each(Object.keys(expected))('%s extracts the recorded results', async (site) => {
+    const page = await browser.newPage();
+    try {
+      const products = await replaySnapshot(page, adapters.get(site), 'iphone-15');
+      expect(products).toEqual(expected[site]);
+    } finally {
+      await page.close();
+    }
+  }, 30000);
+
+  test.each([
+    ['amazon', 'captcha', 'captcha'],
+    ['flipkart', 'no-results', 'empty']
+  ])('%s/%s is classified as %s', async (site, name, status) => {
+    const page = await browser.newPage();
+    try {
+      const adapter = adapters.get(site);
+      expect(await replaySnapshot(page, adapter, name)).toEqual([]);
+      expect((await inspectPage(page, adapter)).status).toBe(status);
+    } finally {
+      await page.close();
+    }
+  }, 30000);
+});
@@ -0,0 +1,49 @@
+const { withDeadline, mapWithConcurrency } = require('../lib/async');
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('withDeadline settles with the promise and clears its timer', async () => {
+  jest.useFakeTimers();
+  await expect(withDeadline(Promise.resolve('page'), 1000)).resolves.toBe('page');
+  await expect(withDeadline(Promise.reject(new Error('net::ERR_CONNECTION_RESET')), 1000)).rejects.toThrow('net::ERR_CONNECTION_RESET');
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('withDeadline rejects with ETIMEDOUT when the promise is too slow', async () => {
+  jest.useFakeTimers();
+  const slow = withDeadline(new Promise(() => {}), 1000, 'amazon timed out after 1000ms');
+  jest.advanceTimersByTime(1000);
+  await expect(slow).rejects.toMatchObject({ code: 'ETIMEDOUT', message: 'amazon timed out after 1000ms' });
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('mapWithConcurrency keeps at most `limit` calls in flight and results in input order', async () => {
+  const pending = [];
+  let inFlight = 0;
+  let most = 0;
+  const run = mapWithConcurrency(['amazon', 'flipkart', 'myntra', 'snapdeal', 'ajio'], 2, (site, i) => {
+    inFlight++;
+    most = Math.max(most, inFlight);
+    return new Promise(resolve => pending.push({ i, resolve: () => { inFlight--; resolve(`${site}:${i}`); } }));
+  });
+
+  // finish the calls out of order; each finished one lets the next site start
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  await tick();
+  expect(pending.map(p => p.i)).toEqual([0, 1]);
+  pending[1].resolve();
+  await tick();
+  pending[0].resolve();
+  await tick();
+  expect(pending.map(p => p.i)).toEqual([0, 1, 2, 3]);
+  pending[3].resolve();
+  pending[2].resolve();
+  await tick();
+  pending[4].resolve();
+
+  expect(await run).toEqual(['amazon:0', 'flipkart:1', 'myntra:2', 'snapdeal:3', 'ajio:4']);
+  expect(most).toBe(2);
+  expect(await mapWithConcurrency([], 4, () => { throw new Error('not called'); })).toEqual([]);
+});
@@ -0,0 +1,48 @@
+const { requireKey, originPolicy } = require('../lib/auth');
+const { NOOP_LOGGER } = require('../lib/logger');
+
+const API_KEY = 'k3y-for-the-extension-0001';
+const ADMIN_KEY = 'k3y-for-the-operators-0001';
+
+function call(middleware, { headers = {}, query = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const req = { get: (name) => lower[name.toLowerCase()], query, path: '/api/compare-prices', log: NOOP_LOGGER };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body, headers: res.headers };
+}
+
+test('requireKey takes X-API-Key or a bearer token and tells missing from wrong keys apart', () => {
+  const guard = requireKey([API_KEY, ADMIN_KEY]);
+  expect(call(guard, { headers: { 'X-API-Key': API_KEY } }).passed).toBe(true);
+  expect(call(guard, { headers: { Authorization: `Bearer ${ADMIN_KEY}` } }).passed).toBe(true);
+  expect(call(guard)).toMatchObject({ passed: false, status: 401, headers: { 'WWW-Authenticate': 'Bearer realm="api"' } });
+  expect(call(guard, { headers: { 'X-API-Key': 'k3y-for-the-extension-0002' } })).toMatchObject({ passed: false, status: 403, body: { error: 'Invalid API key' } });
+  // only routes that opt in read the key from the query string
+  expect(call(guard, { query: { apiKey: API_KEY } }).status).toBe(401);
+  expect(call(requireKey([API_KEY], { allowQuery: true }), { query: { apiKey: API_KEY } }).passed).toBe(true);
+  expect(call(requireKey([])).passed).toBe(true);
+});
+
+test('originPolicy allows listed extensions and origins, and any local origin only when asked', () => {
+  const id = 'abcdefghijklmnopabcdefghijklmnop';
+  const strict = originPolicy({ extensionIds: [id], origins: ['https://prices.example.com'] });
+  expect(strict(undefined)).toBe(true);
+  expect(strict(`chrome-extension://${id}`)).toBe(true);
+  expect(strict('https://prices.example.com')).toBe(true);
+  expect(strict('chrome-extension://ponmlkjihgfedcbaponmlkjihgfedcba')).toBe(false);
+  expect(strict('http://localhost:5173')).toBe(false);
+  expect(strict('https://evil.example')).toBe(false);
+
+  const local = originPolicy({ anyLocal: true });
+  expect(local('chrome-extension://ponmlkjihgfedcbaponmlkjihgfedcba')).toBe(true);
+  expect(local('http://localhost:5173')).toBe(true);
+  expect(local('https://evil.example')).toBe(false);
+});
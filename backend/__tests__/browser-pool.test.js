@@ -0,0 +1,139 @@
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('../lib/browser-pool');
+
+// Just enough of a Puppeteer browser for the pool
+class FakeBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.closed = false;
+    this.pages = 0;
+    this.healthy = true;
+  }
+  isConnected() { return this.connected; }
+  async newPage() {
+    this.pages++;
+    return {
+      setUserAgent: async () => {},
+      setViewport: async () => {},
+      setDefaultNavigationTimeout: () => {},
+      close: async () => { this.pages--; }
+    };
+  }
+  async version() {
+    if (!this.healthy) throw new Error('Protocol error: no response');
+    return 'HeadlessChrome/117';
+  }
+  async close() { this.closed = true; this.connected = false; }
+  crash() {
+    this.connected = false;
+    this.emit('disconnected');
+  }
+}
+
+function makePool(options = {}) {
+  const launched = [];
+  const pool = new BrowserPool(Object.assign({
+    healthCheckMs: 0,
+    launch: async () => {
+      const browser = new FakeBrowser();
+      launched.push(browser);
+      return browser;
+    }
+  }, options));
+  return { pool, launched };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Holds a page open until release() is called
+function holdPage(pool) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const run = pool.withPage(() => done);
+  return { run, release };
+}
+
+test('caps open pages per browser and queues the rest', async () => {
+  const { pool, launched } = makePool({ size: 1, maxPagesPerBrowser: 2 });
+  const a = holdPage(pool);
+  await tick();
+  const b = holdPage(pool);
+  const c = holdPage(pool);
+  await tick();
+  expect(launched).toHaveLength(1);
+  expect(launched[0].pages).toBe(2);
+  expect(pool.stats()).toMatchObject({ openPages: 2, availablePages: 0, waiting: 1 });
+
+  a.release();
+  await a.run;
+  await tick();
+  expect(pool.stats()).toMatchObject({ openPages: 2, waiting: 0 });
+  b.release();
+  c.release();
+  await Promise.all([b.run, c.run]);
+  expect(launched[0].pages).toBe(0);
+  expect(pool.stats()).toMatchObject({ availablePages: 2, counters: { pagesServed: 3 } });
+});
+
+test('recycles a browser after recyclePages pages', async () => {
+  const { pool, launched } = makePool({ size: 1, recyclePages: 2 });
+  await pool.withPage(async () => {});
+  await pool.withPage(async () => {});
+  await tick();
+  expect(launched[0].closed).toBe(true);
+  expect(launched).toHaveLength(2);
+  expect(pool.stats()).toMatchObject({ browsers: [{ id: 2, pagesServed: 0 }], counters: { recycled: 1 } });
+});
+
+test('recycles by age once the open pages finish', async () => {
+  let t = 0;
+  const { pool, launched } = makePool({ size: 1, recycleMs: 1000, now: () => t });
+  const held = holdPage(pool);
+  await tick();
+  t = 1000;
+  await pool.checkHealth();
+  expect(launched[0].closed).toBe(false);
+  held.release();
+  await held.run;
+  await tick();
+  expect(launched[0].closed).toBe(true);
+});
+
+test('replaces crashed and unhealthy browsers', async () => {
+  const { pool, launched } = makePool({ size: 2 });
+  await pool.start();
+  expect(launched).toHaveLength(2);
+
+  launched[0].crash();
+  await tick();
+  launched[1].healthy = false;
+  await pool.checkHealth();
+  await tick();
+  expect(launched[1].closed).toBe(true);
+  expect(launched).toHaveLength(4);
+  expect(pool.stats().browsers.map(b => b.id)).toEqual([3, 4]);
+  expect(pool.stats().counters).toMatchObject({ crashed: 1, unhealthy: 1 });
+});
+
+test('a browser-level failure retires the browser; a page error does not', async () => {
+  const { pool, launched } = makePool({ size: 1 });
+  await expect(pool.withPage(async () => { throw new Error('Navigation timeout of 30000 ms exceeded'); })).rejects.toThrow('Navigation');
+  expect(launched[0].closed).toBe(false);
+  await expect(pool.withPage(async () => { throw new Error('Protocol error (Runtime.callFunctionOn): Target closed.'); })).rejects.toThrow('Target closed');
+  await tick();
+  expect(launched[0].closed).toBe(true);
+  expect(await pool.withPage(async () => 'ok')).toBe('ok');
+});
+
+test('launch failures reach the caller and destroy closes everything', async () => {
+  const failing = new BrowserPool({ healthCheckMs: 0, launch: async () => { throw new Error('no chromium'); } });
+  await expect(failing.withPage(async () => {})).rejects.toThrow('no chromium');
+  expect(failing.stats().counters.launchFailures).toBe(1);
+
+  const { pool, launched } = makePool({ size: 2 });
+  await pool.start();
+  await pool.destroy();
+  expect(launched.every(b => b.closed)).toBe(true);
+  await expect(pool.withPage(async () => {})).rejects.toThrow('shut down');
+});
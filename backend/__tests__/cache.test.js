@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResultCache, normalizeQuery } = require('../lib/cache');
+
+function clock(start = 1000000) {
+  const fn = () => fn.t;
+  fn.t = start;
+  return fn;
+}
+
+test('keys normalize case and whitespace', () => {
+  expect(normalizeQuery('  iPhone   15 ')).toBe('iphone 15');
+  expect(ResultCache.key('amazon', 'iPhone  15')).toBe(ResultCache.key('amazon', 'iphone 15'));
+  expect(ResultCache.key('amazon', 'iphone 15', 'us')).not.toBe(ResultCache.key('amazon', 'iphone 15'));
+});
+
+test('entries go fresh -> stale -> expired', () => {
+  const now = clock();
+  const cache = new ResultCache({ ttlMs: 100, staleMs: 50, now });
+  cache.set('k', [1]);
+
+  now.t += 100;
+  expect(cache.get('k')).toEqual({ value: [1], storedAt: 1000000, ageMs: 100, fresh: true });
+  now.t += 30;
+  expect(cache.get('k')).toMatchObject({ fresh: false, ageMs: 130 });
+  now.t += 21;
+  expect(cache.get('k')).toBeNull();
+  expect(cache.stats()).toMatchObject({ hits: 1, staleHits: 1, misses: 1, size: 0 });
+});
+
+test('evicts the oldest write beyond maxEntries', () => {
+  const cache = new ResultCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.set('a', 3);
+  cache.set('c', 4);
+  expect(cache.get('b')).toBeNull();
+  expect(cache.get('a').value).toBe(3);
+  expect(cache.get('c').value).toBe(4);
+});
+
+test('persists to and reloads from a file, skipping expired entries', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-'));
+  const file = path.join(dir, 'cache.json');
+  try {
+    const now = clock();
+    const first = new ResultCache({ ttlMs: 100, staleMs: 100, file, now });
+    first.set('old', 'x');
+    now.t += 150;
+    first.set('new', 'y');
+    first.persist();
+
+    now.t += 100;
+    const second = new ResultCache({ ttlMs: 100, staleMs: 100, file, now });
+    expect(second.get('old')).toBeNull();
+    expect(second.get('new')).toMatchObject({ value: 'y', fresh: true });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a file that cannot be read or written is logged, not thrown', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-'));
+  const warnings = [];
+  const log = { warn: (msg, fields) => warnings.push([msg, fields.file, fields.error.code || fields.error.name]) };
+  try {
+    fs.writeFileSync(path.join(dir, 'cache.json'), '{"entries": ');
+    const cache = new ResultCache({ file: path.join(dir, 'cache.json'), log });
+    fs.mkdirSync(path.join(dir, 'cache.json.tmp'));
+    cache.set('a', 1);
+    cache.persist();
+    expect(cache.get('a').value).toBe(1);
+    expect(warnings).toEqual([
+      ['result cache could not be loaded', path.join(dir, 'cache.json'), 'SyntaxError'],
+      ['result cache could not be written', path.join(dir, 'cache.json'), 'EISDIR']
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
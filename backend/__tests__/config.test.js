@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, publicConfig, changedKeys } = require('../lib/config');
+const adapters = require('../adapters');
+
+const SITES = ['amazon', 'flipkart', 'myntra', 'snapdeal'];
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+
+  test('layers defaults, then the file, then env', () => {
+    const file = write('settings.yaml', [
+      'browserPool:',
+      '  size: 4',
+      'scraping:',
+      '  pageTimeoutMs: 20000',
+      'logging:',
+      '  file: null',
+      'sites:',
+      '  myntra:',
+      '    waitTimeoutMs: 15000',
+      '    enabled: false'
+    ].join('\n'));
+    const config = loadConfig({ file, env: { PUPPETEER_POOL_SIZE: '3', BLOCK_REQUESTS: '0', CORS_ORIGINS: 'http://localhost:5173, https://prices.example.com' }, knownSites: SITES });
+
+    expect(config.file).toBe(file);
+    expect(config.env).toEqual(['CORS_ORIGINS', 'BLOCK_REQUESTS', 'PUPPETEER_POOL_SIZE']);
+    expect(config.values.browserPool).toMatchObject({ size: 3, pagesPerBrowser: 2 });
+    expect(config.values.scraping).toMatchObject({ pageTimeoutMs: 20000, siteTimeoutMs: 45000, blockRequests: false });
+    expect(config.values.cors.origins).toEqual(['http://localhost:5173', 'https://prices.example.com']);
+    expect(config.values.logging.file).toBeNull();
+    expect(config.values.priceHistory.file).toBe(path.join(__dirname, '..', 'data', 'price-history.jsonl'));
+    expect(config.values.sites).toEqual({ myntra: { waitTimeoutMs: 15000, enabled: false } });
+  });
+
+  test('lists every problem with the key and where the value came from', () => {
+    const file = write('settings.json', JSON.stringify({
+      browserPool: { size: 0, pages: 2 },
+      logging: { level: 'verbose' },
+      sites: { ebay: { enabled: true }, amazon: { maxItems: '10' } },
+      proxy: {}
+    }));
+    let error;
+    try {
+      loadConfig({ file, env: { PAGE_TIMEOUT_MS: '30s' }, knownSites: SITES });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).toBe('ECONFIG');
+    expect(error.problems).toEqual([
+      'proxy (settings.json): unknown section; expected one of server|cors|auth|rateLimit|scraping|browserPool|cache|searchJobs|logging|priceHistory|exchangeRates|selectorHealth|sites',
+      'scraping.pageTimeoutMs (env PAGE_TIMEOUT_MS): must be an integer, got "30s"',
+      'browserPool.pages (settings.json): unknown key; expected one of size|pagesPerBrowser|recyclePages|recycleMs',
+      'browserPool.size (settings.json): must be between 1 and 32, got 0',
+      'logging.level (settings.json): must be one of debug|info|warn|error, got "verbose"',
+      'sites.ebay (settings.json): unknown site; expected one of amazon|flipkart|myntra|snapdeal',
+      'sites.amazon.maxItems (settings.json): must be an integer, got "10"'
+    ].map(p => p.replace(/settings\.json/, file)));
+    expect(error.message).toMatch(/^Invalid configuration:\n {2}- proxy/);
+  });
+
+  test('production needs API keys and an extension allowlist, and never echoes a secret', () => {
+    const env = { NODE_ENV: 'production', API_KEYS: 'short-key', CORS_ORIGINS: 'chrome-extension://*' };
+    expect(() => loadConfig({ env, knownSites: SITES })).toThrow(expect.objectContaining({
+      problems: [
+        'cors.origins (env CORS_ORIGINS): every entry must be an origin such as https://example.com, got "chrome-extension://*"',
+        'auth.apiKeys (env API_KEYS): every entry must be at least 16 characters',
+        'auth.apiKeys (env API_KEYS): required in production, or anyone who can reach the server can start scrapes',
+        'cors.extensionIds (env CORS_EXTENSION_IDS): required in production; list the extension ids allowed to call the API'
+      ]
+    }));
+    const config = loadConfig({ env: { NODE_ENV: 'production', API_KEYS: 'a-long-enough-api-key,another-long-api-key', CORS_EXTENSION_IDS: 'abcdefghijklmnopabcdefghijklmnop' }, knownSites: SITES });
+    expect(config.values.auth.apiKeys).toHaveLength(2);
+    expect(publicConfig(config.values).auth).toEqual({ apiKeys: ['[redacted]', '[redacted]'], adminKeys: [] });
+  });
+
+  test('reports unreadable files and broken YAML', () => {
+    expect(() => loadConfig({ file: path.join(dir, 'missing.json') })).toThrow(/missing\.json: cannot read the config file \(ENOENT\)/);
+    const file = write('settings.yml', 'scraping:\n  pageTimeoutMs: [1\n');
+    expect(() => loadConfig({ file })).toThrow(expect.objectContaining({ code: 'ECONFIG' }));
+  });
+});
+
+test('publicConfig redacts secret leaves and changedKeys names what moved', () => {
+  const schema = { auth: { keys: { type: 'list', secret: true } }, server: { port: { type: 'integer' } } };
+  expect(publicConfig({ auth: { keys: ['abc'] }, server: { port: 3000 } }, schema)).toEqual({ auth: { keys: ['[redacted]'] }, server: { port: 3000 } });
+
+  const before = { server: { port: 3000 }, sites: { amazon: { maxItems: 8 } } };
+  const after = { server: { port: 3000 }, sites: { amazon: { maxItems: 10 }, myntra: { enabled: false } } };
+  expect(changedKeys(before, after)).toEqual(['sites.amazon.maxItems', 'sites.myntra.enabled']);
+});
+
+describe('adapters.configure', () => {
+  afterEach(() => adapters.configure({}));
+
+  test('applies site settings to every storefront and hides disabled stores', () => {
+    adapters.configure({ amazon: { maxItems: 12, waitTimeoutMs: 4000 }, myntra: { enabled: false } });
+
+    expect(adapters.get('amazon').maxItems).toBe(12);
+    expect(adapters.get('amazon', 'us')).toMatchObject({ maxItems: 12, wait: expect.objectContaining({ timeoutMs: 4000 }) });
+    expect(adapters.get('myntra')).toBeNull();
+    expect(adapters.list()).not.toContain('myntra');
+    expect(adapters.forUrl('https://www.myntra.com/shoes/123/buy')).toBeNull();
+    expect(adapters.all(undefined, { includeDisabled: true }).some(a => a.id === 'myntra')).toBe(true);
+    expect(adapters.ids()).toContain('myntra');
+  });
+});
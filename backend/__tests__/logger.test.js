@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('../lib/logger');
+
+const T0 = Date.UTC(2024, 0, 31, 12, 0, 0);
+
+function memoryLogger(options = {}) {
+  const lines = [];
+  let t = T0;
+  const logger = new Logger(Object.assign({ level: 'debug', write: line => lines.push(JSON.parse(line)), now: () => t }, options));
+  return { logger, lines, advance: (ms) => { t += ms; } };
+}
+
+test('child loggers stamp their context on every entry', () => {
+  const { logger, lines } = memoryLogger();
+  const request = logger.child({ requestId: 'req-1' });
+  request.child({ site: 'amazon' }).warn('site failed', { status: 'captcha', reason: 'captcha page (#captcha)' });
+  request.info('search finished', { total: 0 });
+  expect(lines).toEqual([
+    { time: '2024-01-31T12:00:00.000Z', level: 'warn', msg: 'site failed', requestId: 'req-1', site: 'amazon', status: 'captcha', reason: 'captcha page (#captcha)' },
+    { time: '2024-01-31T12:00:00.000Z', level: 'info', msg: 'search finished', requestId: 'req-1', total: 0 }
+  ]);
+});
+
+test('drops entries below the level and serializes errors', () => {
+  const { logger, lines } = memoryLogger({ level: 'info' });
+  logger.debug('page acquired');
+  logger.error('search failed', { error: Object.assign(new Error('Target closed'), { code: 'ECLOSED' }) });
+  expect(lines).toHaveLength(1);
+  expect(lines[0].error).toMatchObject({ message: 'Target closed', code: 'ECLOSED', stack: expect.stringContaining('Target closed') });
+  expect(() => new Logger({ level: 'verbose' })).toThrow('Log level must be one of');
+});
+
+test('query filters buffered entries by level, site, request and time', () => {
+  const { logger, advance } = memoryLogger();
+  const a = logger.child({ requestId: 'a' });
+  const b = logger.child({ requestId: 'b', searchId: 'job-1' });
+  a.child({ site: 'amazon' }).debug('search page loaded');
+  advance(1000);
+  a.child({ site: 'amazon' }).warn('site failed');
+  b.child({ site: 'flipkart' }).info('site finished');
+  advance(1000);
+  b.info('search finished');
+
+  expect(logger.query({ requestId: 'a' }).map(e => e.msg)).toEqual(['search page loaded', 'site failed']);
+  expect(logger.query({ level: 'info' }).map(e => e.msg)).toEqual(['site failed', 'site finished', 'search finished']);
+  expect(logger.query({ site: 'flipkart' }).map(e => e.requestId)).toEqual(['b']);
+  expect(logger.query({ searchId: 'job-1', since: T0 + 2000 }).map(e => e.msg)).toEqual(['search finished']);
+  expect(logger.query({ until: T0 + 999 })).toHaveLength(1);
+  expect(logger.query({ limit: 2 }).map(e => e.msg)).toEqual(['site finished', 'search finished']);
+});
+
+describe('log file', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('rotates by size and keeps maxFiles old files', () => {
+    const file = path.join(dir, 'logs', 'server.log');
+    const { logger } = memoryLogger({ file, maxBytes: 200, maxFiles: 2, write: () => {} });
+    for (let i = 0; i < 12; i++) logger.info('scrape attempt failed', { attempt: i });
+
+    expect(fs.readdirSync(path.join(dir, 'logs')).sort()).toEqual(['server.log', 'server.log.1', 'server.log.2']);
+    const current = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(current[current.length - 1]).toMatchObject({ msg: 'scrape attempt failed', attempt: 11 });
+    for (const name of ['server.log', 'server.log.1']) {
+      expect(fs.statSync(path.join(dir, 'logs', name)).size).toBeLessThanOrEqual(200);
+    }
+  });
+});
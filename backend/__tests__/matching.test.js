@@ -0,0 +1,76 @@
+const { extractAttributes, normalizeTitle, isSameProduct, groupProducts } = require('../lib/matching');
+
+const listing = (platform, name, price) => ({ platform, name, price });
+
+describe('extractAttributes', () => {
+  test('pulls brand, storage and RAM out of a phone title', () => {
+    expect(extractAttributes('SAMSUNG Galaxy S23 5G (Phantom Black, 8GB RAM, 128 GB Storage)')).toMatchObject({
+      brand: 'samsung',
+      storage: '128gb',
+      ram: '8gb',
+      modelNumbers: ['s23'],
+      variants: [],
+      accessory: false
+    });
+  });
+
+  test('infers the brand from a product line and keeps variants', () => {
+    expect(extractAttributes('iPhone 15 Pro Max (1 TB) - Natural Titanium')).toMatchObject({
+      brand: 'apple',
+      storage: '1tb',
+      modelNumbers: ['15'],
+      variants: ['max', 'pro']
+    });
+  });
+
+  test('flags accessories', () => {
+    expect(extractAttributes('Case Creation Back Cover for Apple iPhone 15').accessory).toBe(true);
+  });
+});
+
+test('normalizeTitle drops colour, packaging and filler words', () => {
+  expect(normalizeTitle('Apple iPhone 15 (128 GB) - Black')).toBe('apple iphone 15');
+  expect(normalizeTitle('Apple iPhone 15 (Black, 128 GB)')).toBe('apple iphone 15');
+  expect(normalizeTitle('boAt Airdopes 141 (Pack of 1, Bold Black)')).toBe('boat airdopes 141 1 bold');
+});
+
+describe('isSameProduct', () => {
+  const same = (a, b) => isSameProduct(extractAttributes(a), extractAttributes(b));
+
+  test('matches the same phone listed differently', () => {
+    expect(same('Apple iPhone 15 (128 GB) - Black', 'Apple iPhone 15 (Blue, 128 GB)')).toBe(true);
+  });
+
+  test('keeps storage, model and variant apart', () => {
+    expect(same('Apple iPhone 15 (128 GB)', 'Apple iPhone 15 (256 GB)')).toBe(false);
+    expect(same('Apple iPhone 15 (128 GB)', 'Apple iPhone 14 (128 GB)')).toBe(false);
+    expect(same('Apple iPhone 15 (128 GB)', 'Apple iPhone 15 Pro (128 GB)')).toBe(false);
+  });
+
+  test('never matches a product with its accessory', () => {
+    expect(same('Apple iPhone 15', 'Apple iPhone 15 Silicone Case')).toBe(false);
+  });
+});
+
+test('groupProducts builds clusters with cheapest offer and price spread', () => {
+  const clusters = groupProducts([
+    listing('Amazon', 'Apple iPhone 15 (128 GB) - Black', 69900),
+    listing('Flipkart', 'Apple iPhone 15 (Black, 128 GB)', 65999),
+    listing('Amazon', 'Apple iPhone 15 (256 GB) - Blue', 79900),
+    listing('Snapdeal', 'Case Creation Back Cover for Apple iPhone 15', 299),
+    listing('Myntra', 'iPhone 15 Silicone Case with MagSafe', 4900)
+  ]);
+
+  expect(clusters.map(c => c.key)).toEqual([
+    'apple case creation 15',
+    'apple iphone silicone 15',
+    'apple iphone 15 128gb',
+    'apple iphone 15 256gb'
+  ]);
+
+  const phone = clusters[2];
+  expect(phone.cheapest).toEqual(listing('Flipkart', 'Apple iPhone 15 (Black, 128 GB)', 65999));
+  expect(phone.platforms).toEqual(['Flipkart', 'Amazon']);
+  expect(phone.offers.map(o => o.price)).toEqual([65999, 69900]);
+  expect(phone.priceSpread).toEqual({ min: 65999, max: 69900, difference: 3901, percent: 5.6 });
+});
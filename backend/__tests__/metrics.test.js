@@ -0,0 +1,55 @@
+const { MetricsRegistry } = require('../lib/metrics');
+
+test('renders labelled counters and collected gauges', () => {
+  const registry = new MetricsRegistry({ prefix: 'app_' });
+  const requests = registry.counter('requests_total', 'Requests', { labels: ['route', 'status'] });
+  requests.inc({ route: '/api/compare-prices', status: 200 });
+  requests.inc({ route: '/api/compare-prices', status: 200 }, 2);
+  requests.inc({ route: 'say "hi"\n', status: 500 });
+  let open = 3;
+  registry.gauge('open_pages', 'Open pages', { collect: () => open });
+  open = 1;
+
+  expect(registry.render()).toBe([
+    '# HELP app_requests_total Requests',
+    '# TYPE app_requests_total counter',
+    'app_requests_total{route="/api/compare-prices",status="200"} 3',
+    'app_requests_total{route="say \\"hi\\"\\n",status="500"} 1',
+    '# HELP app_open_pages Open pages',
+    '# TYPE app_open_pages gauge',
+    'app_open_pages 1',
+    ''
+  ].join('\n'));
+});
+
+test('histograms have cumulative buckets, sum and count per label set', () => {
+  const registry = new MetricsRegistry();
+  const duration = registry.histogram('scrape_seconds', 'Scrape time', { labels: ['site'], buckets: [1, 5] });
+  duration.observe({ site: 'amazon' }, 0.5);
+  duration.observe({ site: 'amazon' }, 3);
+  duration.observe({ site: 'amazon' }, 12);
+  duration.observe({ site: 'flipkart' }, 1);
+
+  const lines = registry.render().split('\n');
+  expect(lines).toEqual(expect.arrayContaining([
+    'scrape_seconds_bucket{site="amazon",le="1"} 1',
+    'scrape_seconds_bucket{site="amazon",le="5"} 2',
+    'scrape_seconds_bucket{site="amazon",le="+Inf"} 3',
+    'scrape_seconds_sum{site="amazon"} 15.5',
+    'scrape_seconds_count{site="amazon"} 3',
+    'scrape_seconds_bucket{site="flipkart",le="1"} 1'
+  ]));
+});
+
+test('collect callbacks can return several series, and a failing one is skipped', () => {
+  const registry = new MetricsRegistry();
+  registry.counter('cache_lookups_total', 'Lookups', {
+    labels: ['result'],
+    collect: () => [{ labels: { result: 'hit' }, value: 4 }, { labels: { result: 'miss' }, value: 1 }]
+  });
+  registry.gauge('broken', 'Broken', { collect: () => { throw new Error('pool gone'); } });
+  const text = registry.render();
+  expect(text).toContain('cache_lookups_total{result="hit"} 4\ncache_lookups_total{result="miss"} 1');
+  expect(text).not.toContain('broken');
+  expect(() => registry.counter('cache_lookups_total', 'Again')).toThrow('already registered');
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PriceHistory } = require('../lib/price-history');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 31);
+
+const offer = (id, platform, name, price) => ({ id, platform, name, price });
+
+describe('PriceHistory', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-history-'));
+    file = path.join(dir, 'history.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function seeded() {
+    let t = T0 - 40 * DAY;
+    const history = new PriceHistory({ file, now: () => t });
+    history.record([offer('amazon:B0CHX1W1XY', 'Amazon', 'Apple iPhone 15 (128 GB) - Black', 72900)]);
+    t = T0 - 10 * DAY;
+    history.record([
+      offer('amazon:B0CHX1W1XY', 'Amazon', 'Apple iPhone 15 (128 GB) - Black', 69900),
+      offer('flipkart:MOBGTAGPTB3VS24W', 'Flipkart', 'Apple iPhone 15 (Black, 128 GB)', 65999)
+    ], { query: 'iphone 15' });
+    t = T0;
+    history.record([offer('amazon:B0CHX1W1XY', 'Amazon', 'Apple iPhone 15 (128 GB) - Black', 67900)]);
+    return history;
+  }
+
+  test('returns a windowed series and stats for one listing', () => {
+    const { listings, stats } = seeded().series({ id: 'amazon:B0CHX1W1XY', window: '30d' });
+    expect(listings).toHaveLength(1);
+    expect(listings[0].points.map(p => p.price)).toEqual([69900, 67900]);
+    expect(stats).toEqual({ count: 2, min: 67900, max: 69900, average: 68900, first: 69900, latest: 67900 });
+  });
+
+  test('groups listings from every store under the cluster key', () => {
+    const { listings, stats } = seeded().series({ cluster: 'apple iphone 15 128gb', window: 'all' });
+    expect(listings.map(l => l.id).sort()).toEqual(['amazon:B0CHX1W1XY', 'flipkart:MOBGTAGPTB3VS24W']);
+    expect(stats).toMatchObject({ count: 4, min: 65999, max: 72900, first: 72900, latest: 67900 });
+  });
+
+  test('keeps each storefront currency apart within a cluster', () => {
+    const history = seeded();
+    history.record([offer('amazon-us:B0CHHSDWW7', 'Amazon', 'Apple iPhone 15 128GB Black', 799)], { region: 'us' });
+    history.record([Object.assign(offer('amazon-uk:B0CHX4J3TL', 'Amazon', 'Apple iPhone 15 (128 GB) - Black', 699), { currency: 'GBP' })], { region: 'uk' });
+
+    const all = history.series({ cluster: 'apple iphone 15 128gb', window: 'all' });
+    expect(all.currencies.sort()).toEqual(['GBP', 'INR', 'USD']);
+    expect(all.stats).toBeNull();
+    expect(all.byCurrency.INR).toMatchObject({ count: 4, min: 65999, max: 72900 });
+    expect(all.byCurrency.USD).toEqual({ count: 1, min: 799, max: 799, average: 799, first: 799, latest: 799 });
+    expect(all.listings.find(l => l.id === 'amazon-us:B0CHHSDWW7')).toMatchObject({ region: 'us', currency: 'USD' });
+
+    const us = history.series({ cluster: 'apple iphone 15 128gb', window: 'all', region: 'us' });
+    expect(us.listings.map(l => l.id)).toEqual(['amazon-us:B0CHHSDWW7']);
+    expect(us.stats).toMatchObject({ count: 1, latest: 799 });
+    expect(history.series({ cluster: 'apple iphone 15 128gb', window: 'all', currency: 'INR' }).stats).toMatchObject({ count: 4, latest: 67900 });
+  });
+
+  test('lines without a region or currency get them from the id prefix', () => {
+    fs.writeFileSync(file, [
+      { t: T0, id: 'amazon:B0CHX1W1XY', site: 'amazon', platform: 'Amazon', name: 'Apple iPhone 15 (128 GB) - Black', price: 69900, cluster: 'apple iphone 15 128gb' },
+      { t: T0, id: 'amazon-de:B0CHX6NQMD', site: 'amazon', platform: 'Amazon', name: 'Apple iPhone 15 (128 GB) - Schwarz', price: 849, cluster: 'apple iphone 15 128gb' }
+    ].map(e => JSON.stringify(e)).join('\n') + '\n');
+    const listings = new PriceHistory({ file, now: () => T0 }).series({ cluster: 'apple iphone 15 128gb', window: 'all' }).listings;
+    expect(listings.map(l => [l.id, l.region, l.currency])).toEqual([['amazon:B0CHX1W1XY', 'in', 'INR'], ['amazon-de:B0CHX6NQMD', 'de', 'EUR']]);
+  });
+
+  test('reloads from the append-only file', () => {
+    seeded();
+    const reloaded = new PriceHistory({ file, now: () => T0 });
+    expect(reloaded.series({ id: 'flipkart:MOBGTAGPTB3VS24W', window: '90d' }).stats.latest).toBe(65999);
+  });
+
+  test('a failed append is logged and the observation is still served', () => {
+    const warnings = [];
+    const log = { warn: (msg, fields) => warnings.push([msg, fields.entries, fields.error.code]) };
+    const history = new PriceHistory({ file, log, now: () => T0 });
+    fs.mkdirSync(file);
+    expect(history.record([offer('amazon:B0CHX1W1XY', 'Amazon', 'Apple iPhone 15 (128 GB) - Black', 69900)])).toBe(1);
+    expect(history.series({ id: 'amazon:B0CHX1W1XY', window: 'all' }).stats.latest).toBe(69900);
+    expect(warnings).toEqual([['price history could not be appended', 1, 'EISDIR']]);
+  });
+
+  test('drops points past maxAgeMs or beyond maxPointsPerListing on load and rewrites the file with the rest', () => {
+    const line = (t, id, price) => JSON.stringify({ t, id, site: id.split(':')[0], region: 'in', platform: 'Amazon', name: 'Apple iPhone 15 (128 GB) - Black', price, currency: 'INR', cluster: 'apple iphone 15 128gb' });
+    fs.writeFileSync(file, [
+      line(T0 - 400 * DAY, 'amazon:B0CHX1W1XY', 79900),
+      line(T0 - 400 * DAY, 'amazon:B0OLDLISTNG', 79900),
+      line(T0 - 30 * DAY, 'amazon:B0CHX1W1XY', 72900),
+      line(T0 - 20 * DAY, 'amazon:B0CHX1W1XY', 71900),
+      line(T0 - 10 * DAY, 'amazon:B0CHX1W1XY', 69900),
+      '{"t": 17'
+    ].join('\n') + '\n');
+    const infos = [];
+    const log = { info: (msg, fields) => infos.push([msg, fields.dropped, fields.kept]), warn: () => {} };
+
+    const history = new PriceHistory({ file, maxAgeMs: 365 * DAY, maxPointsPerListing: 2, log, now: () => T0 });
+    expect(history.series({ id: 'amazon:B0CHX1W1XY', window: 'all' }).listings[0].points.map(p => p.price)).toEqual([71900, 69900]);
+    expect(history.series({ cluster: 'apple iphone 15 128gb', window: 'all' }).listings.map(l => l.id)).toEqual(['amazon:B0CHX1W1XY']);
+    expect(infos).toEqual([['price history compacted', 4, 2]]);
+    expect(fs.readFileSync(file, 'utf8').trim().split('\n').map(l => JSON.parse(l).price)).toEqual([71900, 69900]);
+  });
+
+  test('compacts at most once a day as offers are recorded, dropping points that aged out', () => {
+    let t = T0;
+    const history = new PriceHistory({ file, maxAgeMs: 2 * DAY, now: () => t });
+    const iphone = (price) => [offer('amazon:B0CHX1W1XY', 'Amazon', 'Apple iPhone 15 (128 GB) - Black', price)];
+    const fileLines = () => fs.readFileSync(file, 'utf8').trim().split('\n').length;
+
+    history.record(iphone(72900));
+    t += 12 * 60 * 60 * 1000;
+    history.record(iphone(71900));
+    t += 12 * 60 * 60 * 1000 - 1;
+    history.record(iphone(70900));
+    expect(fileLines()).toBe(3);
+
+    // a day since startup: nothing is two days old yet, so the file is left alone
+    t += 1;
+    history.record(iphone(69900));
+    expect(fileLines()).toBe(4);
+
+    t += 2 * DAY;
+    history.record(iphone(68900));
+    expect(history.series({ id: 'amazon:B0CHX1W1XY', window: 'all' }).listings[0].points.map(p => p.price)).toEqual([69900, 68900]);
+    expect(fileLines()).toBe(2);
+    expect(new PriceHistory({ file, maxAgeMs: 2 * DAY, now: () => t }).series({ id: 'amazon:B0CHX1W1XY', window: 'all' }).stats.count).toBe(2);
+  });
+
+  test('rejects unknown windows', () => {
+    expect(() => seeded().series({ id: 'amazon:B0CHX1W1XY', window: '2w' })).toThrow(/Unknown window/);
+  });
+});
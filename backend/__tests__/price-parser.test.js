@@ -0,0 +1,98 @@
+const { parsePriceText, mergePriceInfo, detectCurrency } = require('../lib/price-parser');
+const { parsePrice } = require('../lib/parsers');
+
+const info = (overrides) => Object.assign({ price: null, mrp: null, discountPercent: null, currency: null, range: null }, overrides);
+
+describe('parsePriceText', () => {
+  test.each([
+    ['₹1,299', 1299],
+    ['Rs. 299', 299],
+    ['Rs.  1,049', 1049],
+    ['₹69,900.00', 69900],
+    ['69,900.', 69900],
+    ['1299', 1299],
+    ['₹ 499.50', 499.5],
+    ['₹1,23,456', 123456],
+    ['₹12,34,567.89', 1234567.89],
+    ['$1,234,567', 1234567]
+  ])('%s -> %d', (text, price) => {
+    expect(parsePriceText(text).price).toBe(price);
+  });
+
+  test('empty and priceless text', () => {
+    expect(parsePriceText(null)).toEqual(info());
+    expect(parsePriceText('   ')).toEqual(info());
+    expect(parsePriceText('Currently unavailable')).toEqual(info());
+  });
+
+  test('splits price, MRP and discount glued together by textContent', () => {
+    expect(parsePriceText('₹1,299₹2,49948% off')).toEqual(info({ price: 1299, mrp: 2499, discountPercent: 48, currency: 'INR' }));
+    expect(parsePriceText('₹1,299 ₹2,499 (48% off)')).toEqual(info({ price: 1299, mrp: 2499, discountPercent: 48, currency: 'INR' }));
+    expect(parsePriceText('Rs. 4900Rs. 5900(17% OFF)')).toEqual(info({ price: 4900, mrp: 5900, discountPercent: 17, currency: 'INR' }));
+  });
+
+  test('MRP may come first or be labelled', () => {
+    expect(parsePriceText('₹2,499 ₹1,299')).toMatchObject({ price: 1299, mrp: 2499 });
+    expect(parsePriceText('₹1,299 M.R.P: ₹2,499')).toMatchObject({ price: 1299, mrp: 2499, discountPercent: 48 });
+    expect(parsePriceText('MRP ₹2,499')).toMatchObject({ price: null, mrp: null });
+  });
+
+  test('derives the price from a labelled MRP and discount', () => {
+    expect(parsePriceText('M.R.P.: ₹2,000 (25% off)')).toMatchObject({ price: 1500, mrp: 2000, discountPercent: 25 });
+  });
+
+  test('savings amounts are not prices', () => {
+    expect(parsePriceText('₹1,299 ₹2,499 Save ₹1,200')).toMatchObject({ price: 1299, mrp: 2499 });
+    expect(parsePriceText('₹1,299 ₹500 off')).toMatchObject({ price: 1299, mrp: null });
+  });
+
+  test('price ranges', () => {
+    expect(parsePriceText('₹499 - ₹899')).toEqual(info({ price: 499, currency: 'INR', range: { min: 499, max: 899 } }));
+    expect(parsePriceText('Rs. 1,999 to Rs. 2,999')).toMatchObject({ price: 1999, mrp: null, range: { min: 1999, max: 2999 } });
+    expect(parsePriceText('₹899 – ₹499')).toMatchObject({ price: 499, range: { min: 499, max: 899 } });
+  });
+
+  test('bare numbers next to a priced amount are ignored', () => {
+    expect(parsePriceText('Rs. 299 (Pack of 2)')).toMatchObject({ price: 299, mrp: null });
+  });
+
+  test('discount without an MRP is kept as given', () => {
+    expect(parsePriceText('₹1,299 (20% off)')).toMatchObject({ price: 1299, mrp: null, discountPercent: 20 });
+  });
+
+  test('currency from the text, else the caller default', () => {
+    expect(parsePriceText('€19.99', { currency: 'INR' }).currency).toBe('EUR');
+    expect(parsePriceText('1,299', { currency: 'INR' }).currency).toBe('INR');
+    expect(parsePriceText('1,299').currency).toBeNull();
+  });
+
+  test('decimal-comma storefronts', () => {
+    expect(parsePriceText('1.299,00 €', { decimalSeparator: ',' })).toMatchObject({ price: 1299, currency: 'EUR' });
+    expect(parsePriceText('19,99 €', { decimalSeparator: ',' }).price).toBe(19.99);
+    expect(parsePriceText('1.234.567,50 €', { decimalSeparator: ',' }).price).toBe(1234567.5);
+  });
+
+  test('non-breaking spaces', () => {
+    expect(parsePriceText('₹\u00a01,299')).toMatchObject({ price: 1299, currency: 'INR' });
+  });
+});
+
+test('detectCurrency', () => {
+  expect(detectCurrency('Rs. 299')).toBe('INR');
+  expect(detectCurrency('INR 299')).toBe('INR');
+  expect(detectCurrency('US$ 5')).toBe('USD');
+  expect(detectCurrency('£5')).toBe('GBP');
+  expect(detectCurrency('5 hrs left')).toBeNull();
+});
+
+test('mergePriceInfo takes the MRP from a separate strike-through element', () => {
+  const merged = mergePriceInfo(parsePriceText('₹65,999'), parsePriceText('₹79,900'));
+  expect(merged).toEqual(info({ price: 65999, mrp: 79900, discountPercent: 17, currency: 'INR' }));
+  // a strike price at or below the selling price is noise
+  expect(mergePriceInfo(parsePriceText('₹999'), parsePriceText('₹999')).mrp).toBeNull();
+});
+
+test('parsePrice returns only the selling price', () => {
+  expect(parsePrice('₹1,299₹2,49948% off')).toBe(1299);
+  expect(parsePrice('')).toBeNull();
+});
@@ -0,0 +1,125 @@
+// Replays the saved product pages (__fixtures__/product-pages) through extractProductDetail on jsdom: each
+// adapter's detail selectors, the schema.org data on top of them, and the generic adapter for other stores.
+const adapters = require('../adapters');
+const { replayProductPageInDom, readSnapshot, listSnapshots, domPage, PRODUCT_PAGE_DIR } = require('../lib/snapshots');
+const { extractProductDetail } = require('../lib/extract');
+
+const expected = {
+  'amazon/iphone-15': {
+    id: 'amazon:B0CHX1W1XY',
+    platform: 'Amazon',
+    url: 'https://www.amazon.in/dp/B0CHX1W1XY',
+    title: 'Apple iPhone 15 (128 GB) - Black',
+    brand: null,
+    price: 71900,
+    currency: 'INR',
+    mrp: 79900,
+    discountPercent: 10,
+    seller: 'Appario Retail Private Ltd',
+    availability: 'In stock',
+    inStock: true,
+    delivery: 'FREE delivery Tomorrow, 21 October.',
+    rating: 4.5,
+    ratingCount: 1024,
+    specs: { Brand: 'Apple', 'Operating System': 'iOS' },
+    images: [
+      'https://m.media-amazon.com/images/I/71657TiFeHL._SL1500_.jpg',
+      'https://m.media-amazon.com/images/I/71657TiFeHL._SS40_.jpg',
+      'https://m.media-amazon.com/images/I/61Rc0e2HFYL._SS40_.jpg'
+    ],
+    sources: ['css']
+  },
+  'flipkart/iphone-15': {
+    id: 'flipkart:MOBGTAGPTB3VS24W',
+    platform: 'Flipkart',
+    url: 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W',
+    title: 'Apple iPhone 15 (Black, 128 GB)',
+    brand: 'Apple',
+    price: 65999,
+    currency: 'INR',
+    mrp: 79900,
+    discountPercent: 17,
+    seller: 'SuperComNet',
+    availability: null,
+    inStock: true,
+    delivery: 'Delivery by 22 Oct, Thursday | Free',
+    rating: 4.6,
+    ratingCount: 124552,
+    specs: { 'Model Name': 'iPhone 15', Color: 'Black' },
+    images: [
+      'http://rukminim2.flixcart.com/image/128/128/xif0q/mobile/h/d/9/-original-imagtc2qzgnnuhxh.jpeg',
+      'https://rukminim2.flixcart.com/image/416/416/xif0q/mobile/h/d/9/-original-imagtc2qzgnnuhxh.jpeg'
+    ],
+    sources: ['json-ld', 'css']
+  },
+  'myntra/sold-out': {
+    id: 'myntra:24535346',
+    platform: 'Myntra',
+    url: 'https://www.myntra.com/mobile-accessories/apple/apple-iphone-15-silicone-case-with-magsafe/24535346/buy',
+    title: 'iPhone 15 Silicone Case with MagSafe',
+    brand: 'Apple',
+    price: 4900,
+    currency: 'INR',
+    mrp: 5900,
+    discountPercent: 17,
+    seller: 'Apple India',
+    availability: 'This product is currently out of stock',
+    inStock: false,
+    delivery: null,
+    rating: 4.3,
+    ratingCount: 1200,
+    specs: { 'Compatible Models': 'iPhone 15', Material: 'Silicone' },
+    images: [
+      'https://assets.myntassets.com/h_720,q_90,w_540/v1/assets/images/24535346/2023/9/13/case-1.jpg',
+      'https://assets.myntassets.com/h_720,q_90,w_540/v1/assets/images/24535346/2023/9/13/case-2.jpg'
+    ],
+    sources: ['css']
+  }
+};
+
+test('every saved product page has an expected result and says how it was made', () => {
+  const saved = [];
+  for (const site of adapters.list()) {
+    for (const name of listSnapshots(site, PRODUCT_PAGE_DIR)) {
+      saved.push(`${site}/${name}`);
+      const { meta } = readSnapshot(site, name, PRODUCT_PAGE_DIR);
+      expect(meta.handBuilt ? meta.recordedAt : Number.isNaN(Date.parse(meta.recordedAt))).toBe(meta.handBuilt ? null : false);
+    }
+  }
+  expect(saved.sort()).toEqual(Object.keys(expected).sort());
+});
+
+test.each(Object.keys(expected))('%s extracts the product', async (key) => {
+  const [site, name] = key.split('/');
+  expect(await replayProductPageInDom(adapters.get(site), name)).toEqual(expected[key]);
+});
+
+test('a store without an adapter is read from its JSON-LD and OpenGraph tags', async () => {
+  const { meta } = readSnapshot('croma.com', 'sony-wh-1000xm5', PRODUCT_PAGE_DIR);
+  expect(await replayProductPageInDom(adapters.generic(meta.url), 'sony-wh-1000xm5')).toEqual({
+    id: 'croma.com:/sony-wh-1000xm5-bluetooth-headphone-with-mic-30-hours-playback-over-ear-black-/p/256761',
+    platform: 'croma.com',
+    url: meta.url,
+    title: 'SONY WH-1000XM5 Bluetooth Headphone with Mic (30 Hours Playback, Over Ear, Black)',
+    brand: 'SONY',
+    price: 26990,
+    currency: 'INR',
+    mrp: 34990,
+    discountPercent: 23,
+    seller: 'Croma',
+    availability: 'In stock',
+    inStock: true,
+    delivery: null,
+    rating: 4.4,
+    ratingCount: 212,
+    specs: {},
+    images: ['https://media-ik.croma.com/prod/https://media.croma.com/image/upload/v1685964784/Croma%20Assets/Entertainment/Headphones%20and%20Earphones/Images/256761_0_ee0wzn.png'],
+    sources: ['json-ld', 'opengraph']
+  });
+});
+
+test('a page without product data or matching selectors is a selector miss', async () => {
+  const url = 'https://www.croma.com/';
+  const page = domPage('<html><head><title>Croma</title></head><body><h1>Offers</h1></body></html>', url);
+  await expect(extractProductDetail(page, adapters.generic(url), url)).rejects.toMatchObject({ siteStatus: 'selector-miss' });
+});
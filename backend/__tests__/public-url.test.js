@@ -0,0 +1,23 @@
+const { assertPublicUrl, isInternalAddress } = require('../lib/public-url');
+
+test('isInternalAddress covers loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    expect([address, isInternalAddress(address)]).toEqual([address, true]);
+  }
+  for (const address of ['23.45.67.89', '172.32.0.1', '2606:4700::6810:85e5']) {
+    expect([address, isInternalAddress(address)]).toEqual([address, false]);
+  }
+});
+
+test('assertPublicUrl rejects internal hosts, other schemes and unresolvable names', async () => {
+  const lookup = async (host) => {
+    if (host === 'intranet.example.com') return [{ address: '10.0.0.7', family: 4 }];
+    if (host === 'www.croma.com') return [{ address: '23.45.67.89', family: 4 }];
+    throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+  };
+  await expect(assertPublicUrl('https://www.croma.com/p/1', { lookup })).resolves.toBeUndefined();
+  await expect(assertPublicUrl('http://intranet.example.com/admin', { lookup })).rejects.toMatchObject({ code: 'EURLNOTALLOWED', message: 'intranet.example.com is an internal address' });
+  await expect(assertPublicUrl('http://[::1]:3000/metrics', { lookup })).rejects.toThrow('::1 is an internal address');
+  await expect(assertPublicUrl('file:///etc/passwd', { lookup })).rejects.toThrow('only http and https');
+  await expect(assertPublicUrl('https://nowhere.invalid/', { lookup })).rejects.toThrow('cannot resolve nowhere.invalid (ENOTFOUND)');
+});
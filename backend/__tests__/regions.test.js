@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const adapters = require('../adapters');
+const { ExchangeRates } = require('../lib/exchange-rates');
+
+describe('ExchangeRates', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-rates-'));
+    file = path.join(dir, 'rates.json');
+    fs.writeFileSync(file, JSON.stringify({ base: 'INR', rates: { INR: 1, USD: 0.012, EUR: 0.01 } }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('converts through the base currency', () => {
+    const rates = new ExchangeRates({ file });
+    expect(rates.convert(1000, 'INR', 'USD')).toBe(12);
+    expect(rates.convert(12, 'usd', 'INR')).toBe(1000);
+    expect(rates.convert(12, 'USD', 'EUR')).toBe(10);
+    expect(rates.convert(5, 'GBP', 'GBP')).toBe(5);
+    expect(rates.convert(5, 'GBP', 'INR')).toBeNull();
+    expect(rates.convert(null, 'INR', 'USD')).toBeNull();
+  });
+
+  test('picks up edits to the file and keeps the last good table on a broken one', () => {
+    const clock = { t: 0 };
+    const warnings = [];
+    const log = { warn: (msg) => warnings.push(msg) };
+    const rates = new ExchangeRates({ file, checkIntervalMs: 2000, log, now: () => clock.t });
+    expect(rates.supports('GBP')).toBe(false);
+
+    fs.writeFileSync(file, JSON.stringify({ base: 'INR', rates: { INR: 1, GBP: 0.009 } }));
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+    // not looked at again within checkIntervalMs
+    clock.t += 1999;
+    expect(rates.supports('GBP')).toBe(false);
+    clock.t += 1;
+    expect(rates.supports('GBP')).toBe(true);
+
+    fs.writeFileSync(file, '{ not json');
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 10000));
+    for (let i = 0; i < 3; i++) {
+      clock.t += 2000;
+      expect(rates.convert(1000, 'INR', 'GBP')).toBe(9);
+    }
+    expect(warnings).toEqual(['exchange rates file unreadable; keeping the last good table']);
+  });
+
+  test('a missing file is reported once, and again only after it came back and went missing again', () => {
+    const clock = { t: 0 };
+    const warnings = [];
+    const log = { warn: (msg, fields) => warnings.push([msg, fields.error.code]) };
+    const rates = new ExchangeRates({ file: path.join(dir, 'missing.json'), log, now: () => clock.t });
+    for (let i = 0; i < 3; i++) {
+      clock.t += 2000;
+      expect(rates.convert(1000, 'INR', 'USD')).toBeNull();
+    }
+    expect(warnings).toEqual([['exchange rates unavailable', 'ENOENT']]);
+
+    fs.copyFileSync(file, path.join(dir, 'missing.json'));
+    clock.t += 2000;
+    expect(rates.convert(1000, 'INR', 'USD')).toBe(12);
+    fs.rmSync(path.join(dir, 'missing.json'));
+    clock.t += 2000;
+    rates.current();
+    expect(warnings).toHaveLength(2);
+  });
+});
+
+describe('regional adapters', () => {
+  test('each region only lists the stores that operate there', () => {
+    expect(adapters.list()).toEqual(['amazon', 'flipkart', 'myntra', 'snapdeal']);
+    expect(adapters.list('us')).toEqual(['amazon']);
+    expect(adapters.has('flipkart', 'de')).toBe(false);
+  });
+
+  test('a region overrides domain, currency and id prefix', () => {
+    const uk = adapters.get('amazon', 'uk');
+    expect(uk.buildSearchUrl('iphone 15')).toBe('https://www.amazon.co.uk/s?k=iphone%2015');
+    expect(uk.currency).toBe('GBP');
+    expect(uk.idPrefix).toBe('amazon-uk');
+    expect(adapters.get('amazon').idPrefix).toBe('amazon');
+    expect(adapters.forUrl('https://www.amazon.de/dp/B0CHX1W1XY').region).toBe('de');
+  });
+});
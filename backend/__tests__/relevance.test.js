@@ -0,0 +1,45 @@
+const { scoreTitle, scoreProducts, MIN_RELEVANCE } = require('../lib/relevance');
+
+const score = (query, title) => scoreTitle(query, title).relevance;
+
+describe('scoreTitle', () => {
+  test('the product itself outranks its variants, older models and other brands', () => {
+    const phone = score('iphone 15', 'Apple iPhone 15 (128 GB) - Black');
+    const pro = score('iphone 15', 'Apple iPhone 15 Pro (256 GB) - Natural Titanium');
+    const older = score('iphone 15', 'Apple iPhone 14 (128 GB) - Midnight');
+    const other = score('iphone 15', 'SAMSUNG Galaxy S23 5G (Phantom Black, 8GB RAM, 128 GB Storage)');
+    expect(phone).toBeGreaterThan(0.9);
+    expect(pro).toBeLessThan(phone);
+    expect(pro).toBeGreaterThan(MIN_RELEVANCE);
+    expect(older).toBeLessThan(MIN_RELEVANCE);
+    expect(other).toBe(0);
+  });
+
+  test('accessories are flagged and demoted unless the query asks for one', () => {
+    expect(scoreTitle('iphone 15', 'Case Creation Back Cover for Apple iPhone 15')).toMatchObject({ accessory: true });
+    expect(score('iphone 15', 'Case Creation Back Cover for Apple iPhone 15')).toBeLessThan(0.5);
+
+    expect(scoreTitle('iphone 15 case', 'iPhone 15 Silicone Case with MagSafe')).toEqual({ relevance: expect.any(Number), accessory: false });
+    expect(score('iphone 15 case', 'iPhone 15 Silicone Case with MagSafe')).toBeGreaterThan(0.9);
+    expect(score('iphone 15 case', 'Apple iPhone 15 (128 GB) - Black')).toBeLessThan(MIN_RELEVANCE);
+  });
+
+  test('brand disagreement costs more than a missing brand', () => {
+    expect(score('nike running shoes', 'Nike Revolution 6 Running Shoes For Men'))
+      .toBeGreaterThan(score('nike running shoes', 'Running Shoes For Men'));
+    expect(score('nike running shoes', 'Running Shoes For Men'))
+      .toBeGreaterThan(score('nike running shoes', 'Adidas Running Shoes For Men'));
+  });
+
+  test('scores stay within 0..1', () => {
+    expect(score('', 'anything')).toBe(0);
+    expect(score('iphone 15 pro max', 'iPhone 15')).toBeGreaterThanOrEqual(0);
+  });
+});
+
+test('scoreProducts copies products with relevance and accessory added', () => {
+  const products = [{ name: 'Apple iPhone 15 (128 GB) - Black', price: 69900 }];
+  const [scored] = scoreProducts('iphone 15', products);
+  expect(scored).toMatchObject({ name: products[0].name, price: 69900, accessory: false });
+  expect(products[0].relevance).toBeUndefined();
+});
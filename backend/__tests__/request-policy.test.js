@@ -0,0 +1,104 @@
+const { EventEmitter } = require('events');
+const { buildRequestPolicy, guardOnly, blockReason, applyRequestPolicy } = require('../lib/request-policy');
+const { assertPublicUrl } = require('../lib/public-url');
+
+// Just enough of a Puppeteer page and its intercepted requests
+class FakePage extends EventEmitter {
+  constructor() {
+    super();
+    this.intercepting = false;
+    this.frame = {};
+  }
+  async setRequestInterception(on) { this.intercepting = on; }
+  mainFrame() { return this.frame; }
+  request(url, resourceType, { navigation = false, frame = this.frame } = {}) {
+    const req = {
+      outcome: null,
+      url: () => url,
+      resourceType: () => resourceType,
+      isNavigationRequest: () => navigation,
+      frame: () => frame,
+      abort: async () => { req.outcome = 'aborted'; },
+      continue: async () => { req.outcome = 'continued'; }
+    };
+    this.last = req;
+    this.emit('request', req);
+    return req.outcome;
+  }
+  // for publicOnly policies, which decide after resolving the host
+  async settled(...args) {
+    this.request(...args);
+    const req = this.last;
+    await new Promise(resolve => setImmediate(resolve));
+    return req.outcome;
+  }
+}
+
+test('blocks heavy resource types and tracker domains by default', () => {
+  const policy = buildRequestPolicy();
+  expect(blockReason(policy, 'image', 'https://m.media-amazon.com/images/I/x.jpg')).toBe('type');
+  expect(blockReason(policy, 'font', 'https://static.example.com/a.woff2')).toBe('type');
+  expect(blockReason(policy, 'script', 'https://www.googletagmanager.com/gtm.js')).toBe('domain');
+  expect(blockReason(policy, 'xhr', 'https://stats.g.doubleclick.net/collect')).toBe('domain');
+  expect(blockReason(policy, 'script', 'https://www.amazon.in/app.js')).toBeNull();
+  expect(blockReason(policy, 'document', 'https://www.flipkart.com/search?q=x')).toBeNull();
+  expect(blockReason(policy, 'image', 'data:image/png;base64,AAAA')).toBe('type');
+});
+
+test('adapters can widen or narrow the defaults', () => {
+  const policy = buildRequestPolicy({ allowTypes: ['image'], blockTypes: ['stylesheet'], blockDomains: ['ads.example.com'], allowDomains: ['googletagmanager.com'] });
+  expect(blockReason(policy, 'image', 'https://cdn.example.com/a.jpg')).toBeNull();
+  expect(blockReason(policy, 'stylesheet', 'https://cdn.example.com/a.css')).toBe('type');
+  expect(blockReason(policy, 'script', 'https://x.ads.example.com/a.js')).toBe('domain');
+  expect(blockReason(policy, 'script', 'https://www.googletagmanager.com/gtm.js')).toBeNull();
+
+  const off = buildRequestPolicy(false);
+  expect(off.enabled).toBe(false);
+  expect(blockReason(off, 'image', 'https://cdn.example.com/a.jpg')).toBeNull();
+  expect(() => buildRequestPolicy({ blockTypes: 'image' })).toThrow('requests.blockTypes must be an array');
+});
+
+test('intercepts once per page and counts what it lets through', async () => {
+  const page = new FakePage();
+  const policy = buildRequestPolicy();
+  const counts = await applyRequestPolicy(page, policy);
+  expect(await applyRequestPolicy(page, policy)).toBe(counts);
+  expect(page.intercepting).toBe(true);
+  expect(page.listenerCount('request')).toBe(1);
+
+  expect(page.request('https://www.amazon.in/s?k=x', 'document', { navigation: true })).toBe('continued');
+  expect(page.request('https://m.media-amazon.com/a.jpg', 'image')).toBe('aborted');
+  expect(page.request('https://www.google-analytics.com/collect', 'ping')).toBe('aborted');
+  expect(page.request('https://www.amazon.in/app.js', 'script')).toBe('continued');
+  // iframes navigating to an ad host are still blocked
+  expect(page.request('https://googleads.g.doubleclick.net/ad', 'document', { navigation: true, frame: {} })).toBe('aborted');
+  expect(counts).toEqual({ allowed: 2, blocked: 3, byType: 1, byDomain: 2, byAddress: 0 });
+});
+
+test('a disabled policy leaves the page alone', async () => {
+  const page = new FakePage();
+  const counts = await applyRequestPolicy(page, null);
+  expect(page.intercepting).toBe(false);
+  expect(page.listenerCount('request')).toBe(0);
+  expect(counts).toEqual({ allowed: 0, blocked: 0, byType: 0, byDomain: 0, byAddress: 0 });
+});
+
+test('a publicOnly policy aborts redirects and sub-resources that reach internal addresses', async () => {
+  const addresses = { 'shop.example.com': '93.184.216.34', 'cdn.example.com': '93.184.216.35', 'rebind.example.com': '127.0.0.1' };
+  const lookup = async (host) => [{ address: addresses[host] || '10.0.0.1', family: 4 }];
+  const checkUrl = (url) => assertPublicUrl(url, { lookup });
+  const page = new FakePage();
+  // BLOCK_REQUESTS=0 still keeps the guard
+  expect(guardOnly(buildRequestPolicy())).toBeNull();
+  const counts = await applyRequestPolicy(page, guardOnly(buildRequestPolicy({ publicOnly: true })), { checkUrl });
+  expect(page.intercepting).toBe(true);
+
+  expect(await page.settled('https://shop.example.com/p/1', 'document', { navigation: true })).toBe('continued');
+  // the store answered with a 302 to the cloud metadata service: Chrome requests the next hop, which is aborted
+  expect(await page.settled('http://169.254.169.254/latest/meta-data/', 'document', { navigation: true })).toBe('aborted');
+  expect(await page.settled('https://rebind.example.com/p/1', 'document', { navigation: true })).toBe('aborted');
+  expect(await page.settled('https://cdn.example.com/app.js', 'script')).toBe('continued');
+  expect(await page.settled('http://intranet/admin', 'xhr')).toBe('aborted');
+  expect(await page.settled('data:image/png;base64,AAAA', 'image')).toBe('continued');
+  expect(counts).toEqual({ allowed: 3, blocked: 3, byType: 0, byDomain: 0, byAddress: 3 });
+});
@@ -0,0 +1,87 @@
+const { SearchJobQueue } = require('../lib/search-jobs');
+
+// run() stand-in whose calls are resolved by hand
+function manualRunner() {
+  const calls = [];
+  const run = (job, control) => new Promise((resolve, reject) => {
+    calls.push({ job, control, resolve, reject });
+  });
+  return { run, calls };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs jobs in order, at most `concurrency` at a time', async () => {
+  const { run, calls } = manualRunner();
+  const queue = new SearchJobQueue({ run, concurrency: 1 });
+  const first = queue.submit({ query: 'iphone 15', sites: ['amazon', 'flipkart'] });
+  const second = queue.submit({ query: 'pixel 8', sites: ['amazon'] });
+
+  expect(queue.get(first.id)).toMatchObject({ status: 'running', queuePosition: null, progress: { sitesDone: 0, sitesTotal: 2 } });
+  expect(queue.get(second.id)).toMatchObject({ status: 'queued', queuePosition: 1 });
+  expect(calls).toHaveLength(1);
+
+  calls[0].control.onSiteResult('amazon', { status: 'ok', count: 1 }, [{ id: 'amazon:A' }]);
+  expect(queue.get(first.id)).toMatchObject({ progress: { sitesDone: 1, sitesTotal: 2 }, results: [{ id: 'amazon:A' }] });
+
+  const response = { results: [{ id: 'amazon:A' }, { id: 'flipkart:B' }], sites: { amazon: { status: 'ok', count: 1 }, flipkart: { status: 'ok', count: 1 } } };
+  calls[0].resolve(response);
+  await tick();
+  expect(queue.get(first.id)).toMatchObject({ status: 'done', response, results: response.results, progress: { sitesDone: 2 } });
+  expect(queue.get(second.id).status).toBe('running');
+  expect(calls).toHaveLength(2);
+});
+
+test('a full queue rejects new jobs', () => {
+  const { run } = manualRunner();
+  const queue = new SearchJobQueue({ run, concurrency: 1, maxQueued: 1 });
+  queue.submit({ query: 'a' });
+  queue.submit({ query: 'b' });
+  expect(() => queue.submit({ query: 'c' })).toThrow(expect.objectContaining({ code: 'EQUEUEFULL' }));
+});
+
+test('cancelling a queued job removes it from the queue', () => {
+  const { run, calls } = manualRunner();
+  const queue = new SearchJobQueue({ run, concurrency: 1 });
+  queue.submit({ query: 'a' });
+  const waiting = queue.submit({ query: 'b' });
+  expect(queue.cancel(waiting.id).status).toBe('cancelled');
+  expect(queue.queue).toHaveLength(0);
+  expect(calls).toHaveLength(1);
+  expect(queue.cancel('nope')).toBeNull();
+});
+
+test('cancelling a running job aborts its signal and ignores the late outcome', async () => {
+  const { run, calls } = manualRunner();
+  const queue = new SearchJobQueue({ run });
+  const job = queue.submit({ query: 'a', sites: ['amazon'] });
+  const { control, resolve } = calls[0];
+
+  expect(queue.cancel(job.id).status).toBe('cancelled');
+  expect(control.signal.aborted).toBe(true);
+  control.onSiteResult('amazon', { status: 'ok', count: 1 }, [{ id: 'amazon:A' }]);
+  resolve({ results: [{ id: 'amazon:A' }], sites: {} });
+  await tick();
+  expect(queue.get(job.id)).toMatchObject({ status: 'cancelled', response: null, results: [], sites: { amazon: { status: 'cancelled' } } });
+  // finished jobs stay as they are
+  expect(queue.cancel(job.id).status).toBe('cancelled');
+});
+
+test('failures are reported on the job', async () => {
+  const queue = new SearchJobQueue({ run: async () => { throw new Error('browser crashed'); } });
+  const job = queue.submit({ query: 'a' });
+  await tick();
+  expect(queue.get(job.id)).toMatchObject({ status: 'failed', error: 'browser crashed' });
+  expect(queue.stats()).toMatchObject({ failed: 1, running: 0 });
+});
+
+test('finished jobs expire after retainMs', async () => {
+  let t = 1000;
+  const queue = new SearchJobQueue({ run: async () => ({ results: [] }), retainMs: 100, now: () => t });
+  const job = queue.submit({ query: 'a' });
+  await tick();
+  t += 100;
+  expect(queue.get(job.id).status).toBe('done');
+  t += 1;
+  expect(queue.get(job.id)).toBeNull();
+});
@@ -0,0 +1,113 @@
+const { parseSearchOptions, applySearchOptions, describeFilters } = require('../lib/search-options');
+
+const item = (platform, name, price, extra = {}) => Object.assign({ id: `${platform.toLowerCase()}:${name}`, platform, name, price }, extra);
+
+const products = [
+  item('Amazon', 'iPhone 15 128GB', 69900, { rating: 4.5, rank: 1 }),
+  item('Amazon', 'iPhone 15 case', 499, { rating: 3.9, rank: 2, discountPercent: 50 }),
+  item('Flipkart', 'iPhone 15 128GB', 65999, { rating: 4.6, rank: 1, discountPercent: 17 }),
+  item('Myntra', 'iPhone 15 MagSafe case', 4900, { rank: 1, discountPercent: 17 }),
+  item('Snapdeal', 'iPhone 15 back cover', 299, { rating: 4.1, rank: 1, discountPercent: 70 })
+];
+
+const names = (result) => result.results.map(p => `${p.platform}/${p.price}`);
+
+describe('parseSearchOptions', () => {
+  test('defaults', () => {
+    expect(parseSearchOptions({}).options).toEqual({ sort: 'price', page: 1, limit: 50, limitRequested: false, includeAccessories: false, excludeSponsored: false });
+  });
+
+  test('accepts query-string values', () => {
+    const { options } = parseSearchOptions(
+      { minPrice: '1000', maxPrice: '70000', minRating: '4', platforms: 'Amazon, flipkart', sort: 'rating', page: '2', limit: '10', includeAccessories: '1', excludeSponsored: 'true' },
+      { knownPlatforms: ['amazon', 'flipkart', 'myntra'] }
+    );
+    expect(options).toEqual({
+      minPrice: 1000,
+      maxPrice: 70000,
+      minRating: 4,
+      platforms: ['amazon', 'flipkart'],
+      sort: 'rating',
+      page: 2,
+      limit: 10,
+      limitRequested: true,
+      includeAccessories: true,
+      excludeSponsored: true
+    });
+  });
+
+  test.each([
+    [{ minPrice: -1 }, /minPrice/],
+    [{ minPrice: 'cheap' }, /minPrice/],
+    [{ minPrice: 500, maxPrice: 100 }, /greater than maxPrice/],
+    [{ minRating: 6 }, /minRating/],
+    [{ page: 0 }, /page/],
+    [{ limit: 2.5 }, /limit/],
+    [{ limit: 1000 }, /limit/],
+    [{ sort: 'newest' }, /sort must be one of/],
+    [{ platforms: ['ebay'] }, /Unknown platforms: ebay/]
+  ])('rejects %j', (input, message) => {
+    expect(parseSearchOptions(input, { knownPlatforms: ['amazon'] }).error).toMatch(message);
+  });
+});
+
+describe('applySearchOptions', () => {
+  const apply = (input) => applySearchOptions(products, parseSearchOptions(input).options);
+
+  test('price filter keeps the phones, not the cases', () => {
+    expect(names(apply({ minPrice: 10000 }))).toEqual(['Flipkart/65999', 'Amazon/69900']);
+  });
+
+  test('minRating drops unrated listings', () => {
+    expect(names(apply({ minRating: 4.2 }))).toEqual(['Flipkart/65999', 'Amazon/69900']);
+  });
+
+  test('platforms', () => {
+    expect(names(apply({ platforms: 'snapdeal,myntra' }))).toEqual(['Snapdeal/299', 'Myntra/4900']);
+  });
+
+  test('sorts', () => {
+    expect(names(apply({ sort: 'rating' }))).toEqual(['Flipkart/65999', 'Amazon/69900', 'Snapdeal/299', 'Amazon/499', 'Myntra/4900']);
+    expect(names(apply({ sort: 'discount' }))).toEqual(['Snapdeal/299', 'Amazon/499', 'Myntra/4900', 'Flipkart/65999', 'Amazon/69900']);
+    expect(names(apply({ sort: 'relevance' }))).toEqual(['Snapdeal/299', 'Myntra/4900', 'Flipkart/65999', 'Amazon/69900', 'Amazon/499']);
+  });
+
+  test('filters and sorts on the converted display price when present', () => {
+    const converted = [item('Amazon', 'a', 100, { displayPrice: 1.2 }), item('Amazon', 'b', 50, { displayPrice: 0.6 })];
+    expect(applySearchOptions(converted, { maxPrice: 1 }).results.map(p => p.name)).toEqual(['b']);
+  });
+
+  test('scored accessories and weak matches are hidden unless asked for', () => {
+    const scored = [
+      item('Amazon', 'iPhone 15', 69900, { relevance: 0.95, accessory: false }),
+      item('Amazon', 'iPhone 15 case', 499, { relevance: 0.36, accessory: true }),
+      item('Amazon', 'Galaxy S23', 59999, { relevance: 0.1, accessory: false })
+    ];
+    const hidden = applySearchOptions(scored, parseSearchOptions({}).options);
+    expect(hidden.results.map(p => p.name)).toEqual(['iPhone 15']);
+    expect(hidden).toMatchObject({ total: 1, hidden: 2 });
+    const shown = applySearchOptions(scored, parseSearchOptions({ includeAccessories: true, sort: 'relevance' }).options);
+    expect(shown.results.map(p => p.name)).toEqual(['iPhone 15', 'iPhone 15 case', 'Galaxy S23']);
+    expect(shown.hidden).toBe(0);
+  });
+
+  test('sponsored placements stay in unless excluded', () => {
+    const listed = [item('Amazon', 'organic', 69900), item('Amazon', 'ad', 65999, { sponsored: true })];
+    expect(applySearchOptions(listed, parseSearchOptions({}).options).results.map(p => p.name)).toEqual(['ad', 'organic']);
+    const neutral = applySearchOptions(listed, parseSearchOptions({ excludeSponsored: '1' }).options);
+    expect(neutral.results.map(p => p.name)).toEqual(['organic']);
+    expect(neutral).toMatchObject({ total: 1, hidden: 0 });
+  });
+
+  test('pages through the filtered list', () => {
+    const page2 = apply({ limit: 2, page: 2 });
+    expect(names(page2)).toEqual(['Myntra/4900', 'Flipkart/65999']);
+    expect(page2).toMatchObject({ total: 5, totalPages: 3, hasMore: true });
+    expect(apply({ limit: 2, page: 3 }).hasMore).toBe(false);
+    expect(apply({ limit: 2, page: 9 }).results).toEqual([]);
+  });
+});
+
+test('describeFilters echoes only what was set', () => {
+  expect(describeFilters(parseSearchOptions({ minPrice: '10', sort: 'rating' }).options)).toEqual({ minPrice: 10, includeAccessories: false, excludeSponsored: false });
+});
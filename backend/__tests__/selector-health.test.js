@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SelectorHealth, measureFill } = require('../lib/selector-health');
+const adapters = require('../adapters');
+
+const T0 = Date.UTC(2024, 0, 31, 12, 0, 0);
+
+const HEALTHY_FILL = { name: 1, price: 1, image: 0.9, rating: 0.7, link: 1 };
+const check = (overrides) => Object.assign({ site: 'amazon', query: 'iphone 15', status: 'ok', tiles: 20, products: 20, fill: HEALTHY_FILL }, overrides);
+
+test('measureFill counts the tiles each field could be read from', () => {
+  const amazon = adapters.get('amazon');
+  const raw = [
+    { name: 'Apple iPhone 15 (128 GB)', price: '₹69,900', image: 'https://m.media-amazon.com/a.jpg', rating: '4.5 out of 5 stars', link: '/dp/B0CHX1W1XY' },
+    { name: 'Apple iPhone 15 (256 GB)', price: 'Currently unavailable', image: '', rating: '', link: '/dp/B0CHX2F5QT' },
+    { name: '', price: '₹79,900', image: 'https://m.media-amazon.com/b.jpg', rating: 'no rating', link: '' },
+    { name: 'Apple iPhone 15 Plus', price: '₹79,900', image: 'https://m.media-amazon.com/c.jpg', rating: '4.4 out of 5 stars', link: '/dp/B0CHWZ8ZKS' }
+  ];
+  expect(measureFill(amazon, raw)).toEqual({ tiles: 4, fill: { name: 0.75, price: 0.75, image: 0.75, rating: 0.5, link: 0.75 } });
+  expect(measureFill(amazon, [])).toEqual({ tiles: 0, fill: { name: 0, price: 0, image: 0, rating: 0, link: 0 } });
+});
+
+describe('SelectorHealth', () => {
+  let dir;
+  let t;
+  let health;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-health-'));
+    t = T0;
+    health = new SelectorHealth({ file: path.join(dir, 'checks.jsonl'), artifactsDir: path.join(dir, 'artifacts'), maxArtifacts: 2, now: () => t });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('flags fields below their floor, drops from the baseline, and pages without products', () => {
+    expect(health.assess(check({ fill: Object.assign({}, HEALTHY_FILL, { price: 0.4 }) }))).toMatchObject({
+      health: 'degraded',
+      problems: ['price read on 40% of tiles (minimum 80%)']
+    });
+
+    for (let i = 0; i < 3; i++) health.record(health.assess(check()));
+    expect(health.baseline('amazon', 'iphone 15')).toEqual({ runs: 3, products: 20, fill: HEALTHY_FILL });
+    expect(health.assess(check({ products: 8, fill: Object.assign({}, HEALTHY_FILL, { rating: 0.2 }) }))).toMatchObject({
+      health: 'degraded',
+      problems: ['rating read on 20% of tiles, down from 70%', '8 products, down from 20']
+    });
+    expect(health.assess(check({ products: 0, tiles: 0 })).problems).toEqual(['no products from 0 tiles']);
+    expect(health.assess(check({ status: 'captcha', reason: 'captcha page (#captcha)' }))).toMatchObject({
+      health: 'failing',
+      problems: ['captcha: captcha page (#captcha)']
+    });
+  });
+
+  test('summary reports the worst latest check per site and survives a restart', () => {
+    health.record(health.assess(check()));
+    t += 1000;
+    health.record(health.assess(check({ query: 'usb c cable', status: 'timeout', reason: 'Timeout', tiles: 0, products: 0, fill: { name: 0, price: 0, image: 0, rating: 0, link: 0 } })));
+    t += 1000;
+    health.record(health.assess(check({ site: 'myntra', query: 'running shoes' })));
+
+    const reloaded = new SelectorHealth({ file: path.join(dir, 'checks.jsonl') });
+    const sites = reloaded.summary({ limit: 1 });
+    expect(Object.keys(sites)).toEqual(['amazon', 'myntra']);
+    expect(sites.amazon).toMatchObject({
+      health: 'failing',
+      checkedAt: '2024-01-31T12:00:01.000Z',
+      problems: ['usb c cable: timeout: Timeout'],
+      fields: { price: { fill: 0.5, baseline: 1, minimum: 0.8 } }
+    });
+    expect(sites.amazon.checks.map(c => c.query)).toEqual(['usb c cable']);
+    expect(reloaded.summary({ site: 'myntra', limit: 0 })).toEqual({ myntra: expect.objectContaining({ health: 'ok', checks: [] }) });
+  });
+
+  test('keeps the newest maxArtifacts snapshots per site and only serves saved files', () => {
+    const saved = [];
+    for (let i = 0; i < 3; i++) {
+      saved.push(health.saveArtifacts('flipkart', 'bluetooth speaker', { html: `<html>${i}</html>`, screenshot: Buffer.from('png') }));
+      t += 60 * 1000;
+    }
+    expect(saved[2]).toEqual({ html: '2024-01-31T12-02-00-000Z-bluetooth-speaker.html', screenshot: '2024-01-31T12-02-00-000Z-bluetooth-speaker.png' });
+    expect(fs.readdirSync(path.join(dir, 'artifacts', 'flipkart'))).toHaveLength(4);
+    expect(health.artifactPath('flipkart', saved[0].html)).toBeNull();
+    expect(fs.readFileSync(health.artifactPath('flipkart', saved[2].html), 'utf8')).toBe('<html>2</html>');
+    expect(health.artifactPath('flipkart', '../checks.jsonl')).toBeNull();
+    expect(health.artifactPath('..', saved[2].html)).toBeNull();
+  });
+
+  test('a check or artifact that cannot be written is logged, not thrown', () => {
+    const warnings = [];
+    const log = { warn: (msg, fields) => warnings.push([msg, fields.site, fields.error.code]) };
+    // a file standing where the directories should be
+    fs.writeFileSync(path.join(dir, 'blocked'), '');
+    const blocked = new SelectorHealth({ file: path.join(dir, 'blocked', 'checks.jsonl'), artifactsDir: path.join(dir, 'blocked'), log, now: () => t });
+
+    expect(blocked.record(check({ health: 'ok' }))).toMatchObject({ t: T0, site: 'amazon' });
+    expect(blocked.saveArtifacts('amazon', 'iphone 15', { html: '<html></html>' })).toEqual({});
+    expect(blocked.bySite.get('amazon')).toHaveLength(1);
+    expect(warnings).toEqual([
+      ['selector health check could not be appended', 'amazon', 'EEXIST'],
+      ['selector health artifacts could not be saved', 'amazon', 'ENOTDIR']
+    ]);
+  });
+});
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const adapters = require('../adapters');
+const { loadConfig } = require('../lib/config');
+const { readSnapshot, domPage, PRODUCT_PAGE_DIR } = require('../lib/snapshots');
+const { PriceComparisonServer, WATCHLIST_BATCH_SIZE } = require('../server');
+
+let dir;
+let server;
+let listener;
+
+// A server on the built-in defaults with its files in a temp dir. Nothing listens and no browser is launched:
+// those happen in start(), which these tests never call.
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+  const env = {
+    LOG_LEVEL: 'error',
+    LOG_FILE: '',
+    PRICE_HISTORY_FILE: path.join(dir, 'price-history.jsonl'),
+    SELECTOR_HEALTH: '0',
+    SELECTOR_HEALTH_FILE: ''
+  };
+  server = new PriceComparisonServer(loadConfig({ env, knownSites: adapters.ids() }));
+  // entries stay queryable through the log buffer, off stdout
+  server.logger.store.write = () => {};
+});
+
+afterEach(async () => {
+  if (listener) {
+    listener.closeAllConnections();
+    await new Promise(resolve => listener.close(resolve));
+  }
+  listener = null;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Base URL of the server, listening on a free local port
+async function baseUrl() {
+  if (!listener) await new Promise(resolve => { listener = server.app.listen(0, '127.0.0.1', resolve); });
+  return `http://127.0.0.1:${listener.address().port}`;
+}
+
+// JSON request to the server's routes
+async function request(method, route, body) {
+  const response = await fetch(`${await baseUrl()}${route}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Pooled pages hold the saved product page <site>/<name> instead of opening a browser
+function servePages(site, name) {
+  const { html, meta } = readSnapshot(site, name, PRODUCT_PAGE_DIR);
+  server.browserPool.withPage = async (fn) => fn(domPage(html, meta.url));
+  return meta.url;
+}
+
+const listing = (site, n, price) => ({
+  id: `${site}:P${n}`,
+  platform: adapters.get(site).platform,
+  name: `Apple iPhone 15 (128 GB) - Black ${site}`,
+  price,
+  currency: 'INR',
+  link: `https://example.com/${site}/${n}`
+});
+
+describe('scrapeMultipleSites', () => {
+  test('a site that outlives its own timeout is reported as timed out; the others are still returned', async () => {
+    server.siteTimeoutMs = 50;
+    server.scrapeSiteCached = async (site) => {
+      if (site === 'myntra') return new Promise(() => {});
+      return { items: [listing(site, 1, 69900)], cached: false, ageMs: 0, stale: false };
+    };
+
+    const outcome = await server.scrapeMultipleSites('iphone 15', { deadlineMs: 5000 });
+    expect(outcome.partial).toBe(false);
+    expect(outcome.sites.myntra).toMatchObject({ status: 'timeout', count: 0, reason: 'myntra timed out after 50ms' });
+    expect(outcome.sites.amazon).toMatchObject({ status: 'ok', count: 1 });
+    expect(outcome.results.map(p => p.id).sort()).toEqual(['amazon:P1', 'flipkart:P1', 'snapdeal:P1']);
+    expect(outcome.results.find(p => p.id === 'amazon:P1')).toMatchObject({ site: 'amazon', region: 'in' });
+  });
+
+  test('the request deadline ends the search; sites it never got to are a partial result', async () => {
+    // one page at a time: amazon answers, flipkart hangs until the deadline, myntra and snapdeal wait behind it
+    server.browserPool.size = 1;
+    server.browserPool.maxPagesPerBrowser = 1;
+    server.scrapeSiteCached = async (site) => {
+      if (site !== 'amazon') return new Promise(() => {});
+      return { items: [listing(site, 1, 71999)], cached: true, ageMs: 1000, stale: false };
+    };
+
+    const startedAt = Date.now();
+    const outcome = await server.scrapeMultipleSites('iphone 15', { deadlineMs: 100 });
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+    expect(outcome.partial).toBe(true);
+    expect(outcome.sites).toMatchObject({
+      amazon: { status: 'ok', count: 1, cached: true },
+      flipkart: { status: 'timeout', count: 0 },
+      myntra: { status: 'timeout', count: 0 },
+      snapdeal: { status: 'timeout', count: 0, reason: 'Request deadline exceeded' }
+    });
+    expect(outcome.results.map(p => p.id)).toEqual(['amazon:P1']);
+  });
+});
+
+describe('GET /api/compare-prices/stream', () => {
+  // The response's server-sent events as [event, data] pairs
+  const parseEvents = (text) => text.split('\n\n').filter(block => block.startsWith('event: ')).map(block => {
+    const [event, data] = block.split('\n');
+    return [event.slice('event: '.length), JSON.parse(data.slice('data: '.length))];
+  });
+
+  test('sends each store as it finishes, then the merged list', async () => {
+    server.scrapeSiteCached = async (site) => ({ items: site === 'myntra' ? [] : [listing(site, 1, site === 'amazon' ? 69900 : 71999)], cached: false, ageMs: 0, stale: false });
+    const response = await fetch(`${await baseUrl()}/api/compare-prices/stream?query=iphone%2015&platforms=amazon,flipkart,myntra`);
+    expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+    const events = parseEvents(await response.text());
+    expect(events.map(([event, data]) => `${event}:${data.site || ''}`).sort()).toEqual(['done:', 'site:amazon', 'site:flipkart', 'site:myntra']);
+    expect(events[events.length - 1][0]).toBe('done');
+    const sites = Object.fromEntries(events.filter(([event]) => event === 'site').map(([, data]) => [data.site, data]));
+    expect(sites.amazon).toMatchObject({ platform: 'Amazon', status: 'ok', count: 1, results: [{ id: 'amazon:P1', price: 69900 }] });
+    expect(sites.myntra).toMatchObject({ status: 'empty', count: 0, results: [] });
+    expect(events[events.length - 1][1].results.map(p => p.id)).toEqual(['amazon:P1', 'flipkart:P1']);
+  });
+
+  test('rejects a bad query before streaming', async () => {
+    expect(await request('GET', '/api/compare-prices/stream?query=')).toMatchObject({ status: 400 });
+  });
+
+  test('a client that disconnects stops the search', async () => {
+    server.siteTimeoutMs = 200;
+    server.scrapeSiteCached = () => new Promise(() => {});
+    let searchSignal;
+    const scrapeMultipleSites = server.scrapeMultipleSites.bind(server);
+    server.scrapeMultipleSites = (query, options) => {
+      searchSignal = options.signal;
+      return scrapeMultipleSites(query, options);
+    };
+    const client = new AbortController();
+    const response = await fetch(`${await baseUrl()}/api/compare-prices/stream?query=iphone%2015`, { signal: client.signal });
+    expect(response.status).toBe(200);
+    expect(searchSignal.aborted).toBe(false);
+
+    client.abort();
+    await new Promise(resolve => searchSignal.addEventListener('abort', resolve, { once: true }));
+    expect(searchSignal.aborted).toBe(true);
+  });
+});
+
+describe('POST /api/product', () => {
+  test('reads the product page and records its price', async () => {
+    const url = servePages('flipkart', 'iphone-15');
+    const { status, body } = await request('POST', '/api/product', { url });
+    expect(status).toBe(200);
+    expect(body.product).toMatchObject({
+      id: 'flipkart:MOBGTAGPTB3VS24W',
+      title: 'Apple iPhone 15 (Black, 128 GB)',
+      price: 65999,
+      currency: 'INR',
+      mrp: 79900,
+      inStock: true,
+      sources: ['json-ld', 'css']
+    });
+    expect(server.priceHistory.series({ id: 'flipkart:MOBGTAGPTB3VS24W' }).listings).toMatchObject([
+      { id: 'flipkart:MOBGTAGPTB3VS24W', region: 'in', currency: 'INR', points: [{ price: 65999 }] }
+    ]);
+  });
+
+  test('rejects URLs that are not http(s) or point at internal addresses', async () => {
+    expect(await request('POST', '/api/product', { url: 'ftp://www.flipkart.com/p/1' })).toEqual({ status: 400, body: { error: 'url must be an http(s) product URL' } });
+    expect(await request('POST', '/api/product', { url: 'http://127.0.0.1:3000/metrics' })).toEqual({ status: 400, body: { error: '127.0.0.1 is an internal address' } });
+  });
+
+  test('a page the adapter cannot read is a 500 with the reason', async () => {
+    const url = 'https://www.amazon.in/dp/B0CHX1W1XY';
+    server.browserPool.withPage = async (fn) => fn(domPage('<html><body><h1>Page not found</h1></body></html>', url));
+    const { status, body } = await request('POST', '/api/product', { url });
+    expect(status).toBe(500);
+    expect(body).toEqual({ error: 'Failed to fetch product details', message: 'no product title or price on the page' });
+  });
+});
+
+test('GET /api/regions gives each store\'s product links and title and price selectors', async () => {
+  const { status, body } = await request('GET', '/api/regions');
+  expect(status).toBe(200);
+  const amazonUs = body.regions.find(r => r.code === 'us').stores.find(store => store.site === 'amazon');
+  expect(amazonUs).toMatchObject({ platform: 'Amazon', hosts: ['amazon.com'] });
+  expect(amazonUs.productPatterns.length).toBeGreaterThan(0);
+  expect(amazonUs.detailSelectors.title).toContain('#productTitle');
+  expect(amazonUs.detailSelectors.price.length).toBeGreaterThan(0);
+});
+
+describe('POST /api/compare-product', () => {
+  const flipkartUrl = 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W';
+
+  test('searches the other stores for the product the page shows, without loading the page', async () => {
+    server.scrapeProductDetail = () => { throw new Error('the page is not loaded'); };
+    const queries = [];
+    server.scrapeSiteCached = async (site, query) => {
+      queries.push(query);
+      const items = {
+        amazon: [{ id: 'amazon:B0CHX1W1XY', platform: 'Amazon', name: 'Apple iPhone 15 (128 GB) - Black', price: 63999, currency: 'INR', link: 'https://www.amazon.in/dp/B0CHX1W1XY' }],
+        flipkart: [{ id: 'flipkart:MOBGTAGPTB3VS24W', platform: 'Flipkart', name: 'Apple iPhone 15 (Black, 128 GB)', price: 65999, currency: 'INR', link: flipkartUrl }],
+        myntra: [{ id: 'myntra:24535346', platform: 'Myntra', name: 'Apple iPhone 15 Silicone Case with MagSafe', price: 4900, currency: 'INR', link: 'https://www.myntra.com/24535346/buy' }]
+      }[site] || [];
+      return { items, cached: false, ageMs: 0, stale: false };
+    };
+
+    const { status, body } = await request('POST', '/api/compare-product', {
+      url: flipkartUrl,
+      product: { title: 'Apple iPhone 15 (Black, 128 GB)', brand: 'Apple', price: 65999 }
+    });
+    expect(status).toBe(200);
+    expect(new Set(queries)).toEqual(new Set(['Apple iPhone 15 (Black, 128 GB)']));
+    expect(body.product).toMatchObject({ id: 'flipkart:MOBGTAGPTB3VS24W', platform: 'Flipkart', price: 65999, currency: 'INR', displayPrice: 65999 });
+    expect(body.matched).toBe(true);
+    expect(body.offers.map(o => [o.id, o.price])).toEqual([['amazon:B0CHX1W1XY', 63999]]);
+  });
+
+  test('rejects a page without a title, a bad price or URL', async () => {
+    expect(await request('POST', '/api/compare-product', { url: flipkartUrl, product: { price: 65999 } })).toEqual({ status: 400, body: { error: 'product.title must be the product name on the page' } });
+    expect(await request('POST', '/api/compare-product', { url: flipkartUrl, product: { title: 'Apple iPhone 15', price: '65,999' } })).toEqual({ status: 400, body: { error: 'product.price must be a positive number' } });
+    expect(await request('POST', '/api/compare-product', { url: 'https://', product: { title: 'Apple iPhone 15' } })).toEqual({ status: 400, body: { error: 'url must be an http(s) product URL' } });
+  });
+});
+
+describe('POST /api/watchlist/check', () => {
+  const watched = (n, overrides) => Object.assign({ id: `flipkart:P${n}`, site: 'flipkart', query: 'iphone 15' }, overrides);
+
+  test('rejects an empty or oversized batch and items it cannot check', async () => {
+    const tooMany = Array.from({ length: WATCHLIST_BATCH_SIZE + 1 }, (_, n) => watched(n));
+    for (const items of [undefined, [], tooMany]) {
+      expect(await request('POST', '/api/watchlist/check', { items })).toEqual({
+        status: 400,
+        body: { error: `items must be a non-empty array of at most ${WATCHLIST_BATCH_SIZE} { id, site, region, query, link }`, maxItems: WATCHLIST_BATCH_SIZE }
+      });
+    }
+    const bad = { id: 'ebay:1', site: 'ebay', query: 'iphone 15' };
+    expect(await request('POST', '/api/watchlist/check', { items: [watched(1), bad] })).toEqual({
+      status: 400,
+      body: { error: 'Each item needs an id and either an http(s) product link or a known site and query', item: bad }
+    });
+  });
+
+  test('checks each product page and search once and reports failures per item', async () => {
+    const pages = [];
+    server.scrapeProductDetail = async (url) => {
+      pages.push(url);
+      if (url.includes('B0CHX1W1XY')) throw Object.assign(new Error('captcha page (#captcha)'), { siteStatus: 'captcha' });
+      return { id: 'flipkart:MOBGTAGPTB3VS24W', url, price: 64999, inStock: true, availability: null };
+    };
+    const searches = [];
+    server.scrapeSiteCached = async (site, query) => {
+      searches.push(`${site}/${query}`);
+      return { items: [{ id: 'myntra:24535346', price: 4900, link: 'https://www.myntra.com/24535346/buy' }] };
+    };
+
+    const flipkartLink = 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W';
+    const { status, body } = await request('POST', '/api/watchlist/check', {
+      items: [
+        { id: 'flipkart:MOBGTAGPTB3VS24W', site: 'flipkart', query: 'iphone 15', link: flipkartLink },
+        { id: 'flipkart:MOBGTAGPTB3VS24W-copy', link: flipkartLink },
+        { id: 'amazon:B0CHX1W1XY', link: 'https://www.amazon.in/dp/B0CHX1W1XY' },
+        { id: 'myntra:24535346', site: 'myntra', query: 'iphone case' },
+        { id: 'myntra:99999999', site: 'myntra', query: ' iphone case ' }
+      ]
+    });
+    expect(status).toBe(200);
+    expect(pages.sort()).toEqual(['https://www.amazon.in/dp/B0CHX1W1XY', flipkartLink]);
+    expect(searches).toEqual(['myntra/iphone case']);
+    const checkedAt = expect.any(String);
+    expect(body.items).toEqual([
+      { id: 'flipkart:MOBGTAGPTB3VS24W', checked: true, inStock: true, price: 64999, link: flipkartLink, availability: null, checkedAt },
+      { id: 'flipkart:MOBGTAGPTB3VS24W-copy', checked: true, inStock: true, price: 64999, link: flipkartLink, availability: null, checkedAt },
+      { id: 'amazon:B0CHX1W1XY', checked: false, error: 'captcha page (#captcha)', checkedAt },
+      { id: 'myntra:24535346', checked: true, inStock: true, price: 4900, link: 'https://www.myntra.com/24535346/buy', checkedAt },
+      { id: 'myntra:99999999', checked: true, inStock: false, price: null, link: null, checkedAt }
+    ]);
+  });
+
+  test('searches the storefront of the item\'s region', async () => {
+    const searches = [];
+    server.scrapeSiteCached = async (site, query, { region }) => {
+      searches.push(`${site}/${region}/${query}`);
+      return { items: [{ id: 'amazon-us:B0CHHSDWW7', price: 799, link: 'https://www.amazon.com/dp/B0CHHSDWW7' }] };
+    };
+    const { status, body } = await request('POST', '/api/watchlist/check', {
+      items: [{ id: 'amazon-us:B0CHHSDWW7', site: 'amazon', region: 'us', query: 'iphone 15' }]
+    });
+    expect(status).toBe(200);
+    expect(searches).toEqual(['amazon/us/iphone 15']);
+    expect(body.items).toMatchObject([{ id: 'amazon-us:B0CHHSDWW7', checked: true, inStock: true, price: 799 }]);
+
+    // a store that has no storefront in the region cannot be searched there
+    const flipkartUs = { id: 'flipkart-us:P1', site: 'flipkart', region: 'us', query: 'iphone 15' };
+    expect(await request('POST', '/api/watchlist/check', { items: [flipkartUs] })).toMatchObject({ status: 400, body: { item: flipkartUs } });
+  });
+
+  test('items not checked by the request deadline come back unchecked', async () => {
+    server.requestDeadlineMs = 100;
+    server.siteTimeoutMs = 200;
+    server.scrapeProductDetail = () => new Promise(() => {});
+    const { status, body } = await request('POST', '/api/watchlist/check', { items: [watched(1, { link: 'https://www.flipkart.com/p/itm1?pid=MOBGTAGPTB3VS24W' })] });
+    expect(status).toBe(200);
+    expect(body.items).toEqual([{ id: 'flipkart:P1', checked: false, error: 'Request deadline exceeded', checkedAt: expect.any(String) }]);
+  });
+});
@@ -0,0 +1,41 @@
+const { normalizeDetect, classifyPage, siteFailure, describeFailure, DEFAULT_DETECT } = require('../lib/site-status');
+const adapters = require('../adapters');
+
+test('adapter markers are added to the defaults', () => {
+  const detect = normalizeDetect({ captcha: { selectors: ['form[action*="validateCaptcha"]'] }, empty: { text: ['no results for'] } });
+  expect(detect.captcha.selectors).toEqual(expect.arrayContaining(DEFAULT_DETECT.captcha.selectors.concat('form[action*="validateCaptcha"]')));
+  expect(detect.blocked.text).toEqual(DEFAULT_DETECT.blocked.text);
+  expect(detect.empty).toEqual({ selectors: [], text: ['no results for'], urls: [] });
+  expect(() => normalizeDetect({ blocked: { text: 'access denied' } })).toThrow('detect.blocked.text must be an array');
+  expect(() => normalizeDetect({ empty: { text: ['(unclosed'] } })).toThrow('invalid pattern');
+});
+
+test('every adapter knows what its "no results" page looks like', () => {
+  for (const adapter of adapters.all()) {
+    const { empty } = adapter.detect;
+    expect(empty.selectors.length + empty.text.length).toBeGreaterThan(0);
+  }
+});
+
+test('classifies pages without products', () => {
+  const inspection = (found) => Object.assign({ tiles: 0, captcha: null, blocked: null, empty: null }, found);
+  expect(classifyPage({ inspection: inspection({ captcha: '"not a robot"' }) })).toEqual({ status: 'captcha', reason: 'captcha page ("not a robot")' });
+  expect(classifyPage({ inspection: inspection({ blocked: 'url /account/login' }) }).status).toBe('blocked');
+  expect(classifyPage({ httpStatus: 429, inspection: inspection() })).toEqual({ status: 'blocked', reason: 'HTTP 429' });
+  // a captcha outranks the store's "no results" wording that some challenge pages also carry
+  expect(classifyPage({ inspection: inspection({ captcha: '#captcha', empty: '"no results for"' }) }).status).toBe('captcha');
+  expect(classifyPage({ httpStatus: 200, inspection: inspection({ empty: '"no results for"' }) }).status).toBe('empty');
+  expect(classifyPage({ httpStatus: 404, inspection: inspection() }).status).toBe('navigation-error');
+  expect(classifyPage({ httpStatus: 200, inspection: inspection() })).toEqual({ status: 'selector-miss', reason: 'no element matched the item selector' });
+  expect(classifyPage({ rawCount: 0, inspection: inspection({ tiles: 12 }) }).reason).toBe('12 tiles matched but none had a name and price');
+});
+
+test('maps scrape errors to a status and reason', () => {
+  expect(describeFailure(siteFailure('captcha', 'captcha page (#captcha)'))).toEqual({ status: 'captcha', reason: 'captcha page (#captcha)' });
+  const deadline = Object.assign(new Error('amazon timed out after 25000ms'), { code: 'ETIMEDOUT' });
+  expect(describeFailure(deadline)).toEqual({ status: 'timeout', reason: 'amazon timed out after 25000ms' });
+  const navigation = Object.assign(new Error('Navigation timeout of 30000 ms exceeded'), { name: 'TimeoutError' });
+  expect(describeFailure(navigation).status).toBe('timeout');
+  expect(describeFailure(new Error('net::ERR_NAME_NOT_RESOLVED at https://www.flipkart.com/search?q=x')).status).toBe('navigation-error');
+  expect(describeFailure(new Error('Pool acquire timeout')).status).toBe('error');
+});
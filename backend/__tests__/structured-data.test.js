@@ -0,0 +1,176 @@
+const { structuredProducts, structuredProduct } = require('../lib/structured-data');
+const { toStructuredProducts, toStructuredDetail, mergeProducts, mergeDetail, toProducts } = require('../lib/extract');
+const adapters = require('../adapters');
+
+// What readStructuredData returns for a search page: an ItemList in JSON-LD plus one tile in microdata
+const SEARCH_PAGE = {
+  jsonld: [
+    { '@context': 'https://schema.org', '@type': 'BreadcrumbList', itemListElement: [] },
+    {
+      '@context': 'https://schema.org',
+      '@type': 'ItemList',
+      itemListElement: [
+        {
+          '@type': 'ListItem',
+          position: 1,
+          item: {
+            '@type': 'Product',
+            name: 'Apple iPhone 15 (Black, 128 GB)',
+            url: '/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W',
+            image: ['https://rukminim2.flixcart.com/image/a.jpeg'],
+            offers: { '@type': 'Offer', price: '69900', priceCurrency: 'INR', availability: 'https://schema.org/InStock' },
+            aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.6', ratingCount: '1,24,552' },
+            isSimilarTo: { '@type': 'Product', name: 'Apple iPhone 15 Plus', offers: { price: 79900 } }
+          }
+        },
+        {
+          '@type': 'ListItem',
+          position: 2,
+          item: { '@type': 'Product', name: 'Apple iPhone 15 (Blue, 256 GB)', url: '/p/itm1?pid=MOBGTAGPNMZA5PU5', offers: { '@type': 'AggregateOffer', lowPrice: 79900, highPrice: 81900, priceCurrency: 'INR' } }
+        },
+        { '@type': 'ListItem', position: 3, item: { '@type': 'Product', name: 'Apple iPhone 15 Pro', url: '/p/itm2?pid=MOBGTAGPYYWZRUJX' } }
+      ]
+    }
+  ],
+  microdata: [
+    { '@type': 'https://schema.org/Product', name: 'Apple iPhone 15 (Black, 128 GB)', url: '/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W', offers: { '@type': 'https://schema.org/Offer', price: '69,900' } },
+    { '@type': 'https://schema.org/Product', name: 'Apple iPhone 15 (Pink, 128 GB)', url: '/p/itm3?pid=MOBGTAGPZXQ5CKKF', offers: { '@type': 'https://schema.org/Offer', price: '70,999', priceCurrency: 'INR' } }
+  ],
+  meta: {}
+};
+
+test('structuredProducts lists every priced product once, skipping related products', () => {
+  const products = structuredProducts(SEARCH_PAGE, 'https://www.flipkart.com/search?q=iphone+15');
+  expect(products.map(p => [p.name, p.price])).toEqual([
+    ['Apple iPhone 15 (Black, 128 GB)', 69900],
+    ['Apple iPhone 15 (Blue, 256 GB)', 79900],
+    ['Apple iPhone 15 (Pink, 128 GB)', 70999]
+  ]);
+  expect(products[0]).toMatchObject({
+    url: 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W',
+    images: ['https://rukminim2.flixcart.com/image/a.jpeg'],
+    currency: 'INR',
+    availability: 'In stock',
+    inStock: true,
+    rating: 4.6,
+    ratingCount: 124552
+  });
+});
+
+test('structured listings lead and take the sponsored flag and missing fields from their CSS tile', () => {
+  const flipkart = adapters.get('flipkart');
+  const structured = toStructuredProducts(flipkart, structuredProducts(SEARCH_PAGE, 'https://www.flipkart.com/search'), 'https://www.flipkart.com/search');
+  const css = toProducts(flipkart, [
+    { name: 'Apple iPhone 15 (Pink, 128 GB)', price: '₹70,999₹79,90011% off', image: 'https://rukminim2.flixcart.com/image/pink.jpeg', rating: '4.6', link: '/p/itm3?pid=MOBGTAGPZXQ5CKKF', sponsored: true },
+    { name: 'Apple iPhone 15 (Green, 128 GB)', price: '₹69,999', image: null, rating: null, link: '/p/itm4?pid=MOBGTAGPAQNVFZZY', sponsored: false }
+  ], 'https://www.flipkart.com/search');
+
+  const merged = mergeProducts(structured, css, 8);
+  expect(merged.map(p => p.id)).toEqual([
+    'flipkart:MOBGTAGPTB3VS24W',
+    'flipkart:MOBGTAGPNMZA5PU5',
+    'flipkart:MOBGTAGPZXQ5CKKF',
+    'flipkart:MOBGTAGPAQNVFZZY'
+  ]);
+  expect(merged[2]).toMatchObject({ price: 70999, mrp: 79900, discountPercent: 11, image: 'https://rukminim2.flixcart.com/image/pink.jpeg', rating: 4.6, sponsored: true });
+  expect(merged[0]).toMatchObject({ link: 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W', sponsored: false });
+  expect(mergeProducts([], css, 8)).toBe(css);
+  expect(mergeProducts(structured, css, 2)).toHaveLength(2);
+});
+
+describe('product pages', () => {
+  const PRODUCT_PAGE = {
+    jsonld: [{
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'WebSite', name: 'Croma' },
+        {
+          '@type': ['Product'],
+          name: 'Sony WH-1000XM5 Wireless Headphones',
+          brand: { '@type': 'Brand', name: 'Sony' },
+          sku: '245876',
+          offers: [
+            { '@type': 'Offer', price: 29990, priceCurrency: 'INR', availability: 'OutOfStock', seller: { '@type': 'Organization', name: 'Croma Outlet' } },
+            {
+              '@type': 'Offer',
+              price: 31990,
+              priceCurrency: 'INR',
+              availability: 'https://schema.org/InStock',
+              seller: { '@type': 'Organization', name: 'Croma' },
+              priceSpecification: { '@type': 'UnitPriceSpecification', priceType: 'https://schema.org/ListPrice', price: 34990, priceCurrency: 'INR' }
+            }
+          ],
+          aggregateRating: { '@type': 'AggregateRating', ratingValue: 9, bestRating: 10, reviewCount: 87 },
+          additionalProperty: [{ '@type': 'PropertyValue', name: 'Battery life', value: '30 hours' }]
+        }
+      ]
+    }],
+    microdata: [],
+    meta: { 'og:type': 'product', 'og:title': 'Buy Sony WH-1000XM5', 'og:image': 'https://media.croma.com/sony.png', 'product:price:amount': '31990' }
+  };
+
+  test('structuredProduct takes the JSON-LD product and fills its gaps from OpenGraph', () => {
+    expect(structuredProduct(PRODUCT_PAGE, 'https://www.croma.com/sony-wh-1000xm5/p/245876')).toEqual({
+      sources: ['json-ld', 'opengraph'],
+      name: 'Sony WH-1000XM5 Wireless Headphones',
+      brand: 'Sony',
+      sku: '245876',
+      url: null,
+      images: ['https://media.croma.com/sony.png'],
+      price: 31990,
+      currency: 'INR',
+      mrp: 34990,
+      seller: 'Croma',
+      availability: 'In stock',
+      inStock: true,
+      rating: 4.5,
+      ratingCount: 87,
+      specs: [['Battery life', '30 hours']]
+    });
+    expect(structuredProduct({ jsonld: [], microdata: [], meta: { 'og:type': 'website', 'og:title': 'Croma' } }, 'https://www.croma.com/')).toBeNull();
+  });
+
+  test('a store without an adapter is read through the generic adapter', () => {
+    const url = 'https://www.croma.com/sony-wh-1000xm5/p/245876';
+    const detail = mergeDetail(toStructuredDetail(adapters.generic(url), structuredProduct(PRODUCT_PAGE, url), url), null);
+    expect(detail).toMatchObject({
+      id: 'croma.com:/sony-wh-1000xm5/p/245876',
+      platform: 'croma.com',
+      title: 'Sony WH-1000XM5 Wireless Headphones',
+      price: 31990,
+      currency: 'INR',
+      mrp: 34990,
+      discountPercent: 9,
+      inStock: true,
+      specs: { 'Battery life': '30 hours' },
+      sources: ['json-ld', 'opengraph']
+    });
+  });
+
+  test('the adapter selectors fill what the structured data leaves out', () => {
+    const amazon = adapters.get('amazon');
+    const url = 'https://www.amazon.in/dp/B0CHX1W1XY';
+    const structured = toStructuredDetail(amazon, structuredProduct({ jsonld: [{ '@type': 'Product', name: 'Apple iPhone 15 (128 GB) - Black', offers: { price: '69900.00' } }], microdata: [], meta: {} }, url), url);
+    const css = {
+      id: 'amazon:B0CHX1W1XY',
+      platform: 'Amazon',
+      url,
+      title: 'Apple iPhone 15 (128 GB) - Black',
+      brand: 'Apple',
+      price: 71900,
+      currency: 'INR',
+      mrp: 79900,
+      discountPercent: 10,
+      seller: 'Appario Retail',
+      availability: 'In stock',
+      inStock: true,
+      delivery: 'FREE delivery Tomorrow',
+      rating: 4.5,
+      ratingCount: 1024,
+      specs: { Brand: 'Apple' },
+      images: ['https://m.media-amazon.com/images/I/a.jpg']
+    };
+    expect(mergeDetail(structured, css)).toEqual(Object.assign({}, css, { price: 69900, discountPercent: 13, sources: ['json-ld', 'css'] }));
+    expect(mergeDetail(null, css).sources).toEqual(['css']);
+  });
+});
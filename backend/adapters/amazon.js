@@ -0,0 +1,89 @@
+const { parseRating } = require('../lib/parsers');
+const { parsePriceText } = require('../lib/price-parser');
+
+module.exports = {
+  id: 'amazon',
+  platform: 'Amazon',
+  searchUrl: 'https://www.amazon.in/s?k={query}',
+  pageUrl: 'https://www.amazon.in/s?k={query}&page={page}',
+  linkBase: 'https://amazon.in',
+  itemSelector: '[data-component-type="s-search-result"], div.s-main-slot > div',
+  // sponsored tiles link through /sspa/click?...&url=%2F...%2Fdp%2F<ASIN>
+  idPatterns: ['/dp/([A-Z0-9]{10})', '/gp/product/([A-Z0-9]{10})', '%2Fdp%2F([A-Z0-9]{10})'],
+  hosts: ['amazon.in'],
+  maxItems: 8,
+  canaryQueries: ['iphone 15', 'usb c cable'],
+  // sponsored tiles carry the AdHolder class and a "Sponsored" label above the title
+  sponsored: {
+    selectors: ['.AdHolder', '[data-component-type="sp-sponsored-result"]', '.puis-sponsored-label-text', '.s-sponsored-label-info-icon'],
+    labels: ['Sponsored']
+  },
+  // the /errors/validateCaptcha interstitial, the automated-access notice and the "No results for" banner
+  detect: {
+    captcha: { selectors: ['form[action*="validateCaptcha"]'], text: ['type the characters you see', 'enter the characters you see below'] },
+    blocked: { text: ['to discuss automated access to amazon data'] },
+    empty: { text: ['no results for', 'keine ergebnisse für'] }
+  },
+  // same page layout on the other storefronts; only the domain and currency change
+  regions: {
+    us: {
+      searchUrl: 'https://www.amazon.com/s?k={query}',
+      pageUrl: 'https://www.amazon.com/s?k={query}&page={page}',
+      linkBase: 'https://amazon.com',
+      hosts: ['amazon.com']
+    },
+    uk: {
+      searchUrl: 'https://www.amazon.co.uk/s?k={query}',
+      pageUrl: 'https://www.amazon.co.uk/s?k={query}&page={page}',
+      linkBase: 'https://amazon.co.uk',
+      hosts: ['amazon.co.uk']
+    },
+    de: {
+      searchUrl: 'https://www.amazon.de/s?k={query}',
+      pageUrl: 'https://www.amazon.de/s?k={query}&page={page}',
+      linkBase: 'https://amazon.de',
+      hosts: ['amazon.de'],
+      // "1.299,00 €", "4,5 von 5 Sternen"
+      decimalSeparator: ',',
+      sponsored: {
+        selectors: ['.AdHolder', '[data-component-type="sp-sponsored-result"]', '.puis-sponsored-label-text'],
+        labels: ['Gesponsert', 'Sponsored']
+      },
+      parseRating: (text) => parseRating(text.split(' ')[0].replace(',', '.'))
+    }
+  },
+  fields: {
+    name: { selectors: ['h2 a span', '.a-size-medium.a-color-base.a-text-normal', '.s-title-instructions-style'] },
+    price: { selectors: ['.a-price .a-offscreen', '.a-price-whole'] },
+    mrp: { selectors: ['.a-price.a-text-price .a-offscreen', '.a-text-price'] },
+    image: { selectors: ['img.s-image', 'img[data-image-latency]'], from: ['src', 'data-src'] },
+    rating: { selectors: ['.a-icon-alt'] },
+    link: { selectors: ['h2 a', 'a.a-link-normal.s-no-outline'], from: ['href'] },
+    asin: { selectors: [], from: ['data-asin'] }
+  },
+  detail: {
+    fields: {
+      title: { selectors: ['#productTitle', '#title'] },
+      price: { selectors: ['.priceToPay .a-offscreen', '#corePriceDisplay_desktop_feature_div .a-price .a-offscreen', '#priceblock_dealprice', '#priceblock_ourprice'] },
+      mrp: { selectors: ['.basisPrice .a-offscreen', '#corePriceDisplay_desktop_feature_div .a-text-price .a-offscreen', '.priceBlockStrikePriceString'] },
+      seller: { selectors: ['#sellerProfileTriggerId', '#merchant-info a', '#merchant-info'] },
+      availability: { selectors: ['#availability span', '#availability', '#outOfStock'] },
+      delivery: { selectors: ['#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE', '#deliveryBlockMessage'] },
+      rating: { selectors: ['#acrPopover'], from: ['title', 'text'] },
+      ratingCount: { selectors: ['#acrCustomerReviewText'] }
+    },
+    lists: {
+      images: { selectors: ['#landingImage', '#altImages img'], from: ['data-old-hires', 'src'] }
+    },
+    specs: {
+      rows: ['#productDetails_techSpec_section_1 tr', '#productOverview_feature_div tr', '#productDetails_detailBullets_sections1 tr'],
+      key: { selectors: ['th', 'td:first-child'] },
+      value: { selectors: ['td:last-child'] }
+    }
+  },
+  parsePriceText,
+  // "4.3 out of 5 stars"
+  parseRating: (text) => parseRating(text.split(' ')[0]),
+  // some tiles have no title link; the ASIN is enough to build one
+  fallbackLink: (raw) => (raw.asin ? `/dp/${raw.asin}` : null)
+};
@@ -0,0 +1,56 @@
+const { parseRating } = require('../lib/parsers');
+const { parsePriceText } = require('../lib/price-parser');
+
+module.exports = {
+  id: 'flipkart',
+  platform: 'Flipkart',
+  searchUrl: 'https://www.flipkart.com/search?q={query}',
+  pageUrl: 'https://www.flipkart.com/search?q={query}&page={page}',
+  linkBase: 'https://flipkart.com',
+  itemSelector: 'div._1AtVbE, div._2kHMtA, div._3pLy-c',
+  idPatterns: ['[?&]pid=([A-Z0-9]+)', '/p/(itm[a-z0-9]+)'],
+  hosts: ['flipkart.com'],
+  maxItems: 8,
+  canaryQueries: ['iphone 15', 'bluetooth speaker'],
+  // the login modal pops up just after the results render
+  wait: { settleMs: 400 },
+  // login modal that covers the results on first visit
+  dismissSelectors: ['button._2KpZ6l._2doB4z'],
+  // bots are bounced to the login page instead of getting results
+  detect: {
+    blocked: { urls: ['/account/login'] },
+    empty: { text: ['sorry, no results found'] }
+  },
+  // promoted tiles get a small "Ad" tag next to the rating
+  sponsored: { selectors: ['._4HTuuX'], labels: ['Ad', 'Sponsored'] },
+  fields: {
+    name: { selectors: ['a.s1Q9rs', '._4rR01T', 'a[title]'], from: ['text', 'title'] },
+    price: { selectors: ['._30jeq3', '._25b18c'] },
+    mrp: { selectors: ['._3I9_wc'] },
+    image: { selectors: ['img'], from: ['src', 'data-src'] },
+    rating: { selectors: ['._3LWZlK'] },
+    link: { selectors: ['a[href]'], from: ['href'] }
+  },
+  detail: {
+    fields: {
+      title: { selectors: ['span.B_NuCI', 'h1 span', 'h1'] },
+      price: { selectors: ['div._30jeq3._16Jk6d', 'div._30jeq3'] },
+      mrp: { selectors: ['div._3I9_wc._2p6lqe', 'div._3I9_wc'] },
+      seller: { selectors: ['#sellerName span span', '#sellerName'] },
+      availability: { selectors: ['div._16FRp0', 'div._1dVbu9'] },
+      delivery: { selectors: ['div._3XINqE', 'div._1TPvTK'] },
+      rating: { selectors: ['div._3LWZlK'] },
+      ratingCount: { selectors: ['span._2_R_DZ span span', 'span._2_R_DZ'] }
+    },
+    lists: {
+      images: { selectors: ['img._396cs4', 'div._2mLllQ img', 'img.q6DClP'], from: ['src'] }
+    },
+    specs: {
+      rows: ['table._14cfVK tr'],
+      key: { selectors: ['td._1hKmbr', 'td:first-child'] },
+      value: { selectors: ['td.URwL2w', 'td:last-child'] }
+    }
+  },
+  parsePriceText,
+  parseRating
+};
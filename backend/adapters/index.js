@@ -0,0 +1,306 @@
+// Site adapter registry.
+//
+// Every other file in this directory (.js module or .json definition) describes one store:
+//   id             - registry key used by the API (?site=amazon)
+//   platform       - display name put on each result
+//   searchUrl      - URL template with a {query} placeholder, or buildSearchUrl(query, page) in a .js module
+//   pageUrl        - template for result pages after the first, with {query} and {page} placeholders
+//   maxPages       - how many result pages a deep search may walk (default 3 with pageUrl, else 1)
+//   itemSelector   - CSS selector for one result tile
+//   fields         - { name, price, image, rating, link, ... }: { selectors: [...fallbacks], from: ['text' | attribute, ...] }
+//   linkBase       - base used to resolve relative product links
+//   maxItems       - cap on results per result page
+//   canaryQueries  - searches that should always return results here; the selector health monitor
+//                    (lib/selector-health.js) runs them on a schedule to notice markup changes
+//   timeoutMs      - this store's time budget in a multi-site search (default: the server's scraping.siteTimeoutMs)
+//   wait           - when a loaded page is ready: { until, selector, timeoutMs, settleMs }. until is "selector"
+//                    (default: DOMContentLoaded, then wait up to timeoutMs for `selector`, default itemSelector) or
+//                    a Puppeteer waitUntil event ("load", "networkidle2", ...); settleMs is an extra fixed sleep
+//   settleMs       - shorthand for wait.settleMs
+//   requests       - request interception (lib/request-policy.js): { blockTypes, allowTypes, blockDomains, allowDomains }
+//                    on top of the default image/media/font and tracker blocking, or false to load everything
+//   detect         - markers that tell a captcha, bot wall or "no results" page apart from broken selectors
+//                    (lib/site-status.js): { captcha, blocked, empty }, each { selectors, text, urls } where text
+//                    and urls are case-insensitive regexes for the page text and final URL; added to the defaults
+//   idPatterns     - regexes (strings) whose first group is the store's product id in a product link
+//   hosts          - hostnames of the store's product pages, matched as suffixes (amazon.in matches www.amazon.in)
+//   detail         - product page extraction: { fields: {...}, lists: {...}, specs: { rows, key, value } }
+//   structuredData - read the page's schema.org JSON-LD, microdata and OpenGraph product data before the selectors
+//                    (lib/structured-data.js); default true, false for a store whose structured data is wrong
+//   region         - storefront region of this definition (default "in"; see lib/regions.js)
+//   regions        - other storefronts of the same store: { us: { searchUrl, linkBase, hosts, currency, ... } },
+//                    each entry overriding the top-level keys for that region
+//   currency       - ISO code assumed when price text has no currency sign (default: the region's currency)
+//   sponsored      - ad placement markers: { selectors: [...], labels: [...] }. A tile is flagged sponsored when it
+//                    matches or contains one of the selectors, or holds an element whose whole text is one of the labels
+//   dismissSelectors, parsePriceText, parseRating, fallbackLink - optional; parsePriceText(text, { currency })
+//                    returns { price, mrp, discountPercent, currency, range } like lib/price-parser
+//
+// Adding a store means dropping a file here; server.js never needs to change. The server's config (lib/config.js)
+// can then switch a store off or change its maxItems, maxPages, timeoutMs and wait.timeoutMs through configure().
+const fs = require('fs');
+const path = require('path');
+const { parseRating } = require('../lib/parsers');
+const { parsePriceText } = require('../lib/price-parser');
+const { DEFAULT_REGION, REGIONS } = require('../lib/regions');
+const { buildRequestPolicy } = require('../lib/request-policy');
+const { normalizeDetect } = require('../lib/site-status');
+const { STRUCTURED_DATA_SELECTOR } = require('../lib/structured-data');
+
+const REQUIRED_FIELDS = ['name', 'price'];
+const WAIT_UNTIL = ['selector', 'domcontentloaded', 'load', 'networkidle0', 'networkidle2'];
+
+function normalizeField(name, field) {
+  if (typeof field === 'string') field = { selectors: [field] };
+  if (!field || !Array.isArray(field.selectors)) {
+    throw new Error(`field "${name}" needs a selectors array`);
+  }
+  return { selectors: field.selectors.slice(), from: Array.isArray(field.from) && field.from.length ? field.from.slice() : ['text'] };
+}
+
+function normalizeDetail(detail) {
+  if (!detail) return null;
+  const fields = {};
+  for (const [name, field] of Object.entries(detail.fields || {})) fields[name] = normalizeField(name, field);
+  if (!fields.title || !fields.price) throw new Error('detail needs title and price fields');
+  const lists = {};
+  for (const [name, field] of Object.entries(detail.lists || {})) lists[name] = normalizeField(name, field);
+  let specs = null;
+  if (detail.specs) {
+    if (!Array.isArray(detail.specs.rows)) throw new Error('detail.specs needs a rows array');
+    specs = {
+      rows: detail.specs.rows.slice(),
+      key: normalizeField('specs.key', detail.specs.key),
+      value: normalizeField('specs.value', detail.specs.value)
+    };
+  }
+  return { fields, lists, specs };
+}
+
+function normalizeWait(wait, settleMs) {
+  wait = wait || {};
+  const until = wait.until || 'selector';
+  if (!WAIT_UNTIL.includes(until)) throw new Error(`wait.until must be one of ${WAIT_UNTIL.join('|')}`);
+  return {
+    until,
+    selector: wait.selector || null,
+    timeoutMs: wait.timeoutMs || 10000,
+    settleMs: wait.settleMs != null ? wait.settleMs : (settleMs || 0)
+  };
+}
+
+function normalizeSponsored(sponsored) {
+  if (!sponsored) return { selectors: [], labels: [] };
+  const list = (value, name) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) throw new Error(`sponsored.${name} must be an array`);
+    return value.map(String);
+  };
+  return { selectors: list(sponsored.selectors, 'selectors'), labels: list(sponsored.labels, 'labels') };
+}
+
+function defineAdapter(def, source) {
+  const fail = (msg) => { throw new Error(`Invalid site adapter ${source}: ${msg}`); };
+  if (!def || typeof def !== 'object') fail('definition must be an object');
+  if (!def.id || typeof def.id !== 'string') fail('missing "id"');
+  if (!def.itemSelector) fail('missing "itemSelector"');
+  if (typeof def.buildSearchUrl !== 'function' && typeof def.searchUrl !== 'string') fail('needs "searchUrl" or buildSearchUrl()');
+  if (!def.fields) fail('missing "fields"');
+  const region = String(def.region || DEFAULT_REGION).toLowerCase();
+  if (!REGIONS[region]) fail(`unknown region "${region}"`);
+  for (const f of REQUIRED_FIELDS) {
+    if (!def.fields[f]) fail(`missing required field "${f}"`);
+  }
+
+  const fields = {};
+  let detail = null;
+  let sponsored = null;
+  let wait = null;
+  let requests = null;
+  let detect = null;
+  try {
+    for (const [name, field] of Object.entries(def.fields)) fields[name] = normalizeField(name, field);
+    detail = normalizeDetail(def.detail);
+    sponsored = normalizeSponsored(def.sponsored);
+    wait = normalizeWait(def.wait, def.settleMs);
+    requests = buildRequestPolicy(def.requests);
+    detect = normalizeDetect(def.detect);
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const template = def.searchUrl;
+  const pageTemplate = typeof def.pageUrl === 'string' ? def.pageUrl : null;
+  const fill = (tpl, query, page) => tpl.replace(/\{query\}/g, encodeURIComponent(query)).replace(/\{page\}/g, String(page));
+  const id = def.id.toLowerCase();
+  return Object.freeze(Object.assign({}, def, {
+    id,
+    region,
+    // product ids stay "<site>:<id>" in the default region; other storefronts get "<site>-<region>:<id>"
+    idPrefix: region === DEFAULT_REGION ? id : `${id}-${region}`,
+    platform: def.platform || def.id,
+    buildSearchUrl: typeof def.buildSearchUrl === 'function'
+      ? def.buildSearchUrl
+      : (query, page = 1) => (page > 1 && pageTemplate ? fill(pageTemplate, query, page) : fill(template, query, 1)),
+    maxPages: def.maxPages || (pageTemplate || typeof def.buildSearchUrl === 'function' ? 3 : 1),
+    linkBase: def.linkBase || null,
+    maxItems: def.maxItems || 8,
+    enabled: def.enabled !== false,
+    structuredData: def.structuredData !== false,
+    wait,
+    settleMs: wait.settleMs,
+    requests,
+    detect,
+    canaryQueries: (def.canaryQueries || []).map(String),
+    dismissSelectors: def.dismissSelectors || [],
+    idPatterns: (def.idPatterns || []).map(p => (p instanceof RegExp ? p : new RegExp(p))),
+    hosts: (def.hosts || []).map(h => h.toLowerCase()),
+    fields,
+    detail,
+    sponsored,
+    currency: def.currency || REGIONS[region].currency,
+    parsePriceText: typeof def.parsePriceText === 'function' ? def.parsePriceText : parsePriceText,
+    parseRating: typeof def.parseRating === 'function' ? def.parseRating : parseRating,
+    fallbackLink: typeof def.fallbackLink === 'function' ? def.fallbackLink : null
+  }));
+}
+
+// A store's config settings ({ enabled, maxItems, maxPages, timeoutMs, waitTimeoutMs }) on top of its definition
+function applySettings(def, settings) {
+  if (!settings) return def;
+  const out = Object.assign({}, def);
+  for (const key of ['enabled', 'maxItems', 'maxPages', 'timeoutMs']) {
+    if (settings[key] !== undefined) out[key] = settings[key];
+  }
+  if (settings.waitTimeoutMs !== undefined) out.wait = Object.assign({}, def.wait, { timeoutMs: settings.waitTimeoutMs });
+  return out;
+}
+
+// One adapter per storefront: the definition itself plus one per entry in its `regions`. `settings` (from the
+// server config) apply to every storefront and win over the definition's own values.
+function defineRegionalAdapters(def, source, settings) {
+  const adapters = [defineAdapter(applySettings(Object.assign({}, def, { regions: undefined }), settings), source)];
+  for (const [region, overrides] of Object.entries((def && def.regions) || {})) {
+    const merged = Object.assign({}, def, overrides, { region, regions: undefined });
+    // a region's searchUrl template replaces an inherited buildSearchUrl() and pageUrl (which point at the home storefront)
+    if (overrides.searchUrl && !overrides.buildSearchUrl) delete merged.buildSearchUrl;
+    if (overrides.searchUrl && !overrides.pageUrl) delete merged.pageUrl;
+    adapters.push(defineAdapter(applySettings(merged, settings), `${source} (${region})`));
+  }
+  return adapters;
+}
+
+// [{ def, file }] for every definition in the directory
+function loadDefinitions(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .filter(f => f !== 'index.js' && (f.endsWith('.js') || f.endsWith('.json')))
+    .sort()
+    .map(file => ({ def: require(path.join(dir, file)), file }));
+}
+
+// id -> Map(region -> adapter); `sites` maps a site id to its config settings
+function buildRegistry(definitions, sites = {}) {
+  const registry = new Map();
+  for (const { def, file } of definitions) {
+    const settings = def && typeof def.id === 'string' ? sites[def.id.toLowerCase()] : undefined;
+    for (const adapter of defineRegionalAdapters(def, file, settings)) {
+      if (!registry.has(adapter.id)) registry.set(adapter.id, new Map());
+      const byRegion = registry.get(adapter.id);
+      if (byRegion.has(adapter.region)) throw new Error(`Duplicate site adapter id "${adapter.id}" for region "${adapter.region}" in ${file}`);
+      byRegion.set(adapter.region, adapter);
+    }
+  }
+  return registry;
+}
+
+function loadAdapters(dir = __dirname, sites = {}) {
+  return buildRegistry(loadDefinitions(dir), sites);
+}
+
+const definitions = loadDefinitions();
+let registry = buildRegistry(definitions);
+
+// Rebuild every adapter with new site settings. The registry is swapped only once all of them are valid,
+// so searches already running keep the adapters they started with.
+function configure(sites = {}) {
+  registry = buildRegistry(definitions, sites);
+}
+
+// Stores switched off in the config are left out of get(), has(), list(), all() and forUrl()
+function get(id, region = DEFAULT_REGION) {
+  const byRegion = registry.get(String(id || '').toLowerCase());
+  const adapter = byRegion && byRegion.get(String(region || DEFAULT_REGION).toLowerCase());
+  return adapter && adapter.enabled ? adapter : null;
+}
+
+// Every storefront, or only those of one region; { includeDisabled } keeps switched-off stores
+function all(region, { includeDisabled = false } = {}) {
+  const adapters = [];
+  for (const byRegion of registry.values()) {
+    for (const adapter of byRegion.values()) {
+      if (!adapter.enabled && !includeDisabled) continue;
+      if (!region || adapter.region === String(region).toLowerCase()) adapters.push(adapter);
+    }
+  }
+  return adapters;
+}
+
+// Adapter whose hosts match the URL's hostname, or null
+function forUrl(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+  for (const adapter of all()) {
+    if (adapter.hosts.some(h => host === h || host.endsWith(`.${h}`))) return adapter;
+  }
+  return null;
+}
+
+// Stand-in for a product page on a store without a definition: its schema.org data is all there is to read, so it
+// has no selectors and cannot search. The id and platform are the page's hostname. Throws on a malformed URL.
+function generic(url) {
+  const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  return Object.freeze({
+    id: host,
+    idPrefix: host,
+    platform: host,
+    region: DEFAULT_REGION,
+    generic: true,
+    enabled: true,
+    structuredData: true,
+    hosts: [host],
+    idPatterns: [],
+    detail: null,
+    wait: normalizeWait({ selector: STRUCTURED_DATA_SELECTOR }),
+    // the URL came from a caller: it, its redirects and its sub-resources must stay off internal addresses
+    requests: buildRequestPolicy({ publicOnly: true }),
+    detect: normalizeDetect(),
+    dismissSelectors: [],
+    // the structured data names its currency; there is no storefront to assume one from
+    currency: null,
+    parsePriceText,
+    parseRating,
+    fallbackLink: null
+  });
+}
+
+module.exports = {
+  get,
+  has: (id, region) => !!get(id, region),
+  // site ids available in a region (the default region when omitted)
+  list: (region = DEFAULT_REGION) => all(region).map(a => a.id),
+  all,
+  // regions with at least one store
+  regions: () => Object.keys(REGIONS).filter(code => all(code).length > 0),
+  forUrl,
+  generic,
+  // every site id with a definition, switched off or not (what the config's sites.<id> may name)
+  ids: () => Array.from(new Set(definitions.map(({ def }) => String(def.id).toLowerCase()))),
+  configure,
+  defineAdapter,
+  defineRegionalAdapters,
+  loadAdapters
+};
@@ -0,0 +1,50 @@
+const { parseRating } = require('../lib/parsers');
+const { parsePriceText } = require('../lib/price-parser');
+
+module.exports = {
+  id: 'myntra',
+  platform: 'Myntra',
+  searchUrl: 'https://www.myntra.com/{query}',
+  pageUrl: 'https://www.myntra.com/{query}?p={page}',
+  linkBase: 'https://myntra.com',
+  itemSelector: '.product-base',
+  idPatterns: ['/(\\d+)/buy'],
+  hosts: ['myntra.com'],
+  maxItems: 6,
+  canaryQueries: ['running shoes', 'men t-shirt'],
+  detect: { empty: { text: ['we couldn.?t find any matches'] } },
+  sponsored: { selectors: ['.product-adTag'], labels: ['AD', 'Sponsored'] },
+  fields: {
+    name: { selectors: ['.product-product'] },
+    price: { selectors: ['.product-discountedPrice'] },
+    mrp: { selectors: ['.product-strike'] },
+    image: { selectors: ['.product-imageSlider img'], from: ['src'] },
+    // the first span holds the average; .product-ratingsCount is the number of ratings
+    rating: { selectors: ['.product-ratingsContainer > span:first-child'] },
+    link: { selectors: ['a'], from: ['href'] }
+  },
+  detail: {
+    fields: {
+      title: { selectors: ['h1.pdp-name', 'h1.pdp-title'] },
+      brand: { selectors: ['h1.pdp-title'] },
+      price: { selectors: ['span.pdp-price strong', '.pdp-price'] },
+      mrp: { selectors: ['span.pdp-mrp s', '.pdp-mrp'] },
+      seller: { selectors: ['.supplier-productSellerName', '.supplier-supplierName'] },
+      availability: { selectors: ['.size-buttons-out-of-stock', '.pdp-out-of-stock'] },
+      delivery: { selectors: ['.pincode-serviceabilityTitle', '.pincode-deliveryContainer'] },
+      rating: { selectors: ['.index-overallRating > div:first-child'] },
+      ratingCount: { selectors: ['.index-ratingsCount'] }
+    },
+    lists: {
+      // gallery images are CSS backgrounds: style="background-image: url(...)"
+      images: { selectors: ['.image-grid-image'], from: ['style'] }
+    },
+    specs: {
+      rows: ['.index-tableContainer .index-row'],
+      key: { selectors: ['.index-rowKey'] },
+      value: { selectors: ['.index-rowValue'] }
+    }
+  },
+  parsePriceText,
+  parseRating
+};
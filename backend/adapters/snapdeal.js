@@ -0,0 +1,47 @@
+const { parseRating } = require('../lib/parsers');
+const { parsePriceText } = require('../lib/price-parser');
+
+module.exports = {
+  id: 'snapdeal',
+  platform: 'Snapdeal',
+  searchUrl: 'https://www.snapdeal.com/search?keyword={query}',
+  linkBase: 'https://www.snapdeal.com',
+  itemSelector: '.product-tuple-listing',
+  idPatterns: ['/product/[^/]+/(\\d+)'],
+  hosts: ['snapdeal.com'],
+  maxItems: 6,
+  canaryQueries: ['bluetooth earphones', 'running shoes'],
+  detect: { empty: { text: ['couldn.?t find any (matching )?results', 'no results found for'] } },
+  sponsored: { selectors: ['.sponsored-tag'], labels: ['Sponsored', 'Ad'] },
+  fields: {
+    name: { selectors: ['.product-title'] },
+    price: { selectors: ['.product-price'] },
+    mrp: { selectors: ['.product-desc-price.strike', '.product-desc-price'] },
+    image: { selectors: ['.product-image img'], from: ['src'] },
+    // star width is mirrored in the title attribute, e.g. title="4.2"
+    rating: { selectors: ['.filled-stars'], from: ['title'] },
+    link: { selectors: ['.dp-widget-link'], from: ['href'] }
+  },
+  detail: {
+    fields: {
+      title: { selectors: ['h1.pdp-e-i-head', 'h1'] },
+      price: { selectors: ['span.payBlkBig', '.pdp-final-price'] },
+      mrp: { selectors: ['div.pdpCutPrice', '.pdp-e-i-MRP-r'] },
+      seller: { selectors: ['.pdp-e-seller-info-name', '#sellerName'] },
+      availability: { selectors: ['.sold-out-err', '.pdp-e-out-of-stock'] },
+      delivery: { selectors: ['.delivery-time', '.pdp-e-i-delivery'] },
+      rating: { selectors: ['span.avrg-rating'] },
+      ratingCount: { selectors: ['p.count', '.total-rating'] }
+    },
+    lists: {
+      images: { selectors: ['#bx-slider-left-image-panel img', '.cloudzoom'], from: ['bigsrc', 'src'] }
+    },
+    specs: {
+      rows: ['.spec-body table tr', 'table.product-spec tr'],
+      key: { selectors: ['td:first-child'] },
+      value: { selectors: ['td:last-child'] }
+    }
+  },
+  parsePriceText,
+  parseRating
+};
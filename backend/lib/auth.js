@@ -0,0 +1,59 @@
+// Access control for the HTTP API: shared-secret API keys and the CORS origin allowlist.
+//
+// A key is sent as `X-API-Key: <key>` or `Authorization: Bearer <key>` (what Prometheus sends for /metrics).
+// Public routes take an API key or an admin key; admin routes (debug scrapes, logs, config, metrics) take
+// an admin key only. With no keys configured a group is open, which is only allowed outside production.
+const crypto = require('crypto');
+
+const digest = (key) => crypto.createHash('sha256').update(String(key)).digest();
+
+// Compares digests so the check takes the same time however much of a key matches
+function keyMatcher(keys) {
+  const digests = keys.map(digest);
+  return (given) => {
+    if (typeof given !== 'string' || !given) return false;
+    const d = digest(given);
+    return digests.some(k => crypto.timingSafeEqual(k, d));
+  };
+}
+
+function presentedKey(req, { allowQuery = false } = {}) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (match) return match[1].trim();
+  // EventSource cannot set headers, so the stream route also takes ?apiKey=
+  if (allowQuery && typeof req.query.apiKey === 'string') return req.query.apiKey;
+  return null;
+}
+
+// Middleware accepting any of `keys`; an empty list lets every request through. options.allowQuery: see presentedKey
+function requireKey(keys, { realm = 'api', allowQuery = false } = {}) {
+  if (!keys.length) return (req, res, next) => next();
+  const matches = keyMatcher(keys);
+  return (req, res, next) => {
+    const given = presentedKey(req, { allowQuery });
+    if (!given) {
+      res.set('WWW-Authenticate', `Bearer realm="${realm}"`);
+      return res.status(401).json({ error: realm === 'admin' ? 'Admin key required' : 'API key required' });
+    }
+    if (!matches(given)) {
+      req.log.warn('rejected API key', { realm, path: req.path });
+      return res.status(403).json({ error: realm === 'admin' ? 'Invalid admin key' : 'Invalid API key' });
+    }
+    next();
+  };
+}
+
+// origin -> allowed? Exact matches against chrome-extension://<id> for each allowed extension id plus the listed
+// web origins. anyLocal (development without an allowlist) also lets in every extension and http://localhost:<port>.
+// Requests without an Origin (curl, server-to-server) are not cross-origin and always pass.
+function originPolicy({ extensionIds = [], origins = [], anyLocal = false } = {}) {
+  const allowed = new Set(extensionIds.map(id => `chrome-extension://${id}`).concat(origins));
+  return (origin) => {
+    if (!origin || allowed.has(origin)) return true;
+    return anyLocal && (/^chrome-extension:\/\/[a-p]{32}$/.test(origin) || /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin));
+  };
+}
+
+module.exports = { requireKey, keyMatcher, presentedKey, originPolicy };
@@ -0,0 +1,327 @@
+// The one place the server gets a Puppeteer page from.
+//
+// Up to `size` browsers, each serving at most maxPagesPerBrowser pages at a time. A browser is recycled
+// (closed once its open pages finish, then replaced) after recyclePages pages or recycleMs of age, idle
+// browsers are health-checked every healthCheckMs, and crashed ones are dropped and replaced. withPage(fn)
+// hands out a page set up with the shared user agent and viewport and always closes it afterwards.
+// `log` is a lib/logger Logger; withPage can take the caller's own (request-scoped) one.
+const puppeteer = require('puppeteer');
+const { withDeadline } = require('./async');
+const { NOOP_LOGGER } = require('./logger');
+
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  timeout: 60000,
+  protocolTimeout: 120000,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--single-process',
+    '--disable-gpu'
+  ]
+};
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36';
+const VIEWPORT = { width: 1200, height: 900 };
+// errors that mean the browser itself is gone, not just that one navigation failed
+const BROWSER_FAILURE = /Protocol error|Target closed|Session closed|Connection closed|browser has disconnected/i;
+
+// Puppeteer's bundled Chromium, else CHROME_PATH or a system Chrome install
+async function launchBrowser() {
+  try {
+    return await puppeteer.launch(LAUNCH_OPTIONS);
+  } catch (err) {
+    const fallbacks = [
+      process.env.CHROME_PATH,
+      'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+      'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+    ].filter(Boolean);
+    for (const executablePath of fallbacks) {
+      try {
+        return await puppeteer.launch(Object.assign({}, LAUNCH_OPTIONS, { executablePath }));
+      } catch (e) {}
+    }
+    throw err;
+  }
+}
+
+class BrowserPool {
+  constructor({
+    size = 2,
+    maxPagesPerBrowser = 2,
+    recyclePages = 50,
+    recycleMs = 30 * 60 * 1000,
+    healthCheckMs = 60 * 1000,
+    healthCheckTimeoutMs = 5000,
+    acquireTimeoutMs = 30000,
+    pageTimeoutMs = 30000,
+    userAgent = USER_AGENT,
+    launch = launchBrowser,
+    log = NOOP_LOGGER,
+    now = Date.now
+  } = {}) {
+    this.size = Math.max(1, size);
+    this.maxPagesPerBrowser = Math.max(1, maxPagesPerBrowser);
+    this.recyclePages = recyclePages;
+    this.recycleMs = recycleMs;
+    this.healthCheckMs = healthCheckMs;
+    this.healthCheckTimeoutMs = healthCheckTimeoutMs;
+    this.acquireTimeoutMs = acquireTimeoutMs;
+    this.pageTimeoutMs = pageTimeoutMs;
+    this.userAgent = userAgent;
+    this.launch = launch;
+    this.log = log;
+    this.now = now;
+    this.entries = [];
+    this.waiters = [];
+    this.launching = 0;
+    this.nextId = 1;
+    this.closed = false;
+    this.healthTimer = null;
+    this.counters = { launched: 0, launchFailures: 0, recycled: 0, crashed: 0, unhealthy: 0, pagesServed: 0, acquireTimeouts: 0 };
+  }
+
+  // Pages that can be open at once across the pool
+  get capacity() {
+    return this.size * this.maxPagesPerBrowser;
+  }
+
+  // Launch the browsers up front and start the periodic health check
+  start() {
+    if (this.healthCheckMs > 0 && !this.healthTimer) {
+      this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckMs);
+      if (this.healthTimer.unref) this.healthTimer.unref();
+    }
+    return this.fill();
+  }
+
+  // Run fn(page) on a pooled browser. The page is closed afterwards whatever happens.
+  // options.log: logger for this caller's pool events (defaults to the pool's own)
+  async withPage(fn, { log = this.log } = {}) {
+    const requestedAt = this.now();
+    const entry = await this.acquire();
+    log.debug('page acquired', { browserId: entry.id, waitedMs: this.now() - requestedAt, openPages: entry.openPages });
+    let page = null;
+    try {
+      page = await entry.browser.newPage();
+      await page.setUserAgent(this.userAgent);
+      await page.setViewport(VIEWPORT);
+      page.setDefaultNavigationTimeout(this.pageTimeoutMs);
+      return await fn(page);
+    } catch (err) {
+      if (BROWSER_FAILURE.test((err && err.message) || '') || !this.isConnected(entry)) {
+        this.retire(entry, `failed: ${err && err.message ? err.message : err}`, log);
+      }
+      throw err;
+    } finally {
+      if (page) await page.close().catch(() => {});
+      this.release(entry);
+    }
+  }
+
+  async acquire() {
+    if (this.closed) throw new Error('Browser pool is shut down');
+    const entry = this.pickEntry();
+    if (entry) return this.claim(entry);
+    if (this.canLaunch()) {
+      const launched = await this.launchEntry();
+      if (launched.retiring || !this.entries.includes(launched)) throw new Error('Browser closed right after launch');
+      this.claim(launched);
+      // any spare slots on the new browser go to callers that queued meanwhile
+      this.dispatch();
+      return launched;
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        this.counters.acquireTimeouts++;
+        reject(new Error('Pool acquire timeout'));
+      }, this.acquireTimeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Least busy browser that can take another page
+  pickEntry() {
+    let best = null;
+    for (const entry of this.entries) {
+      if (entry.retiring || entry.openPages >= this.maxPagesPerBrowser || !this.isConnected(entry)) continue;
+      if (!best || entry.openPages < best.openPages) best = entry;
+    }
+    return best;
+  }
+
+  claim(entry) {
+    entry.openPages++;
+    entry.pagesServed++;
+    this.counters.pagesServed++;
+    return entry;
+  }
+
+  release(entry) {
+    entry.openPages = Math.max(0, entry.openPages - 1);
+    if (!entry.retiring && this.isWornOut(entry)) this.retire(entry, 'recycled');
+    else if (entry.retiring && entry.openPages === 0) this.closeEntry(entry);
+    this.dispatch();
+  }
+
+  // Hand free page slots to waiting callers, launching a browser when there is room for one
+  dispatch() {
+    while (this.waiters.length > 0) {
+      const entry = this.pickEntry();
+      if (!entry) break;
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.claim(entry));
+    }
+    if (this.waiters.length > 0 && this.canLaunch()) {
+      this.launchEntry()
+        .then(() => this.dispatch())
+        .catch(err => {
+          // surface the failure to one caller instead of letting everyone wait for the timeout
+          const waiter = this.waiters.shift();
+          if (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.reject(err);
+          }
+        });
+    }
+  }
+
+  canLaunch() {
+    const active = this.entries.filter(e => !e.retiring).length;
+    return !this.closed && active + this.launching < this.size;
+  }
+
+  async launchEntry() {
+    this.launching++;
+    let browser;
+    try {
+      browser = await this.launch();
+    } catch (err) {
+      this.counters.launchFailures++;
+      this.log.warn('browser launch failed', { error: err });
+      throw err;
+    } finally {
+      this.launching--;
+    }
+    const entry = { id: this.nextId++, browser, launchedAt: this.now(), pagesServed: 0, openPages: 0, retiring: false, checking: false };
+    this.counters.launched++;
+    if (this.closed) {
+      await this.closeEntry(entry);
+      return entry;
+    }
+    this.entries.push(entry);
+    if (browser.on) {
+      browser.on('disconnected', () => {
+        if (!this.entries.includes(entry)) return;
+        this.counters.crashed++;
+        this.log.warn('browser disconnected unexpectedly', { browserId: entry.id });
+        // closing also launches the replacement
+        this.closeEntry(entry);
+      });
+    }
+    this.log.info('browser launched', { browserId: entry.id });
+    return entry;
+  }
+
+  isConnected(entry) {
+    return typeof entry.browser.isConnected !== 'function' || entry.browser.isConnected();
+  }
+
+  isWornOut(entry) {
+    return (this.recyclePages > 0 && entry.pagesServed >= this.recyclePages)
+      || (this.recycleMs > 0 && this.now() - entry.launchedAt >= this.recycleMs);
+  }
+
+  // Take a browser out of rotation; it is closed as soon as its open pages are done
+  retire(entry, reason, log = this.log) {
+    if (entry.retiring) return;
+    entry.retiring = true;
+    if (reason === 'recycled') this.counters.recycled++;
+    log.info('browser retired', { browserId: entry.id, reason });
+    if (entry.openPages === 0) this.closeEntry(entry);
+  }
+
+  async closeEntry(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index >= 0) this.entries.splice(index, 1);
+    try {
+      await withDeadline(entry.browser.close(), 5000, 'browser close timed out');
+    } catch (e) {
+      // a hung or half-dead Chromium would otherwise outlive us
+      const proc = typeof entry.browser.process === 'function' ? entry.browser.process() : null;
+      if (proc && proc.exitCode === null) {
+        try { proc.kill('SIGKILL'); } catch (err) {}
+      }
+    }
+    if (!this.closed) this.fill();
+  }
+
+  // Keep `size` browsers running; failures are logged and retried on the next health check
+  fill() {
+    if (this.closed) return Promise.resolve();
+    const missing = this.size - this.entries.filter(e => !e.retiring).length - this.launching;
+    const launches = [];
+    for (let i = 0; i < missing; i++) launches.push(this.launchEntry().then(() => this.dispatch(), () => {}));
+    return Promise.all(launches);
+  }
+
+  // Ping idle browsers and recycle old ones; busy browsers are left alone
+  async checkHealth() {
+    for (const entry of this.entries.slice()) {
+      if (entry.retiring || entry.openPages > 0 || entry.checking) continue;
+      if (this.isWornOut(entry)) {
+        this.retire(entry, 'recycled');
+        continue;
+      }
+      entry.checking = true;
+      try {
+        if (!this.isConnected(entry)) throw new Error('not connected');
+        await withDeadline(entry.browser.version(), this.healthCheckTimeoutMs, 'health check timed out');
+      } catch (err) {
+        this.counters.unhealthy++;
+        this.retire(entry, `unhealthy: ${err && err.message ? err.message : err}`);
+      } finally {
+        entry.checking = false;
+      }
+    }
+    await this.fill();
+  }
+
+  stats() {
+    const now = this.now();
+    return {
+      size: this.size,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+      recyclePages: this.recyclePages,
+      recycleMs: this.recycleMs,
+      browsers: this.entries.map(e => ({ id: e.id, ageMs: now - e.launchedAt, pagesServed: e.pagesServed, openPages: e.openPages, retiring: e.retiring })),
+      openPages: this.entries.reduce((n, e) => n + e.openPages, 0),
+      // page slots a caller could take right now without waiting or launching
+      availablePages: this.entries
+        .filter(e => !e.retiring && this.isConnected(e))
+        .reduce((n, e) => n + Math.max(0, this.maxPagesPerBrowser - e.openPages), 0),
+      launching: this.launching,
+      waiting: this.waiters.length,
+      counters: Object.assign({}, this.counters)
+    };
+  }
+
+  async destroy() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shut down'));
+    }
+    await Promise.all(this.entries.slice().map(entry => this.closeEntry(entry)));
+  }
+}
+
+module.exports = { BrowserPool, LAUNCH_OPTIONS, USER_AGENT, launchBrowser };
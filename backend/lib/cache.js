@@ -0,0 +1,114 @@
+// In-memory result cache with TTL, stale-while-revalidate window and optional JSON persistence.
+//
+// An entry is fresh for ttlMs, then stale (still served, caller should refresh) for another staleMs,
+// then dropped. With a file configured, entries are loaded on startup and written back (debounced) on change.
+const fs = require('fs');
+const path = require('path');
+const { NOOP_LOGGER } = require('./logger');
+
+function normalizeQuery(query) {
+  return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+class ResultCache {
+  // options.log: lib/logger Logger for load and write failures
+  constructor({ ttlMs = 10 * 60 * 1000, staleMs = 60 * 60 * 1000, maxEntries = 500, file = null, log = NOOP_LOGGER, now = Date.now } = {}) {
+    this.ttlMs = ttlMs;
+    this.staleMs = staleMs;
+    this.maxEntries = maxEntries;
+    this.file = file;
+    this.log = log;
+    this.now = now;
+    this.entries = new Map();
+    this.counters = { hits: 0, staleHits: 0, misses: 0 };
+    this._persistTimer = null;
+    if (this.file) this.load();
+  }
+
+  static key(site, query, region = 'in') {
+    return `${region}:${site}:${normalizeQuery(query)}`;
+  }
+
+  // Returns { value, storedAt, ageMs, fresh } or null on a miss
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.counters.misses++;
+      return null;
+    }
+    const ageMs = this.now() - entry.storedAt;
+    if (ageMs > this.ttlMs + this.staleMs) {
+      this.entries.delete(key);
+      this.counters.misses++;
+      this.schedulePersist();
+      return null;
+    }
+    const fresh = ageMs <= this.ttlMs;
+    if (fresh) this.counters.hits++;
+    else this.counters.staleHits++;
+    return { value: entry.value, storedAt: entry.storedAt, ageMs, fresh };
+  }
+
+  set(key, value) {
+    // re-insert so Map order doubles as least-recently-written order for eviction
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: this.now() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.schedulePersist();
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) this.schedulePersist();
+  }
+
+  clear() {
+    this.entries.clear();
+    this.schedulePersist();
+  }
+
+  stats() {
+    return Object.assign({ size: this.entries.size, ttlMs: this.ttlMs, staleMs: this.staleMs }, this.counters);
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const cutoff = this.now() - this.ttlMs - this.staleMs;
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        if (entry && entry.storedAt > cutoff) this.entries.set(key, entry);
+      }
+    } catch (err) {
+      this.log.warn('result cache could not be loaded', { file: this.file, error: err });
+    }
+  }
+
+  schedulePersist() {
+    if (!this.file || this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this.persist();
+    }, 2000);
+    if (this._persistTimer.unref) this._persistTimer.unref();
+  }
+
+  persist() {
+    if (!this.file) return;
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date(this.now()).toISOString(), entries: Object.fromEntries(this.entries) }));
+      fs.renameSync(tmp, this.file);
+    } catch (err) {
+      this.log.warn('result cache could not be written', { file: this.file, error: err });
+    }
+  }
+}
+
+module.exports = { ResultCache, normalizeQuery };
@@ -0,0 +1,289 @@
+// Server settings in one place, layered: the defaults in SCHEMA, then the config file (CONFIG_FILE, else the
+// first of config/settings.json|yaml|yml that exists), then environment variables. The env names are the ones
+// the server has always read (PORT, PUPPETEER_POOL_SIZE, CACHE_TTL_MS, ...).
+//
+// Everything is validated before the server starts: loadConfig() throws one ECONFIG error that lists every bad
+// or unknown key together with where its value came from. Per-store settings live under sites.<id>; they are
+// the only part the server applies again when the file changes (see PriceComparisonServer#reloadConfig).
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { LEVELS } = require('./logger');
+const { USER_AGENT } = require('./browser-pool');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_FILES = ['settings.json', 'settings.yaml', 'settings.yml'].map(name => path.join(ROOT, 'config', name));
+const REDACTED = '[redacted]';
+
+// Leaf specs: { type, default, env, min, max, values, nullable, pattern, minLength, secret }. Paths are resolved
+// against backend/. A secret's value is never echoed in an error and is redacted by publicConfig().
+const int = (def, env, min = 0, max = Infinity) => ({ type: 'integer', default: def, env, min, max });
+const bool = (def, env) => ({ type: 'boolean', default: def, env });
+const str = (def, env) => ({ type: 'string', default: def, env });
+const oneOf = (def, values, env) => ({ type: 'enum', default: def, values, env });
+const list = (def, env, options = {}) => Object.assign({ type: 'list', default: def, env }, options);
+const file = (def, env, nullable = false) => ({ type: 'path', default: def, env, nullable });
+
+const SCHEMA = {
+  server: {
+    port: int(3000, 'PORT', 1, 65535),
+    // production requires API keys and an extension allowlist, and turns admin routes off unless they have a key
+    mode: oneOf('development', ['development', 'production', 'test'], 'NODE_ENV')
+  },
+  cors: {
+    // chrome://extensions shows an extension's id; the origin allowed is chrome-extension://<id>
+    extensionIds: list([], 'CORS_EXTENSION_IDS', { pattern: /^[a-p]{32}$/, describe: 'a 32-letter extension id (a-p)' }),
+    origins: list([], 'CORS_ORIGINS', { pattern: /^https?:\/\/[^/\s*]+$/, describe: 'an origin such as https://example.com' })
+  },
+  auth: {
+    apiKeys: list([], 'API_KEYS', { minLength: 16, secret: true }), // compare, search, product and watchlist routes
+    adminKeys: list([], 'ADMIN_API_KEYS', { minLength: 16, secret: true }) // debug scrapes, logs, config, metrics
+  },
+  rateLimit: {
+    windowMs: int(15 * 60 * 1000, 'RATE_LIMIT_WINDOW_MS', 1000),
+    max: int(50, 'RATE_LIMIT_MAX', 1)
+  },
+  scraping: {
+    pageTimeoutMs: int(30000, 'PAGE_TIMEOUT_MS', 1000), // one navigation
+    siteTimeoutMs: int(45000, 'SITE_TIMEOUT_MS', 1000), // per-site budget in a multi-site search (navigation + retry)
+    requestDeadlineMs: int(60000, 'REQUEST_DEADLINE_MS', 1000), // whole multi-site search; clients may ask for less or more
+    maxRequestDeadlineMs: int(180000, 'MAX_REQUEST_DEADLINE_MS', 1000),
+    blockRequests: bool(true, 'BLOCK_REQUESTS'),
+    userAgent: str(USER_AGENT, 'USER_AGENT')
+  },
+  browserPool: {
+    size: int(2, 'PUPPETEER_POOL_SIZE', 1, 32),
+    pagesPerBrowser: int(2, 'PUPPETEER_PAGES_PER_BROWSER', 1, 32),
+    recyclePages: int(50, 'PUPPETEER_RECYCLE_PAGES', 1),
+    recycleMs: int(30 * 60 * 1000, 'PUPPETEER_RECYCLE_MS', 60 * 1000)
+  },
+  cache: {
+    ttlMs: int(10 * 60 * 1000, 'CACHE_TTL_MS'),
+    staleMs: int(60 * 60 * 1000, 'CACHE_STALE_MS'),
+    file: file(null, 'CACHE_FILE', true)
+  },
+  searchJobs: {
+    concurrency: int(1, 'SEARCH_JOB_CONCURRENCY', 1, 16),
+    queueSize: int(20, 'SEARCH_JOB_QUEUE_SIZE')
+  },
+  logging: {
+    level: oneOf('debug', Object.keys(LEVELS), 'LOG_LEVEL'),
+    file: file('data/logs/server.log', 'LOG_FILE', true),
+    maxBytes: int(10 * 1024 * 1024, 'LOG_MAX_BYTES', 1024),
+    maxFiles: int(5, 'LOG_MAX_FILES', 1, 100)
+  },
+  priceHistory: {
+    file: file('data/price-history.jsonl', 'PRICE_HISTORY_FILE'),
+    maxAgeDays: int(365, 'PRICE_HISTORY_MAX_AGE_DAYS', 1), // older points are dropped
+    maxPointsPerListing: int(1000, 'PRICE_HISTORY_MAX_POINTS', 1) // newest kept per listing
+  },
+  exchangeRates: {
+    file: file('config/exchange-rates.json', 'EXCHANGE_RATES_FILE')
+  },
+  // canary searches per adapter (lib/selector-health.js); the first run waits initialDelayMs after startup
+  selectorHealth: {
+    enabled: bool(true, 'SELECTOR_HEALTH'),
+    intervalMs: int(6 * 60 * 60 * 1000, 'SELECTOR_HEALTH_INTERVAL_MS', 60 * 1000),
+    initialDelayMs: int(10 * 60 * 1000, 'SELECTOR_HEALTH_INITIAL_DELAY_MS'),
+    file: file('data/selector-health.jsonl', 'SELECTOR_HEALTH_FILE', true),
+    artifactsDir: file('data/selector-health', 'SELECTOR_HEALTH_ARTIFACTS_DIR', true),
+    maxArtifacts: int(20, null, 0, 1000) // pages kept per site
+  }
+};
+
+// sites.<id>: unset keys keep the adapter's own value (waitTimeoutMs is the adapter's wait.timeoutMs)
+const SITE_SCHEMA = {
+  enabled: bool(undefined),
+  maxItems: int(undefined, null, 1, 100),
+  maxPages: int(undefined, null, 1, 20),
+  timeoutMs: int(undefined, null, 1000),
+  waitTimeoutMs: int(undefined, null, 100)
+};
+
+function configError(problems) {
+  const err = new Error(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  err.code = 'ECONFIG';
+  err.problems = problems;
+  return err;
+}
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// config/settings.yaml rather than an absolute path when the file is inside backend/
+function displayPath(file) {
+  const relative = path.relative(ROOT, file);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : file;
+}
+
+// One leaf value -> { value } or { error }. Env values are strings and get parsed; file values must already
+// have the right JSON/YAML type.
+function checkValue(spec, raw, fromEnv) {
+  const got = spec.secret ? 'got something else' : `got ${JSON.stringify(raw)}`;
+  switch (spec.type) {
+    case 'integer': {
+      const value = fromEnv && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+      if (!Number.isInteger(value)) return { error: `must be an integer, ${got}` };
+      if (value < spec.min || value > spec.max) {
+        return { error: `must be ${spec.max === Infinity ? `at least ${spec.min}` : `between ${spec.min} and ${spec.max}`}, ${got}` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (fromEnv) {
+        const text = raw.trim().toLowerCase();
+        if (['1', 'true', 'yes', 'on'].includes(text)) return { value: true };
+        if (['0', 'false', 'no', 'off'].includes(text)) return { value: false };
+      } else if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      return { error: `must be true or false, ${got}` };
+    }
+    case 'string':
+      return typeof raw === 'string' && raw.trim() ? { value: raw } : { error: `must be a non-empty string, ${got}` };
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : { error: `must be one of ${spec.values.join('|')}, ${got}` };
+    case 'list': {
+      const value = fromEnv ? raw.split(',').map(s => s.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(value) || !value.every(s => typeof s === 'string' && s.trim())) {
+        return { error: `must be a list of non-empty strings, ${got}` };
+      }
+      const bad = value.find(s => (spec.pattern && !spec.pattern.test(s)) || (spec.minLength && s.length < spec.minLength));
+      if (bad !== undefined) {
+        if (spec.minLength) return { error: `every entry must be at least ${spec.minLength} characters` };
+        return { error: `every entry must be ${spec.describe}, got ${JSON.stringify(bad)}` };
+      }
+      return { value };
+    }
+    case 'path':
+      // LOG_FILE= (or file: null) turns an optional file off
+      if (spec.nullable && (raw === null || raw === '')) return { value: null };
+      if (typeof raw !== 'string' || !raw.trim()) return { error: `must be a file path${spec.nullable ? ' or null' : ''}, ${got}` };
+      return { value: path.resolve(ROOT, raw) };
+    default:
+      throw new Error(`unknown config type ${spec.type}`);
+  }
+}
+
+// Defaults < file < env for one section of SCHEMA; records which env names were used
+function buildSection(schema, fileSection, env, { prefix, source, problems, envUsed }) {
+  const out = {};
+  if (fileSection !== undefined && !isObject(fileSection)) {
+    problems.push(`${prefix} (${source}): must be an object, got ${JSON.stringify(fileSection)}`);
+    fileSection = {};
+  }
+  fileSection = fileSection || {};
+  for (const key of Object.keys(fileSection)) {
+    if (!schema[key]) problems.push(`${prefix}.${key} (${source}): unknown key; expected one of ${Object.keys(schema).join('|')}`);
+  }
+  for (const [key, spec] of Object.entries(schema)) {
+    const name = `${prefix}.${key}`;
+    let value = spec.type === 'path' && spec.default ? path.resolve(ROOT, spec.default) : spec.default;
+    if (fileSection[key] !== undefined) {
+      const checked = checkValue(spec, fileSection[key], false);
+      if (checked.error) problems.push(`${name} (${source}): ${checked.error}`);
+      else value = checked.value;
+    }
+    if (spec.env && env[spec.env] !== undefined) {
+      const checked = checkValue(spec, env[spec.env], true);
+      if (checked.error) problems.push(`${name} (env ${spec.env}): ${checked.error}`);
+      else value = checked.value;
+      envUsed.push(spec.env);
+    }
+    if (value !== undefined) out[key] = value;
+  }
+  return out;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw configError([`${displayPath(file)}: cannot read the config file (${err.code || err.message})`]);
+  }
+  let parsed;
+  try {
+    parsed = /\.ya?ml$/i.test(file) ? yaml.load(text, { filename: file }) : JSON.parse(text);
+  } catch (err) {
+    throw configError([`${displayPath(file)}: ${err.message}`]);
+  }
+  if (parsed === undefined || parsed === null) return {};
+  if (!isObject(parsed)) throw configError([`${displayPath(file)}: the top level must be an object`]);
+  return parsed;
+}
+
+// The config file in use: an explicit path (which must exist), else the first default file present, else null
+function resolveConfigFile(file) {
+  if (file) return path.resolve(ROOT, file);
+  return DEFAULT_FILES.find(f => fs.existsSync(f)) || null;
+}
+
+// { values, file, env: [env names applied], loadedAt }. options.file overrides CONFIG_FILE; knownSites are the
+// adapter ids that sites.<id> may name.
+function loadConfig({ file, env = process.env, knownSites = [], now = Date.now } = {}) {
+  const source = resolveConfigFile(file !== undefined ? file : env.CONFIG_FILE);
+  const fromFile = source ? readConfigFile(source) : {};
+  const label = source ? displayPath(source) : 'defaults';
+  const problems = [];
+  const envUsed = [];
+  const values = {};
+
+  for (const key of Object.keys(fromFile)) {
+    if (!SCHEMA[key] && key !== 'sites') problems.push(`${key} (${label}): unknown section; expected one of ${Object.keys(SCHEMA).concat('sites').join('|')}`);
+  }
+  for (const [section, schema] of Object.entries(SCHEMA)) {
+    values[section] = buildSection(schema, fromFile[section], env, { prefix: section, source: label, problems, envUsed });
+  }
+
+  values.sites = {};
+  if (fromFile.sites !== undefined && !isObject(fromFile.sites)) {
+    problems.push(`sites (${label}): must be an object keyed by site id`);
+  } else {
+    for (const [id, settings] of Object.entries(fromFile.sites || {})) {
+      if (!knownSites.includes(id)) {
+        problems.push(`sites.${id} (${label}): unknown site; expected one of ${knownSites.join('|')}`);
+        continue;
+      }
+      values.sites[id] = buildSection(SITE_SCHEMA, settings, {}, { prefix: `sites.${id}`, source: label, problems, envUsed });
+    }
+  }
+
+  const { scraping } = values;
+  if (scraping.requestDeadlineMs > scraping.maxRequestDeadlineMs) {
+    problems.push(`scraping.requestDeadlineMs (${scraping.requestDeadlineMs}) must not exceed scraping.maxRequestDeadlineMs (${scraping.maxRequestDeadlineMs})`);
+  }
+  if (values.server.mode === 'production') {
+    if (!values.auth.apiKeys.length) problems.push('auth.apiKeys (env API_KEYS): required in production, or anyone who can reach the server can start scrapes');
+    if (!values.cors.extensionIds.length) problems.push('cors.extensionIds (env CORS_EXTENSION_IDS): required in production; list the extension ids allowed to call the API');
+  }
+  if (problems.length) throw configError(problems);
+  return { values, file: source, env: envUsed, loadedAt: new Date(now()).toISOString() };
+}
+
+// The values with every secret replaced (one marker per key in a list, so the count still shows), for GET /api/config
+function publicConfig(values, schema = SCHEMA) {
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    const spec = schema[key];
+    if (spec && !spec.type) out[key] = publicConfig(value, spec);
+    else if (spec && spec.secret && value !== null && value !== undefined) out[key] = Array.isArray(value) ? value.map(() => REDACTED) : REDACTED;
+    else out[key] = value;
+  }
+  return out;
+}
+
+// Dotted keys whose value differs between two configs (sites.amazon.maxItems, cors.origins, ...)
+function changedKeys(before, after, prefix = '') {
+  const keys = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+  const changed = [];
+  for (const key of keys) {
+    const a = before ? before[key] : undefined;
+    const b = after ? after[key] : undefined;
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isObject(a) || isObject(b)) changed.push(...changedKeys(isObject(a) ? a : {}, isObject(b) ? b : {}, name));
+    else if (JSON.stringify(a) !== JSON.stringify(b)) changed.push(name);
+  }
+  return changed;
+}
+
+module.exports = { loadConfig, publicConfig, changedKeys, SCHEMA, SITE_SCHEMA, DEFAULT_FILES };
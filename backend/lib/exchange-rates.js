@@ -0,0 +1,66 @@
+// Local currency conversion table. The JSON file ({ base, updatedAt, rates: { CODE: units per 1 base } })
+// is re-read whenever it changes on disk, so rates can be updated without a restart.
+const fs = require('fs');
+const path = require('path');
+const { NOOP_LOGGER } = require('./logger');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'exchange-rates.json');
+
+class ExchangeRates {
+  // options.checkIntervalMs: how often at most the file is stat()ed for changes (every conversion asks for the
+  // table); options.log: lib/logger Logger, told once each time the file goes missing or broken
+  constructor({ file = DEFAULT_FILE, checkIntervalMs = 2000, log = NOOP_LOGGER, now = Date.now } = {}) {
+    this.file = file;
+    this.checkIntervalMs = checkIntervalMs;
+    this.log = log;
+    this.now = now;
+    this.table = { base: null, updatedAt: null, rates: {} };
+    this._mtimeMs = null;
+    this._checkedAt = null;
+    this._failing = false;
+  }
+
+  // Current table, reloaded if the file's mtime moved; a broken file keeps the last good table
+  current() {
+    const t = this.now();
+    if (this._checkedAt !== null && t - this._checkedAt < this.checkIntervalMs) return this.table;
+    this._checkedAt = t;
+    try {
+      const { mtimeMs } = fs.statSync(this.file);
+      if (mtimeMs !== this._mtimeMs) {
+        const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        if (!parsed || typeof parsed.rates !== 'object') throw new Error('missing "rates"');
+        const rates = {};
+        for (const [code, rate] of Object.entries(parsed.rates)) {
+          if (Number.isFinite(rate) && rate > 0) rates[code.toUpperCase()] = rate;
+        }
+        this.table = { base: parsed.base || null, updatedAt: parsed.updatedAt || null, rates };
+        this._mtimeMs = mtimeMs;
+      }
+      this._failing = false;
+    } catch (err) {
+      if (!this._failing) {
+        this.log.warn(this._mtimeMs === null ? 'exchange rates unavailable' : 'exchange rates file unreadable; keeping the last good table', { file: this.file, error: err });
+      }
+      this._failing = true;
+    }
+    return this.table;
+  }
+
+  supports(currency) {
+    return !!this.current().rates[String(currency || '').toUpperCase()];
+  }
+
+  // amount in `from` -> `to`, rounded to cents; null when either currency is missing from the table
+  convert(amount, from, to) {
+    if (amount === null || amount === undefined || !Number.isFinite(amount)) return null;
+    const src = String(from || '').toUpperCase();
+    const dst = String(to || '').toUpperCase();
+    if (src === dst) return amount;
+    const { rates } = this.current();
+    if (!rates[src] || !rates[dst]) return null;
+    return Math.round((amount / rates[src]) * rates[dst] * 100) / 100;
+  }
+}
+
+module.exports = { ExchangeRates, DEFAULT_FILE };
@@ -0,0 +1,447 @@
+// Turns a site adapter into search results and product details: self-contained in-page extractors plus Node-side normalization.
+// A page's schema.org data (lib/structured-data) is read first; the adapter's CSS selectors fill in what it lacks.
+const { parseCount } = require('./parsers');
+const { mergePriceInfo } = require('./price-parser');
+const { applyRequestPolicy, guardOnly } = require('./request-policy');
+const { classifyPage, siteFailure } = require('./site-status');
+const { STRUCTURED_DATA_SELECTOR, readStructuredData, structuredProducts, structuredProduct } = require('./structured-data');
+
+// Runs inside the page via page.evaluate, so it must not reference anything outside its own body.
+function extractRawItems(spec) {
+  const readField = (root, field) => {
+    const targets = field.selectors.length ? field.selectors : [null];
+    for (const sel of targets) {
+      let el = null;
+      try {
+        el = sel ? root.querySelector(sel) : root;
+      } catch (e) {
+        el = null;
+      }
+      if (!el) continue;
+      for (const source of field.from) {
+        const value = source === 'text' ? el.textContent : el.getAttribute(source);
+        if (value && value.trim()) return value.trim();
+      }
+    }
+    return null;
+  };
+
+  // ad placements share the organic tile markup; they are told apart by a marker element or a bare "Sponsored"/"Ad" label
+  const isSponsored = (item) => {
+    for (const sel of spec.sponsored.selectors) {
+      try {
+        if (item.matches(sel) || item.querySelector(sel)) return true;
+      } catch (e) {}
+    }
+    if (!spec.sponsored.labels.length) return false;
+    const labels = spec.sponsored.labels.map(l => l.toLowerCase());
+    for (const el of item.querySelectorAll('*')) {
+      if (el.children.length) continue;
+      const text = (el.textContent || '').trim().toLowerCase();
+      if (text && labels.includes(text)) return true;
+    }
+    return false;
+  };
+
+  const items = Array.from(document.querySelectorAll(spec.itemSelector));
+  const results = [];
+  for (const item of items) {
+    if (results.length >= spec.maxItems) break;
+    try {
+      const raw = {};
+      for (const name of Object.keys(spec.fields)) raw[name] = readField(item, spec.fields[name]);
+      if (!spec.required.every(name => raw[name])) continue;
+      raw.sponsored = isSponsored(item);
+      results.push(raw);
+    } catch (e) {
+      // ignore parsing errors for individual items
+    }
+  }
+  return results;
+}
+
+// Product-page counterpart of extractRawItems. Same constraint: everything it needs is inside its body,
+// which is why readField is repeated here rather than shared.
+function extractDetail(spec) {
+  const readField = (root, field) => {
+    const targets = field.selectors.length ? field.selectors : [null];
+    for (const sel of targets) {
+      let el = null;
+      try {
+        el = sel ? root.querySelector(sel) : root;
+      } catch (e) {
+        el = null;
+      }
+      if (!el) continue;
+      for (const source of field.from) {
+        const value = source === 'text' ? el.textContent : el.getAttribute(source);
+        if (value && value.trim()) return value.trim();
+      }
+    }
+    return null;
+  };
+  const readAll = (field) => {
+    const values = [];
+    for (const sel of field.selectors) {
+      let nodes = [];
+      try {
+        nodes = Array.from(document.querySelectorAll(sel));
+      } catch (e) {}
+      for (const el of nodes) {
+        for (const source of field.from) {
+          const value = source === 'text' ? el.textContent : el.getAttribute(source);
+          if (value && value.trim()) {
+            values.push(value.trim());
+            break;
+          }
+        }
+      }
+    }
+    return values;
+  };
+
+  const raw = { lists: {}, specs: [] };
+  for (const name of Object.keys(spec.fields)) raw[name] = readField(document, spec.fields[name]);
+  for (const name of Object.keys(spec.lists)) raw.lists[name] = readAll(spec.lists[name]);
+  if (spec.specs) {
+    for (const sel of spec.specs.rows) {
+      let rows = [];
+      try {
+        rows = Array.from(document.querySelectorAll(sel));
+      } catch (e) {}
+      for (const row of rows) {
+        const key = readField(row, spec.specs.key);
+        const value = readField(row, spec.specs.value);
+        if (key && value && key !== value) raw.specs.push([key.replace(/\s+/g, ' '), value.replace(/\s+/g, ' ')]);
+      }
+    }
+  }
+  return raw;
+}
+
+// Runs inside the page, like extractRawItems. For a page that produced no products: how many tiles the item
+// selector matched, and the first captcha / blocked / empty marker (selector, text or URL pattern) found.
+function detectPageState(spec) {
+  let text = '';
+  try {
+    text = `${document.title}\n${(document.body && document.body.textContent) || ''}`.replace(/\s+/g, ' ').slice(0, 20000);
+  } catch (e) {}
+  const find = (markers) => {
+    for (const sel of markers.selectors) {
+      try {
+        if (document.querySelector(sel)) return sel;
+      } catch (e) {}
+    }
+    for (const source of markers.text) {
+      if (new RegExp(source, 'i').test(text)) return `"${source}"`;
+    }
+    for (const source of markers.urls) {
+      if (new RegExp(source, 'i').test(location.href)) return `url ${source}`;
+    }
+    return null;
+  };
+  let tiles = 0;
+  try {
+    tiles = document.querySelectorAll(spec.itemSelector).length;
+  } catch (e) {}
+  return { tiles, captcha: find(spec.detect.captcha), blocked: find(spec.detect.blocked), empty: find(spec.detect.empty) };
+}
+
+// Plain, serializable slice of an adapter that extractRawItems understands
+function toPageSpec(adapter) {
+  return {
+    itemSelector: adapter.itemSelector,
+    fields: adapter.fields,
+    sponsored: adapter.sponsored,
+    maxItems: adapter.maxItems,
+    required: ['name', 'price']
+  };
+}
+
+function resolveLink(link, base) {
+  if (!link) return null;
+  if (/^https?:\/\//i.test(link)) return link;
+  try {
+    return new URL(link, base).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function toDetailSpec(adapter) {
+  return { fields: adapter.detail.fields, lists: adapter.detail.lists, specs: adapter.detail.specs };
+}
+
+const OUT_OF_STOCK = /out of stock|sold out|currently unavailable|unavailable|coming soon|notify me/i;
+
+// Pull url(...) out of inline background-image styles; plain URLs pass through
+function imageUrl(value, base) {
+  const m = String(value).match(/url\((['"]?)(.*?)\1\)/);
+  return resolveLink(m ? m[2] : value, base);
+}
+
+// Price block plus the optional separate strike-through element -> { price, mrp, discountPercent, currency, range }
+function readPrices(adapter, raw) {
+  const options = { currency: adapter.currency, decimalSeparator: adapter.decimalSeparator || '.' };
+  const info = adapter.parsePriceText(raw.price, options);
+  return raw.mrp ? mergePriceInfo(info, adapter.parsePriceText(raw.mrp, options)) : info;
+}
+
+function toProductDetail(adapter, raw, url) {
+  const { price, mrp, discountPercent, currency } = readPrices(adapter, raw);
+  const availability = raw.availability ? raw.availability.replace(/\s+/g, ' ') : null;
+  const images = Array.from(new Set((raw.lists.images || []).map(v => imageUrl(v, url)).filter(Boolean)));
+  const specs = {};
+  for (const [key, value] of raw.specs || []) if (!(key in specs)) specs[key] = value;
+
+  return {
+    id: productIdFor(adapter, url, raw.title),
+    platform: adapter.platform,
+    url,
+    title: raw.title || null,
+    brand: raw.brand || null,
+    price,
+    currency,
+    mrp,
+    discountPercent,
+    seller: raw.seller ? raw.seller.replace(/\s+/g, ' ') : null,
+    availability,
+    // no price and no availability text usually means the buy box is gone
+    inStock: availability ? !OUT_OF_STOCK.test(availability) : price !== null,
+    delivery: raw.delivery ? raw.delivery.replace(/\s+/g, ' ') : null,
+    rating: raw.rating ? adapter.parseRating(raw.rating) : null,
+    ratingCount: parseCount(raw.ratingCount),
+    specs,
+    images
+  };
+}
+
+// structured-data product (see structuredProduct) -> the toProductDetail shape. inStock stays null when the data
+// has no availability, so mergeDetail can take it from the page instead.
+function toStructuredDetail(adapter, item, url) {
+  const { price, mrp, discountPercent, currency } = mergePriceInfo(
+    { price: item.price, mrp: null, discountPercent: null, currency: item.currency || adapter.currency },
+    item.mrp ? { price: item.mrp } : null
+  );
+  const specs = {};
+  for (const [key, value] of item.specs) if (!(key in specs)) specs[key] = value;
+  return {
+    id: productIdFor(adapter, url, item.name),
+    platform: adapter.platform,
+    url,
+    title: item.name,
+    brand: item.brand,
+    price,
+    currency,
+    mrp,
+    discountPercent,
+    seller: item.seller,
+    availability: item.availability,
+    inStock: item.inStock,
+    delivery: null,
+    rating: item.rating,
+    ratingCount: item.ratingCount,
+    specs,
+    images: item.images,
+    sources: item.sources
+  };
+}
+
+// Structured fields win; the CSS-read detail (null without an adapter `detail`) fills the ones left empty
+function mergeDetail(structured, css) {
+  if (!structured) return Object.assign({}, css, { sources: ['css'] });
+  const out = Object.assign({}, structured);
+  if (css) {
+    for (const [key, value] of Object.entries(css)) {
+      if (out[key] == null || (Array.isArray(out[key]) && !out[key].length)) out[key] = value;
+    }
+    out.specs = Object.assign({}, css.specs, structured.specs);
+    out.images = Array.from(new Set(structured.images.concat(css.images)));
+    // an MRP from the page still has to be above the structured price
+    Object.assign(out, mergePriceInfo({ price: out.price, mrp: null, discountPercent: null, currency: out.currency }, out.mrp ? { price: out.mrp } : null));
+    out.sources = structured.sources.concat('css');
+  }
+  if (out.inStock == null) out.inStock = out.price !== null;
+  return out;
+}
+
+// Stable "<site>:<store id>" for a listing: the adapter's idPatterns on the link, else the link path, else the title
+function productIdFor(adapter, link, name) {
+  if (link) {
+    for (const pattern of adapter.idPatterns) {
+      const m = link.match(pattern);
+      if (m && m[1]) return `${adapter.idPrefix}:${m[1]}`;
+    }
+    try {
+      return `${adapter.idPrefix}:${new URL(link).pathname.replace(/\/+$/, '')}`;
+    } catch (e) {}
+  }
+  return `${adapter.idPrefix}:${String(name || '').toLowerCase().replace(/\s+/g, ' ').trim()}`;
+}
+
+// Apply the adapter's parsers to raw field text and drop anything without a usable name and price
+function toProducts(adapter, rawItems, pageUrl) {
+  const base = adapter.linkBase || pageUrl;
+  const products = [];
+  for (const raw of rawItems || []) {
+    const { price, mrp, discountPercent, currency } = readPrices(adapter, raw);
+    if (!raw.name || !price) continue;
+    const link = resolveLink(raw.link || (adapter.fallbackLink ? adapter.fallbackLink(raw) : null), base);
+    products.push({
+      id: productIdFor(adapter, link, raw.name),
+      platform: adapter.platform,
+      name: raw.name,
+      price,
+      currency,
+      mrp,
+      discountPercent,
+      image: raw.image || null,
+      rating: raw.rating ? adapter.parseRating(raw.rating) : null,
+      link,
+      sponsored: raw.sponsored === true
+    });
+  }
+  return products.slice(0, adapter.maxItems);
+}
+
+// structuredProducts() listings -> the toProducts shape. Structured data has no ad markers, so sponsored starts false.
+function toStructuredProducts(adapter, items, pageUrl) {
+  const base = adapter.linkBase || pageUrl;
+  return (items || []).map(item => {
+    const link = resolveLink(item.url, base);
+    const { price, mrp, discountPercent, currency } = mergePriceInfo(
+      { price: item.price, mrp: null, discountPercent: null, currency: item.currency || adapter.currency },
+      item.mrp ? { price: item.mrp } : null
+    );
+    return {
+      id: productIdFor(adapter, link, item.name),
+      platform: adapter.platform,
+      name: item.name,
+      price,
+      currency,
+      mrp,
+      discountPercent,
+      image: item.images[0] || null,
+      rating: item.rating,
+      link,
+      sponsored: false
+    };
+  });
+}
+
+// Structured listings lead. The CSS tile of the same listing fills its empty fields and says whether it is an ad;
+// tiles the structured data missed follow in page order. Without structured listings the CSS products stand as they are.
+function mergeProducts(structured, css, maxItems) {
+  if (!structured.length) return css;
+  const tiles = new Map();
+  for (const p of css) if (!tiles.has(p.id)) tiles.set(p.id, p);
+  const merged = structured.map(p => {
+    const tile = tiles.get(p.id);
+    if (!tile) return p;
+    tiles.delete(p.id);
+    const out = Object.assign({}, p, { sponsored: tile.sponsored });
+    for (const key of ['mrp', 'discountPercent', 'image', 'rating', 'link']) if (out[key] == null) out[key] = tile[key];
+    return out;
+  });
+  return merged.concat(Array.from(tiles.values())).slice(0, maxItems);
+}
+
+// Open url and wait until it is ready per adapter.wait: the ready selector (or a navigation event), an
+// optional settle sleep, then modal dismissal. Unneeded requests are blocked unless blockRequests is false; a
+// publicOnly policy (stores without an adapter) keeps guarding against internal addresses either way.
+// Resolves to { httpStatus, timing }: timings in ms plus how many requests were let through or blocked during this load.
+async function openPage(page, adapter, url, { timeout, selector, blockRequests = true }) {
+  const counts = await applyRequestPolicy(page, blockRequests ? adapter.requests : guardOnly(adapter.requests));
+  const before = Object.assign({}, counts);
+  const { until, timeoutMs, settleMs } = adapter.wait;
+  const started = Date.now();
+  const response = await page.goto(url, { waitUntil: until === 'selector' ? 'domcontentloaded' : until, timeout });
+  const loaded = Date.now();
+  let ready = null;
+  if (until === 'selector' && selector) {
+    // a missing selector is not fatal here: extraction reports what the page actually holds
+    ready = await page.waitForSelector(selector, { timeout: Math.min(timeoutMs, timeout) }).then(() => true, () => false);
+  }
+  const waited = Date.now();
+  if (settleMs) await page.waitForTimeout(settleMs).catch(() => {});
+  for (const sel of adapter.dismissSelectors) {
+    try {
+      const btn = await page.$(sel);
+      if (btn) await btn.click();
+    } catch (e) {}
+  }
+  const timing = {
+    navigationMs: loaded - started,
+    waitMs: waited - loaded,
+    settleMs,
+    totalMs: Date.now() - started,
+    ready,
+    requests: { allowed: counts.allowed - before.allowed, blocked: counts.blocked - before.blocked }
+  };
+  return { httpStatus: response ? response.status() : null, timing };
+}
+
+// pageNumber > 1 opens a later result page (adapters with a pageUrl). Resolves to { url, httpStatus, timing }.
+async function loadSearchPage(page, adapter, query, { timeout = 30000, pageNumber = 1, blockRequests } = {}) {
+  const url = adapter.buildSearchUrl(query, pageNumber);
+  const { httpStatus, timing } = await openPage(page, adapter, url, { timeout, blockRequests, selector: adapter.wait.selector || adapter.itemSelector });
+  return { url, httpStatus, timing };
+}
+
+// Resolves to { url (after redirects), httpStatus, timing }
+async function loadProductPage(page, adapter, url, { timeout = 30000, blockRequests } = {}) {
+  const selector = adapter.wait.selector || (adapter.detail ? adapter.detail.fields.title.selectors.join(', ') : STRUCTURED_DATA_SELECTOR);
+  const { httpStatus, timing } = await openPage(page, adapter, url, { timeout, blockRequests, selector });
+  return { url: page.url(), httpStatus, timing };
+}
+
+// The page's schema.org product merged with what the adapter's detail selectors read. `sources` on the result
+// lists what was used ('json-ld', 'microdata', 'opengraph', 'css'). A page with neither is a selector miss; the
+// selectors count only when they found a title or a price.
+async function extractProductDetail(page, adapter, url = page.url()) {
+  const data = adapter.structuredData ? await page.evaluate(readStructuredData) : null;
+  const item = data ? structuredProduct(data, url) : null;
+  const read = adapter.detail ? toProductDetail(adapter, await page.evaluate(extractDetail, toDetailSpec(adapter)), url) : null;
+  const css = read && (read.title || read.price !== null) ? read : null;
+  if (!item && !css) throw siteFailure('selector-miss', adapter.detail ? 'no product title or price on the page' : 'no schema.org Product data on the page');
+  return mergeDetail(item ? toStructuredDetail(adapter, item, url) : null, css);
+}
+
+// Run the extractors on whatever the page currently holds (live site or replayed snapshot). `raw` is always the
+// CSS tiles; `structured` counts the products listed in the page's schema.org data.
+// keepIncomplete returns raw tiles even without a name or price (the selector health monitor counts those).
+async function extractProducts(page, adapter, baseUrl = page.url(), { keepIncomplete = false } = {}) {
+  const spec = toPageSpec(adapter);
+  if (keepIncomplete) spec.required = [];
+  const raw = await page.evaluate(extractRawItems, spec);
+  const listed = adapter.structuredData ? structuredProducts(await page.evaluate(readStructuredData), adapter.linkBase || baseUrl) : [];
+  const structured = toStructuredProducts(adapter, listed, baseUrl);
+  return { raw, structured: structured.length, products: mergeProducts(structured, toProducts(adapter, raw, baseUrl), adapter.maxItems) };
+}
+
+// Why a loaded search page gave no products: { status, reason } (see lib/site-status)
+async function inspectPage(page, adapter, { httpStatus = null, rawCount = 0 } = {}) {
+  const inspection = await page.evaluate(detectPageState, { itemSelector: adapter.itemSelector, detect: adapter.detect });
+  return classifyPage({ httpStatus, rawCount, inspection });
+}
+
+module.exports = {
+  extractRawItems,
+  extractDetail,
+  detectPageState,
+  toPageSpec,
+  toDetailSpec,
+  toProducts,
+  toProductDetail,
+  toStructuredProducts,
+  toStructuredDetail,
+  mergeProducts,
+  mergeDetail,
+  resolveLink,
+  productIdFor,
+  loadSearchPage,
+  loadProductPage,
+  extractProducts,
+  extractProductDetail,
+  inspectPage
+};
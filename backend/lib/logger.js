@@ -0,0 +1,147 @@
+// Structured JSON logs. Every entry is one object: { time, level, msg, ...context, ...fields }, where the
+// context comes from child loggers (requestId, searchId, site, ...) so one search can be traced end to end.
+//
+// Entries at or above `level` go to stdout, to an in-memory ring buffer that query() (GET /api/logs) reads,
+// and, with a file configured, to a JSON-lines file rotated by size: server.log -> server.log.1 -> ... up to maxFiles.
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors become { message, code, stack } instead of {}
+function serialize(value) {
+  if (value instanceof Error) {
+    const out = { message: value.message };
+    if (value.code) out.code = value.code;
+    if (value.stack) out.stack = value.stack;
+    return out;
+  }
+  return value;
+}
+
+// Shared by a logger and all of its children
+class LogStore {
+  constructor({ level = 'info', file = null, maxBytes = 10 * 1024 * 1024, maxFiles = 5, bufferSize = 2000, write = line => process.stdout.write(line + '\n'), now = Date.now } = {}) {
+    if (!LEVELS[level]) throw new Error(`Log level must be one of ${Object.keys(LEVELS).join('|')}`);
+    this.level = level;
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = Math.max(1, maxFiles);
+    this.bufferSize = bufferSize;
+    this.write = write;
+    this.now = now;
+    this.buffer = [];
+    this.bytes = 0;
+    this.fileFailed = false;
+    if (this.file) {
+      try {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.bytes = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+      } catch (err) {
+        this.fileError(err);
+      }
+    }
+  }
+
+  add(level, msg, fields) {
+    if (LEVELS[level] < LEVELS[this.level]) return null;
+    const entry = { time: new Date(this.now()).toISOString(), level, msg };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = serialize(value);
+    }
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (e) {
+      // circular or otherwise unserializable fields; keep the message at least
+      line = JSON.stringify({ time: entry.time, level, msg, unserializable: true });
+    }
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    this.write(line);
+    this.append(line);
+    return entry;
+  }
+
+  append(line) {
+    if (!this.file || this.fileFailed) return;
+    const bytes = Buffer.byteLength(line) + 1;
+    try {
+      if (this.bytes > 0 && this.bytes + bytes > this.maxBytes) this.rotate();
+      fs.appendFileSync(this.file, line + '\n');
+      this.bytes += bytes;
+    } catch (err) {
+      this.fileError(err);
+    }
+  }
+
+  rotate() {
+    const oldest = `${this.file}.${this.maxFiles}`;
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+    }
+    fs.renameSync(this.file, `${this.file}.1`);
+    this.bytes = 0;
+  }
+
+  // One warning, then stdout and the buffer carry on without the file
+  fileError(err) {
+    this.fileFailed = true;
+    console.warn(`Logger: could not write ${this.file}:`, err.message);
+  }
+
+  // Buffered entries matching every given filter, oldest first, at most `limit` (the newest ones).
+  // level is a minimum; since/until are epoch ms; the other filters match the entry field exactly.
+  query({ level, site, requestId, searchId, since, until, limit = 100 } = {}) {
+    const min = level ? LEVELS[level] : 0;
+    const matches = this.buffer.filter(e => {
+      if (LEVELS[e.level] < min) return false;
+      if (site && e.site !== site) return false;
+      if (requestId && e.requestId !== requestId) return false;
+      if (searchId && e.searchId !== searchId) return false;
+      const t = Date.parse(e.time);
+      if (since !== undefined && t < since) return false;
+      if (until !== undefined && t > until) return false;
+      return true;
+    });
+    return matches.slice(-limit);
+  }
+}
+
+class Logger {
+  // options: LogStore options, or { store, context } for a child
+  constructor(options = {}) {
+    this.store = options.store || new LogStore(options);
+    this.context = options.context || {};
+  }
+
+  // Logger that adds `fields` to every entry (on top of this logger's own context)
+  child(fields) {
+    return new Logger({ store: this.store, context: Object.assign({}, this.context, fields) });
+  }
+
+  log(level, msg, fields = {}) {
+    return this.store.add(level, msg, Object.assign({}, this.context, fields));
+  }
+
+  debug(msg, fields) { return this.log('debug', msg, fields); }
+  info(msg, fields) { return this.log('info', msg, fields); }
+  warn(msg, fields) { return this.log('warn', msg, fields); }
+  error(msg, fields) { return this.log('error', msg, fields); }
+
+  query(filters) {
+    return this.store.query(filters);
+  }
+}
+
+// Stand-in for components that were not given a logger
+const NOOP_LOGGER = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+  child() { return NOOP_LOGGER; }
+};
+
+module.exports = { Logger, LogStore, LEVELS, NOOP_LOGGER };
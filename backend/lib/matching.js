@@ -0,0 +1,172 @@
+// Cross-platform product matching: normalize listing titles, pull out brand/model/storage
+// and group listings of the same product from different stores into clusters.
+
+const BRANDS = [
+  'apple', 'samsung', 'oneplus', 'xiaomi', 'redmi', 'realme', 'oppo', 'vivo', 'iqoo', 'motorola', 'nokia',
+  'google', 'nothing', 'poco', 'sony', 'lg', 'hp', 'dell', 'lenovo', 'asus', 'acer', 'msi', 'boat', 'jbl',
+  'bose', 'noise', 'fire-boltt', 'nike', 'adidas', 'puma', 'reebok', 'skechers', 'philips', 'havells', 'prestige'
+];
+
+// product lines whose brand is usually left out of the title
+const BRAND_ALIASES = { iphone: 'apple', ipad: 'apple', macbook: 'apple', airpods: 'apple', galaxy: 'samsung', pixel: 'google', thinkpad: 'lenovo' };
+
+const COLOURS = [
+  'black', 'white', 'blue', 'red', 'green', 'yellow', 'pink', 'purple', 'grey', 'gray', 'silver', 'gold', 'golden',
+  'midnight', 'starlight', 'graphite', 'titanium', 'natural', 'space', 'rose', 'orange', 'brown', 'beige', 'navy',
+  'teal', 'mint', 'lavender', 'cream', 'bronze', 'violet', 'jet', 'phantom', 'ocean', 'sky', 'dark', 'light'
+];
+
+const NOISE = [
+  'with', 'for', 'and', 'the', 'of', 'in', 'by', 'new', 'latest', 'original', 'genuine', 'official', 'edition',
+  'pack', 'combo', 'box', 'set', 'piece', 'pcs', 'unit', 'renewed', 'refurbished', 'smartphone', 'mobile', 'phone',
+  'colour', 'color', 'storage', 'rom', 'ram', 'memory', 'variant', 'model', 'dual', 'sim', '4g', '5g', 'lte', 'wifi'
+];
+
+// words that make a listing an add-on for a product rather than the product itself
+const ACCESSORY_WORDS = [
+  'case', 'cover', 'covers', 'charger', 'cable', 'adapter', 'glass', 'protector', 'guard', 'strap', 'skin',
+  'holder', 'stand', 'mount', 'pouch', 'sleeve', 'lens', 'tempered', 'screenguard', 'stylus', 'dock'
+];
+
+// variant words change which product it is: an iPhone 15 is not an iPhone 15 Pro
+const VARIANTS = ['pro', 'max', 'plus', 'mini', 'ultra', 'lite', 'neo', 'fe', 'air', 'prime'];
+
+const NOISE_SET = new Set([...COLOURS, ...NOISE]);
+const ACCESSORY_SET = new Set(ACCESSORY_WORDS);
+const VARIANT_SET = new Set(VARIANTS);
+const BRAND_SET = new Set(BRANDS);
+
+const SIZE_RE = /(\d+(?:\.\d+)?)\s*(gb|tb)\b/g;
+const RAM_RE = /(\d+(?:\.\d+)?)\s*gb\s*ram\b/;
+
+function tokenize(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[()[\]{},|/+:;"']/g, ' ')
+    .replace(/[^a-z0-9.\s-]/g, ' ')
+    .split(/\s+/)
+    .map(t => t.replace(/^[-.]+|[-.]+$/g, ''))
+    .filter(Boolean);
+}
+
+function extractAttributes(title) {
+  const lower = String(title || '').toLowerCase();
+  const ramMatch = lower.match(RAM_RE);
+  const ram = ramMatch ? `${ramMatch[1]}gb` : null;
+
+  const sizes = [];
+  let m;
+  SIZE_RE.lastIndex = 0;
+  while ((m = SIZE_RE.exec(lower)) !== null) {
+    const gb = parseFloat(m[1]) * (m[2] === 'tb' ? 1024 : 1);
+    sizes.push({ label: `${m[1]}${m[2]}`, gb });
+  }
+  const storageCandidates = sizes.filter(s => s.label !== ram);
+  const storage = storageCandidates.length
+    ? storageCandidates.reduce((a, b) => (b.gb > a.gb ? b : a)).label
+    : null;
+
+  // drop size tokens ("128", "gb", "128gb") before looking at words
+  const words = tokenize(lower.replace(SIZE_RE, ' '));
+  let brand = null;
+  for (const w of words) {
+    if (BRAND_SET.has(w)) { brand = w; break; }
+    if (BRAND_ALIASES[w]) { brand = BRAND_ALIASES[w]; break; }
+  }
+
+  const tokens = words.filter(w => !NOISE_SET.has(w));
+  const modelNumbers = tokens.filter(w => /\d/.test(w)).sort();
+  const variants = tokens.filter(w => VARIANT_SET.has(w)).sort();
+  const accessory = tokens.some(w => ACCESSORY_SET.has(w));
+
+  return { brand, storage, ram, modelNumbers, variants, accessory, tokens };
+}
+
+// normalized title: lowercase words without colour, packaging and filler noise
+function normalizeTitle(title) {
+  return extractAttributes(title).tokens.join(' ');
+}
+
+// Dice coefficient over unique tokens
+function tokenSimilarity(a, b) {
+  const sa = new Set(a);
+  const sb = new Set(b);
+  if (!sa.size || !sb.size) return 0;
+  let shared = 0;
+  for (const t of sa) if (sb.has(t)) shared++;
+  return (2 * shared) / (sa.size + sb.size);
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+function isSameProduct(a, b, threshold = 0.6) {
+  if (a.brand && b.brand && a.brand !== b.brand) return false;
+  if (a.accessory !== b.accessory) return false;
+  if (a.storage && b.storage && a.storage !== b.storage) return false;
+  if (a.modelNumbers.length && b.modelNumbers.length && !sameList(a.modelNumbers, b.modelNumbers)) return false;
+  if (!sameList(a.variants, b.variants)) return false;
+  return tokenSimilarity(a.tokens, b.tokens) >= threshold;
+}
+
+function clusterKey(attrs) {
+  const named = attrs.tokens.filter(t => !/\d/.test(t) && !VARIANT_SET.has(t) && t !== attrs.brand).slice(0, 2);
+  return [attrs.brand, ...named, ...attrs.modelNumbers, ...attrs.variants, attrs.storage]
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Cluster key for a single listing title, e.g. "apple iphone 15 128gb"
+function productKey(title) {
+  return clusterKey(extractAttributes(title));
+}
+
+function summarize(cluster) {
+  const offers = cluster.offers.slice().sort((a, b) => (a.price || Infinity) - (b.price || Infinity));
+  const prices = offers.map(o => o.price).filter(p => typeof p === 'number');
+  const min = prices.length ? Math.min(...prices) : null;
+  const max = prices.length ? Math.max(...prices) : null;
+  return {
+    key: clusterKey(cluster.attrs),
+    title: offers[0].name,
+    brand: cluster.attrs.brand,
+    storage: cluster.attrs.storage,
+    cheapest: offers[0],
+    priceSpread: {
+      min,
+      max,
+      difference: min !== null ? +(max - min).toFixed(2) : null,
+      percent: min ? +(((max - min) / max) * 100).toFixed(1) : null
+    },
+    platforms: Array.from(new Set(offers.map(o => o.platform))),
+    offers
+  };
+}
+
+// Group listings into clusters of the same product. Listings are visited cheapest first and each joins
+// the first cluster whose seed listing it matches. Clusters come back ordered by their cheapest offer.
+function groupProducts(products, { threshold = 0.6 } = {}) {
+  const sorted = (products || []).slice().sort((a, b) => (a.price || Infinity) - (b.price || Infinity));
+  const clusters = [];
+  for (const product of sorted) {
+    const attrs = extractAttributes(product.name);
+    const home = clusters.find(c => isSameProduct(c.attrs, attrs, threshold));
+    if (home) {
+      home.offers.push(product);
+      if (!home.attrs.storage && attrs.storage) home.attrs = Object.assign({}, home.attrs, { storage: attrs.storage });
+    } else {
+      clusters.push({ attrs, offers: [product] });
+    }
+  }
+  return clusters.map(summarize);
+}
+
+module.exports = {
+  ACCESSORY_WORDS,
+  tokenize,
+  normalizeTitle,
+  extractAttributes,
+  tokenSimilarity,
+  isSameProduct,
+  productKey,
+  groupProducts
+};
@@ -0,0 +1,144 @@
+// Just enough of the Prometheus client model for GET /metrics: labelled counters, gauges and histograms,
+// rendered in the text exposition format (0.0.4).
+//
+// Values owned by other components (browser pool, cache, job queue) are not copied on every change: a
+// metric can take a collect() callback that is read at scrape time and returns a number or
+// [{ labels, value }].
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// { site: 'amazon' } with extra [['le', '0.5']] -> '{site="amazon",le="0.5"}'
+function labelText(labelNames, labels, extra = []) {
+  const pairs = labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]).concat(extra);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help, { labels = [], collect = null } = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labels;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  // The stored series for a label set, created on first use
+  get(labels = {}, create) {
+    const key = this.labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])).join('\u0000');
+    if (!this.series.has(key)) this.series.set(key, create(labels));
+    return this.series.get(key);
+  }
+
+  samples() {
+    if (!this.collect) return Array.from(this.series.values());
+    const collected = this.collect();
+    return typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.samples()) {
+      lines.push(`${this.name}${labelText(this.labelNames, labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.get(labels, l => ({ labels: l, value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(labels = {}, value) {
+    this.get(labels, l => ({ labels: l, value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, options = {}) {
+    super('histogram', name, help, options);
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.get(labels, l => ({ labels: l, counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${labelText(this.labelNames, labels, [['le', formatValue(le)]])} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${labelText(this.labelNames, labels, [['le', '+Inf']])} ${count}`);
+      lines.push(`${this.name}_sum${labelText(this.labelNames, labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${labelText(this.labelNames, labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  // options: { labels: [names], collect() } (histograms: { labels, buckets })
+  counter(name, help, options) {
+    return this.register(new Counter(this.prefix + name, help, options));
+  }
+
+  gauge(name, help, options) {
+    return this.register(new Gauge(this.prefix + name, help, options));
+  }
+
+  histogram(name, help, options) {
+    return this.register(new Histogram(this.prefix + name, help, options));
+  }
+
+  // The whole registry in the text exposition format; a failing collect() drops that metric, not the scrape
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      try {
+        lines.push(...metric.render());
+      } catch (e) {}
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = { MetricsRegistry, CONTENT_TYPE, DEFAULT_BUCKETS };
@@ -0,0 +1,25 @@
+// Text -> number helpers shared by the site adapters
+const { parsePriceText } = require('./price-parser');
+
+// Selling price only; see lib/price-parser for MRP, discount, ranges and currency
+function parsePrice(text) {
+  return parsePriceText(text).price;
+}
+
+function parseRating(text) {
+  if (!text) return null;
+  const rating = parseFloat(String(text).trim());
+  return Number.isFinite(rating) ? rating : null;
+}
+
+// "12,345 ratings" -> 12345, "1.2k" -> 1200
+function parseCount(text) {
+  if (!text) return null;
+  const match = String(text).toLowerCase().match(/(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|m)?\b/);
+  if (!match) return null;
+  const base = parseFloat(match[1].replace(/,/g, ''));
+  const scale = { k: 1e3, l: 1e5, lakh: 1e5, m: 1e6 }[match[2]] || 1;
+  return Number.isFinite(base) ? Math.round(base * scale) : null;
+}
+
+module.exports = { parsePrice, parseRating, parseCount };
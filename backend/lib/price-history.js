@@ -0,0 +1,202 @@
+// Local price history: every live-scraped offer is appended to a JSON-lines file and indexed in memory.
+//
+// One line per observation: { t, id, site, region, platform, name, price, currency, cluster, query }
+//   id      - "<site>:<store product id>" (see productIdFor in lib/extract.js)
+//   region  - storefront region (lib/regions): amazon.in and amazon.com listings share the site "amazon"
+//   cluster - cross-store product key from lib/matching.js, e.g. "apple iphone 15 128gb"
+// A cluster spans storefronts, so its series keeps each currency's prices apart (see series()).
+//
+// Retention: points older than maxAgeMs are dropped, and each listing keeps its newest maxPointsPerListing. Both
+// apply on load and at compaction, which rewrites the file with only the kept points (at startup when anything was
+// dropped, then at most once per COMPACT_INTERVAL_MS as offers are recorded).
+const fs = require('fs');
+const path = require('path');
+const { productKey } = require('./matching');
+const { DEFAULT_REGION, REGIONS } = require('./regions');
+const { NOOP_LOGGER } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = { '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS, '90d': 90 * DAY_MS, '365d': 365 * DAY_MS, all: Infinity };
+const COMPACT_INTERVAL_MS = DAY_MS;
+
+function summarizePrices(points) {
+  if (!points.length) return { count: 0, min: null, max: null, average: null, first: null, latest: null };
+  const prices = points.map(p => p.price);
+  const sum = prices.reduce((a, b) => a + b, 0);
+  return {
+    count: points.length,
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    average: +(sum / prices.length).toFixed(2),
+    first: points[0].price,
+    latest: points[points.length - 1].price
+  };
+}
+
+// Lines written before region and currency were recorded: the region is in the id prefix ("amazon-us:..."),
+// and the currency is that region's
+function withRegion(entry) {
+  if (entry.region) return entry;
+  const m = String(entry.id).match(/^[a-z0-9]+-([a-z]{2}):/);
+  const region = m && REGIONS[m[1]] ? m[1] : DEFAULT_REGION;
+  return Object.assign({}, entry, { region, currency: entry.currency || REGIONS[region].currency });
+}
+
+class PriceHistory {
+  // options.log: lib/logger Logger for append and compaction failures
+  constructor({ file, maxAgeMs = WINDOWS['365d'], maxPointsPerListing = 1000, log = NOOP_LOGGER, now = Date.now } = {}) {
+    this.file = file;
+    this.maxAgeMs = maxAgeMs;
+    this.maxPointsPerListing = maxPointsPerListing;
+    this.log = log;
+    this.now = now;
+    this.byId = new Map();
+    this.byCluster = new Map();
+    // points held in memory, and lines in the file (kept or not); compaction makes them equal
+    this._points = 0;
+    this._fileLines = 0;
+    this._compactedAt = this.now();
+    if (this.file) this.load();
+  }
+
+  index(entry) {
+    entry = withRegion(entry);
+    if (!this.byId.has(entry.id)) this.byId.set(entry.id, []);
+    const points = this.byId.get(entry.id);
+    points.push(entry);
+    this._points++;
+    if (points.length > this.maxPointsPerListing) {
+      points.shift();
+      this._points--;
+    }
+    if (entry.cluster) {
+      if (!this.byCluster.has(entry.cluster)) this.byCluster.set(entry.cluster, new Set());
+      this.byCluster.get(entry.cluster).add(entry.id);
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    const cutoff = this.now() - this.maxAgeMs;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      this._fileLines++;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.t >= cutoff) this.index(entry);
+      } catch (e) {
+        // a torn last line from a crash mid-write; skip it
+      }
+    }
+    if (this._fileLines > this._points) this.compact();
+  }
+
+  // Drop points past maxAgeMs, then rewrite the file with the points still kept (through a temp file, so a crash
+  // leaves either the old file or the new one)
+  compact() {
+    const cutoff = this.now() - this.maxAgeMs;
+    for (const [id, points] of this.byId) {
+      const kept = points.filter(e => e.t >= cutoff);
+      this._points -= points.length - kept.length;
+      if (kept.length) this.byId.set(id, kept);
+      else this.byId.delete(id);
+    }
+    for (const [cluster, ids] of this.byCluster) {
+      ids.forEach(id => { if (!this.byId.has(id)) ids.delete(id); });
+      if (!ids.size) this.byCluster.delete(cluster);
+    }
+    this._compactedAt = this.now();
+    if (!this.file || this._fileLines === this._points) return;
+
+    const entries = Array.from(this.byId.values()).flat().sort((a, b) => a.t - b.t);
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+      fs.renameSync(tmp, this.file);
+      this.log.info('price history compacted', { file: this.file, dropped: this._fileLines - entries.length, kept: entries.length });
+      this._fileLines = entries.length;
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      this.log.warn('price history could not be compacted', { file: this.file, error: err });
+    }
+  }
+
+  // Append one observation per offer with a price and an id. region is the storefront's; an offer without a
+  // currency is taken to be in that region's.
+  record(products, { query = null, site = null, region = DEFAULT_REGION } = {}) {
+    const t = this.now();
+    const entries = (products || [])
+      .filter(p => p && p.id && typeof p.price === 'number')
+      .map(p => ({
+        t,
+        id: p.id,
+        site: site || p.id.split(':')[0],
+        region,
+        platform: p.platform,
+        name: p.name,
+        price: p.price,
+        currency: p.currency || (REGIONS[region] ? REGIONS[region].currency : null),
+        cluster: productKey(p.name),
+        query
+      }));
+    if (!entries.length) return 0;
+    entries.forEach(e => this.index(e));
+    if (this.file) {
+      try {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+        this._fileLines += entries.length;
+      } catch (err) {
+        this.log.warn('price history could not be appended', { file: this.file, entries: entries.length, error: err });
+      }
+    }
+    if (t - this._compactedAt >= COMPACT_INTERVAL_MS) this.compact();
+    return entries.length;
+  }
+
+  // Time series for one listing id or every listing in a cluster, limited to a window ('7d', '30d', ... or 'all') and
+  // optionally to one region or currency. Prices in different currencies are never summarized together: byCurrency
+  // holds the stats per currency, and the overall stats are null when the listings span more than one.
+  series({ id, cluster, window = '30d', region = null, currency = null } = {}) {
+    const span = WINDOWS[window];
+    if (span === undefined) throw new Error(`Unknown window "${window}". Use ${Object.keys(WINDOWS).join('|')}`);
+    const since = span === Infinity ? -Infinity : this.now() - span;
+    const keep = (e) => e.t >= since && (!region || e.region === region) && (!currency || e.currency === currency);
+
+    const ids = id ? [id] : Array.from(this.byCluster.get(cluster) || []);
+    const listings = ids.map(listingId => {
+      const entries = (this.byId.get(listingId) || []).filter(keep);
+      const points = entries.map(e => ({ t: new Date(e.t).toISOString(), price: e.price, currency: e.currency }));
+      const last = entries.slice(-1)[0];
+      return {
+        id: listingId,
+        platform: last ? last.platform : null,
+        name: last ? last.name : null,
+        region: last ? last.region : null,
+        currency: last ? last.currency : null,
+        points,
+        stats: summarizePrices(points)
+      };
+    }).filter(l => l.points.length > 0);
+
+    const byTime = (a, b) => (a.t < b.t ? -1 : a.t > b.t ? 1 : 0);
+    const byCurrency = {};
+    for (const code of Array.from(new Set(listings.flatMap(l => l.points.map(p => p.currency))))) {
+      byCurrency[code] = summarizePrices(listings.flatMap(l => l.points).filter(p => p.currency === code).sort(byTime));
+    }
+    const currencies = Object.keys(byCurrency);
+    return {
+      window,
+      since: since === -Infinity ? null : new Date(since).toISOString(),
+      region,
+      currency,
+      currencies,
+      listings,
+      stats: currencies.length > 1 ? null : summarizePrices(listings.flatMap(l => l.points).sort(byTime)),
+      byCurrency
+    };
+  }
+}
+
+module.exports = { PriceHistory, WINDOWS, summarizePrices };
@@ -0,0 +1,108 @@
+// Price text -> { price, mrp, discountPercent, currency, range }
+//
+// Store price blocks are rarely a single number. textContent glues the selling price, the struck-through
+// MRP and the discount together ("₹1,299₹2,49948% off"), shows ranges ("₹499 - ₹899"), and labels the
+// MRP in words ("M.R.P.: ₹2,499"). This splits them apart and understands both Indian (1,23,456) and
+// western (123,456) digit grouping.
+
+const CURRENCIES = [
+  { code: 'INR', pattern: /₹|\brs\.?(?=[\s\d]|$)|\binr\b/i },
+  { code: 'USD', pattern: /\$|\busd\b/i },
+  { code: 'EUR', pattern: /€|\beur\b/i },
+  { code: 'GBP', pattern: /£|\bgbp\b/i }
+];
+
+// Indian grouping is tried first so "1,23,456" is not read as "1" followed by noise. Western grouping
+// stops after each 3-digit group, which is what splits "2,49948%" into 2,499 and 48%.
+const AMOUNT = /(\d{1,2}(?:,\d{2})+,\d{3}(?![\d,])|\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(\s*%)?/g;
+const CURRENCY_PREFIX = /(?:₹|rs\.?|inr|\$|€|£|usd|eur|gbp)\s*$/i;
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to)\s*(?:₹|rs\.?|inr|\$|€|£)?\s*$/i;
+const MRP_LABEL = /(?:m\.?\s*r\.?\s*p\.?|list price|was)\s*:?\s*(?:₹|rs\.?|inr|\$|€|£)?\s*$/i;
+const SAVINGS_LABEL = /(?:save|saving|you save)\s*:?\s*(?:₹|rs\.?|inr|\$|€|£)?\s*$/i;
+const SAVINGS_SUFFIX = /^\s*(?:off|discount)\b/i;
+
+function detectCurrency(text) {
+  const found = CURRENCIES.find(c => c.pattern.test(text));
+  return found ? found.code : null;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Every number in the text with what it stands for ('amount', 'mrp', 'savings' or 'percent') and
+// whether a currency sign sits right before it
+function scanAmounts(text) {
+  const amounts = [];
+  let match;
+  AMOUNT.lastIndex = 0;
+  while ((match = AMOUNT.exec(text))) {
+    const value = parseFloat(match[1].replace(/,/g, '') + (match[2] || ''));
+    if (!Number.isFinite(value)) continue;
+    const before = text.slice(amounts.length ? amounts[amounts.length - 1].end : 0, match.index);
+    const after = text.slice(AMOUNT.lastIndex);
+    let kind = 'amount';
+    if (match[3]) kind = 'percent';
+    else if (MRP_LABEL.test(before)) kind = 'mrp';
+    else if (SAVINGS_LABEL.test(before) || SAVINGS_SUFFIX.test(after)) kind = 'savings';
+    amounts.push({ value, kind, marked: CURRENCY_PREFIX.test(before), end: AMOUNT.lastIndex, before });
+  }
+  return amounts;
+}
+
+// options: { currency } assumed when the text has no sign; { decimalSeparator: ',' } for storefronts that
+// write 1.299,00 (thousands dots, decimal comma)
+function parsePriceText(text, { currency = null, decimalSeparator = '.' } = {}) {
+  const result = { price: null, mrp: null, discountPercent: null, currency: currency || null, range: null };
+  if (text == null) return result;
+  let str = String(text).replace(/\u00a0/g, ' ').trim();
+  if (decimalSeparator === ',') str = str.replace(/(\d)\.(?=\d{3}(?!\d))/g, '$1').replace(/(\d),(?=\d)/g, '$1.');
+  if (!str) return result;
+  result.currency = detectCurrency(str) || result.currency;
+
+  const amounts = scanAmounts(str);
+  // once any number carries a currency sign, bare numbers are counts ("Pack of 2"), not prices
+  const anyMarked = amounts.some(a => a.marked && a.kind === 'amount');
+  const prices = amounts.filter(a => a.kind === 'amount' && (a.marked || !anyMarked));
+  const labelledMrp = amounts.find(a => a.kind === 'mrp');
+  const percent = amounts.find(a => a.kind === 'percent');
+
+  if (prices.length >= 2 && RANGE_SEPARATOR.test(prices[1].before)) {
+    const min = Math.min(prices[0].value, prices[1].value);
+    const max = Math.max(prices[0].value, prices[1].value);
+    result.range = { min, max };
+    result.price = min;
+  } else if (prices.length > 0) {
+    // unlabelled pairs are selling price + struck-through MRP, in either order
+    const values = prices.map(a => a.value);
+    result.price = Math.min(...values);
+    const highest = Math.max(...values);
+    if (highest > result.price) result.mrp = highest;
+  }
+  if (labelledMrp && (result.price === null || labelledMrp.value >= result.price)) result.mrp = labelledMrp.value;
+  if (result.price === null && result.mrp !== null && percent) {
+    result.price = roundMoney(result.mrp * (1 - percent.value / 100));
+  }
+
+  if (result.mrp !== null && result.price !== null && result.mrp > result.price) {
+    result.discountPercent = Math.round(((result.mrp - result.price) / result.mrp) * 100);
+  } else {
+    result.mrp = null;
+    if (percent && percent.value > 0 && percent.value < 100) result.discountPercent = Math.round(percent.value);
+  }
+  return result;
+}
+
+// Combine a price block with a separately scraped MRP/strike-through element
+function mergePriceInfo(priceInfo, mrpInfo) {
+  const merged = Object.assign({}, priceInfo);
+  if (!merged.currency && mrpInfo) merged.currency = mrpInfo.currency;
+  const strike = mrpInfo ? (mrpInfo.mrp || mrpInfo.price) : null;
+  if (strike && merged.price !== null && strike > merged.price) {
+    merged.mrp = strike;
+    merged.discountPercent = Math.round(((strike - merged.price) / strike) * 100);
+  }
+  return merged;
+}
+
+module.exports = { parsePriceText, mergePriceInfo, detectCurrency };
@@ -0,0 +1,48 @@
+// Guards scrapes of caller-supplied URLs on stores without an adapter: only http(s), and never a host that
+// resolves to a loopback, private, link-local or otherwise internal address (the server's own network).
+const dns = require('dns').promises;
+const net = require('net');
+
+function isInternalAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+  const v6 = address.toLowerCase();
+  const mapped = v6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isInternalAddress(mapped[1]);
+  return v6 === '::' || v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || /^ff/.test(v6);
+}
+
+function notAllowed(message) {
+  const err = new Error(message);
+  err.code = 'EURLNOTALLOWED';
+  return err;
+}
+
+// Resolves when url may be opened; rejects with code EURLNOTALLOWED otherwise. options.lookup replaces dns.lookup.
+async function assertPublicUrl(url, { lookup = dns.lookup } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw notAllowed('not a valid URL');
+  }
+  if (!/^https?:$/.test(parsed.protocol)) throw notAllowed('only http and https URLs can be opened');
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await lookup(host, { all: true })).map(a => a.address);
+    } catch (err) {
+      throw notAllowed(`cannot resolve ${host} (${err.code || err.message})`);
+    }
+  }
+  if (addresses.some(isInternalAddress)) throw notAllowed(`${host} is an internal address`);
+}
+
+module.exports = { assertPublicUrl, isInternalAddress };
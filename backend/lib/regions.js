@@ -0,0 +1,21 @@
+// Storefront regions: the locale and currency results are shown in by default.
+// Adapters opt into regions other than the default with a `regions` section (see adapters/index.js).
+const DEFAULT_REGION = 'in';
+
+const REGIONS = {
+  in: { name: 'India', locale: 'en-IN', currency: 'INR' },
+  us: { name: 'United States', locale: 'en-US', currency: 'USD' },
+  uk: { name: 'United Kingdom', locale: 'en-GB', currency: 'GBP' },
+  de: { name: 'Germany', locale: 'de-DE', currency: 'EUR' }
+};
+
+function normalizeRegion(region) {
+  return String(region || DEFAULT_REGION).toLowerCase().trim();
+}
+
+function getRegion(region) {
+  const code = normalizeRegion(region);
+  return REGIONS[code] ? Object.assign({ code }, REGIONS[code]) : null;
+}
+
+module.exports = { DEFAULT_REGION, REGIONS, normalizeRegion, getRegion };
@@ -0,0 +1,66 @@
+// Query relevance: how well a result title answers the search query, from 0 (unrelated) to 1.
+//
+// Built on the same title attributes as cross-store matching (lib/matching): query-token coverage,
+// model-number and brand agreement, extra variants, and the accessory category hint. A cover for an
+// iPhone 15 shares every query word with the phone itself, so accessory results are flagged and
+// scaled down unless the query asks for an accessory.
+const { extractAttributes } = require('./matching');
+
+// results below this are hidden by default along with accessories (see includeAccessories)
+const MIN_RELEVANCE = 0.35;
+const ACCESSORY_FACTOR = 0.4;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function share(wanted, have) {
+  if (!wanted.length) return null;
+  const set = new Set(have);
+  return wanted.filter(t => set.has(t)).length / wanted.length;
+}
+
+// { relevance, accessory } for one title; pass a precomputed extractAttributes(query) when scoring many
+function scoreTitle(query, title, queryAttrs = extractAttributes(query)) {
+  const t = extractAttributes(title);
+  const parts = [];
+
+  // how much of the query the title covers, and how much of the title is about the query
+  const coverage = share(queryAttrs.tokens, t.tokens);
+  if (coverage !== null) parts.push([coverage, 0.45]);
+  const precision = share(t.tokens, queryAttrs.tokens);
+  if (precision !== null) parts.push([precision, 0.15]);
+
+  if (queryAttrs.modelNumbers.length) {
+    // "15" asked for and "14" offered is a different product, not a partial match
+    const models = share(queryAttrs.modelNumbers, t.modelNumbers);
+    parts.push([t.modelNumbers.length && models === 0 ? -0.5 : models, 0.25]);
+  }
+  if (queryAttrs.brand) parts.push([t.brand === queryAttrs.brand ? 1 : t.brand ? -0.5 : 0.5, 0.15]);
+
+  const weight = parts.reduce((sum, [, w]) => sum + w, 0);
+  let score = weight ? parts.reduce((sum, [v, w]) => sum + v * w, 0) / weight : 0;
+
+  // a Pro or Max when the query named neither is a near miss
+  const extraVariants = t.variants.filter(v => !queryAttrs.variants.includes(v)).length;
+  const missingVariants = queryAttrs.variants.filter(v => !t.variants.includes(v)).length;
+  score -= 0.1 * extraVariants + 0.15 * missingVariants;
+
+  const accessory = t.accessory && !queryAttrs.accessory;
+  // the category hint cuts both ways: a search for a case is not answered by the phone
+  if (accessory || (queryAttrs.accessory && !t.accessory)) score *= ACCESSORY_FACTOR;
+
+  return { relevance: round(Math.min(1, Math.max(0, score))), accessory };
+}
+
+// Copies of the products with `relevance` and `accessory` set for this query
+function scoreProducts(query, products) {
+  const queryAttrs = extractAttributes(query);
+  return products.map(p => Object.assign({}, p, scoreTitle(query, p.name, queryAttrs)));
+}
+
+// Hidden unless includeAccessories: add-ons for the searched product and weak matches
+function isHiddenByDefault(product) {
+  if (product.relevance === undefined) return false;
+  return product.accessory || product.relevance < MIN_RELEVANCE;
+}
+
+module.exports = { MIN_RELEVANCE, scoreTitle, scoreProducts, isHiddenByDefault };
@@ -0,0 +1,115 @@
+// Request interception for scrape pages: extraction reads the DOM, so images, fonts, video and third-party
+// trackers only slow page loads down. Adapters tune this with their `requests` key (see adapters/index.js).
+// Pages of stores without an adapter also get publicOnly: no request may reach an internal address.
+const { assertPublicUrl } = require('./public-url');
+
+const BLOCKED_TYPES = ['image', 'media', 'font', 'texttrack', 'ping'];
+const TRACKER_DOMAINS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googlesyndication.com',
+  'doubleclick.net',
+  'adservice.google.com',
+  'amazon-adsystem.com',
+  'facebook.net',
+  'connect.facebook.com',
+  'scorecardresearch.com',
+  'hotjar.com',
+  'clarity.ms',
+  'criteo.com',
+  'criteo.net',
+  'taboola.com',
+  'outbrain.com',
+  'nr-data.net',
+  'branch.io',
+  'moengage.com',
+  'webengage.com',
+  'clevertap-prod.com'
+];
+
+const listOf = (value, name) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error(`requests.${name} must be an array`);
+  return value.map(v => String(v).toLowerCase());
+};
+
+// adapter `requests` -> { enabled, blockTypes, blockDomains, allowDomains, publicOnly }. `false` turns blocking off;
+// allowTypes/allowDomains take entries back out of the defaults, blockTypes/blockDomains add to them.
+// publicOnly aborts every request (the page itself and each redirect hop included) to a host that resolves to an
+// internal address, and stays on when blocking is off (see guardOnly).
+function buildRequestPolicy(spec = {}) {
+  if (spec === false) return { enabled: false, blockTypes: [], blockDomains: [], allowDomains: [], publicOnly: false };
+  if (typeof spec !== 'object' || spec === null) throw new Error('requests must be an object or false');
+  const allowTypes = listOf(spec.allowTypes, 'allowTypes');
+  const allowDomains = listOf(spec.allowDomains, 'allowDomains');
+  return {
+    enabled: true,
+    blockTypes: Array.from(new Set(BLOCKED_TYPES.concat(listOf(spec.blockTypes, 'blockTypes')))).filter(t => !allowTypes.includes(t)),
+    blockDomains: Array.from(new Set(TRACKER_DOMAINS.concat(listOf(spec.blockDomains, 'blockDomains')))),
+    allowDomains,
+    publicOnly: spec.publicOnly === true
+  };
+}
+
+// What is left of a policy when blocking is switched off (BLOCK_REQUESTS=0): the publicOnly guard, or nothing
+function guardOnly(policy) {
+  return policy && policy.publicOnly ? Object.assign(buildRequestPolicy(false), { publicOnly: true }) : null;
+}
+
+function matchesDomain(host, domains) {
+  return domains.some(d => host === d || host.endsWith(`.${d}`));
+}
+
+// 'type' or 'domain' when the request should be aborted, else null
+function blockReason(policy, resourceType, url) {
+  if (!policy.enabled) return null;
+  let host = '';
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+  if (matchesDomain(host, policy.allowDomains)) return null;
+  if (matchesDomain(host, policy.blockDomains)) return 'domain';
+  if (policy.blockTypes.includes(resourceType)) return 'type';
+  return null;
+}
+
+const counters = new WeakMap();
+
+// Start intercepting on a page (once per page) and return its live counters: { allowed, blocked, byType, byDomain,
+// byAddress }. options.checkUrl replaces lib/public-url assertPublicUrl for publicOnly policies.
+async function applyRequestPolicy(page, policy, { checkUrl = assertPublicUrl } = {}) {
+  if (counters.has(page)) return counters.get(page);
+  const counts = { allowed: 0, blocked: 0, byType: 0, byDomain: 0, byAddress: 0 };
+  counters.set(page, counts);
+  if (!policy || !(policy.enabled || policy.publicOnly)) return counts;
+
+  const decide = (req) => {
+    // the page being scraped itself always loads
+    const reason = req.isNavigationRequest() && req.frame() === page.mainFrame() ? null : blockReason(policy, req.resourceType(), req.url());
+    if (reason) {
+      counts.blocked++;
+      counts[reason === 'type' ? 'byType' : 'byDomain']++;
+      req.abort('blockedbyclient').catch(() => {});
+    } else {
+      counts.allowed++;
+      req.continue().catch(() => {});
+    }
+  };
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    if (req.isInterceptResolutionHandled && req.isInterceptResolutionHandled()) return;
+    // data: and blob: never leave the browser; everything else is resolved again here, so a redirect or a
+    // host whose DNS has changed since the first check is caught on the request that would reach it
+    if (!policy.publicOnly || /^(data|blob):/i.test(req.url())) return decide(req);
+    checkUrl(req.url()).then(() => decide(req), () => {
+      counts.blocked++;
+      counts.byAddress++;
+      req.abort('addressunreachable').catch(() => {});
+    });
+  });
+  return counts;
+}
+
+module.exports = { BLOCKED_TYPES, TRACKER_DOMAINS, buildRequestPolicy, guardOnly, blockReason, applyRequestPolicy };
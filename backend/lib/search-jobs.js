@@ -0,0 +1,155 @@
+// Background search jobs: a bounded in-process queue so clients can start a multi-store search, disconnect,
+// and poll for the outcome instead of holding a request open for the whole scrape.
+//
+// A job is queued -> running -> done | failed | cancelled. run(job, { signal, onSiteResult }) does the work
+// (the server passes scrapeMultipleSites); `signal` aborts when the job is cancelled. Finished jobs are kept
+// for retainMs so a client that comes back later can still read them.
+const crypto = require('crypto');
+
+const FINISHED = ['done', 'failed', 'cancelled'];
+
+class SearchJobQueue {
+  constructor({ run, concurrency = 1, maxQueued = 20, retainMs = 30 * 60 * 1000, maxRetained = 200, now = Date.now } = {}) {
+    if (typeof run !== 'function') throw new Error('SearchJobQueue needs a run(job, { signal, onSiteResult }) function');
+    this.run = run;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxQueued = maxQueued;
+    this.retainMs = retainMs;
+    this.maxRetained = maxRetained;
+    this.now = now;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  // Queue a search; params is whatever run() needs plus { query, sites } for progress reporting.
+  // Throws an error with code 'EQUEUEFULL' when maxQueued jobs are already waiting.
+  submit(params) {
+    this.prune();
+    if (this.queue.length >= this.maxQueued) {
+      const err = new Error(`Search queue is full (${this.maxQueued} waiting)`);
+      err.code = 'EQUEUEFULL';
+      throw err;
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      params,
+      createdAt: this.now(),
+      startedAt: null,
+      finishedAt: null,
+      sites: {},
+      results: [],
+      response: null,
+      error: null,
+      controller: new AbortController()
+    };
+    for (const site of params.sites || []) job.sites[site] = { status: 'pending', count: 0 };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.pump();
+    return this.view(job);
+  }
+
+  get(id) {
+    this.prune();
+    const job = this.jobs.get(id);
+    return job ? this.view(job) : null;
+  }
+
+  // Cancel a queued or running job. Returns its view, or null for an unknown id; finished jobs are left as they are.
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (FINISHED.includes(job.status)) return this.view(job);
+    if (job.status === 'queued') this.queue.splice(this.queue.indexOf(job), 1);
+    this.finish(job, 'cancelled');
+    job.controller.abort();
+    return this.view(job);
+  }
+
+  stats() {
+    const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) counts[job.status]++;
+    return counts;
+  }
+
+  pump() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      this.start(this.queue.shift());
+    }
+  }
+
+  async start(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = this.now();
+    const onSiteResult = (site, status, items) => {
+      if (job.status !== 'running') return;
+      job.sites[site] = status;
+      job.results.push(...items);
+    };
+    try {
+      const response = await this.run(job, { signal: job.controller.signal, onSiteResult });
+      if (job.status === 'running') {
+        job.response = response;
+        this.finish(job, 'done');
+      }
+    } catch (err) {
+      if (job.status === 'running') {
+        job.error = err && err.message ? err.message : String(err);
+        this.finish(job, 'failed');
+      }
+    } finally {
+      this.running--;
+      this.pump();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = this.now();
+    if (job.response) {
+      job.sites = job.response.sites || job.sites;
+      job.results = job.response.results || job.results;
+    }
+    // stores the job never heard back from
+    for (const [site, state] of Object.entries(job.sites)) {
+      if (state.status !== 'pending' && state.status !== 'running') continue;
+      job.sites[site] = { status: status === 'cancelled' ? 'cancelled' : 'error', count: 0 };
+    }
+  }
+
+  // Drop finished jobs older than retainMs, and the oldest finished ones beyond maxRetained
+  prune() {
+    const finished = [];
+    for (const job of this.jobs.values()) {
+      if (!FINISHED.includes(job.status)) continue;
+      if (this.now() - job.finishedAt > this.retainMs) this.jobs.delete(job.id);
+      else finished.push(job);
+    }
+    finished.sort((a, b) => a.finishedAt - b.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.maxRetained))) this.jobs.delete(job.id);
+  }
+
+  // What clients see: progress while running, the full search response once done
+  view(job) {
+    const sites = Object.values(job.sites);
+    return {
+      id: job.id,
+      status: job.status,
+      query: job.params.query,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      queuePosition: job.status === 'queued' ? this.queue.indexOf(job) + 1 : null,
+      progress: { sitesDone: sites.filter(s => s.status !== 'pending' && s.status !== 'running').length, sitesTotal: sites.length },
+      sites: job.sites,
+      results: job.results,
+      response: job.response,
+      error: job.error
+    };
+  }
+}
+
+module.exports = { SearchJobQueue, FINISHED };
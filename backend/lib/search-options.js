@@ -0,0 +1,128 @@
+// Filtering, sorting and pagination options for multi-store searches.
+//
+// parseSearchOptions() validates raw request input (JSON body or query string, so numbers may arrive as
+// strings) and applySearchOptions() runs the merged result list through it.
+const { isHiddenByDefault } = require('./relevance');
+
+const SORTS = ['price', 'rating', 'relevance', 'discount'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+function optionalNumber(value, name, { min = 0, max = Infinity, integer = false } = {}) {
+  if (value === undefined || value === null || value === '') return { value: undefined };
+  const n = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    return { error: `${name} must be ${integer ? 'an integer' : 'a number'} ${range}` };
+  }
+  return { value: n };
+}
+
+// true, 'true', '1' or 1 -> true; anything else (including absent) -> false
+function booleanOption(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+// "amazon,flipkart" or ['amazon', 'flipkart'] -> ['amazon', 'flipkart']
+function listOption(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const cleaned = items.map(v => String(v).toLowerCase().trim()).filter(Boolean);
+  return cleaned.length ? Array.from(new Set(cleaned)) : undefined;
+}
+
+// Returns { options } or { error }. knownPlatforms: site ids that may appear in `platforms`
+function parseSearchOptions(input = {}, { knownPlatforms = null } = {}) {
+  // limitRequested: the client asked for a specific page size, so stores may walk further result pages
+  const options = {
+    sort: 'price',
+    page: 1,
+    limit: DEFAULT_LIMIT,
+    limitRequested: input.limit !== undefined && input.limit !== '',
+    includeAccessories: booleanOption(input.includeAccessories),
+    excludeSponsored: booleanOption(input.excludeSponsored)
+  };
+  const numbers = [
+    ['minPrice', {}],
+    ['maxPrice', {}],
+    ['minRating', { max: 5 }],
+    ['page', { min: 1, max: 1000, integer: true }],
+    ['limit', { min: 1, max: MAX_LIMIT, integer: true }]
+  ];
+  for (const [name, bounds] of numbers) {
+    const { value, error } = optionalNumber(input[name], name, bounds);
+    if (error) return { error };
+    if (value !== undefined) options[name] = value;
+  }
+  if (options.minPrice !== undefined && options.maxPrice !== undefined && options.minPrice > options.maxPrice) {
+    return { error: 'minPrice must not be greater than maxPrice' };
+  }
+
+  if (input.sort !== undefined && input.sort !== '') {
+    const sort = String(input.sort).toLowerCase();
+    if (!SORTS.includes(sort)) return { error: `sort must be one of ${SORTS.join('|')}` };
+    options.sort = sort;
+  }
+
+  const platforms = listOption(input.platforms);
+  if (platforms) {
+    const unknown = knownPlatforms ? platforms.filter(p => !knownPlatforms.includes(p)) : [];
+    if (unknown.length) return { error: `Unknown platforms: ${unknown.join(', ')}. Use ${knownPlatforms.join('|')}` };
+    options.platforms = platforms;
+  }
+  return { options };
+}
+
+// Price used for filters and sorting: the converted display price when there is one
+function comparablePrice(product) {
+  return product.displayPrice != null ? product.displayPrice : product.price;
+}
+
+const COMPARATORS = {
+  price: (a, b) => comparablePrice(a) - comparablePrice(b),
+  // unrated and undiscounted listings go last; ties fall back to price
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0) || COMPARATORS.price(a, b),
+  discount: (a, b) => (b.discountPercent || 0) - (a.discountPercent || 0) || COMPARATORS.price(a, b),
+  // query relevance (lib/relevance), then each store's own ranking interleaved: every store's #1, then every #2, ...
+  relevance: (a, b) => (b.relevance || 0) - (a.relevance || 0) || (a.rank || Infinity) - (b.rank || Infinity) || COMPARATORS.price(a, b)
+};
+
+// products -> { results (one page), total, totalPages, hasMore, hidden, filtered (every match, sorted) }
+// Scored accessories and weak matches are left out (and counted in `hidden`) unless includeAccessories is set.
+function applySearchOptions(products, options) {
+  const { minPrice, maxPrice, minRating, platforms, includeAccessories, excludeSponsored, sort = 'price', page = 1, limit = DEFAULT_LIMIT } = options;
+  const visible = includeAccessories ? products : products.filter(p => !isHiddenByDefault(p));
+  const filtered = visible.filter(p => {
+    const price = comparablePrice(p);
+    if (minPrice !== undefined && !(price >= minPrice)) return false;
+    if (maxPrice !== undefined && !(price <= maxPrice)) return false;
+    if (minRating !== undefined && !((p.rating || 0) >= minRating)) return false;
+    if (excludeSponsored && p.sponsored) return false;
+    if (platforms && !platforms.includes(String(p.platform || '').toLowerCase())) return false;
+    return true;
+  });
+  filtered.sort(COMPARATORS[sort] || COMPARATORS.price);
+
+  const start = (page - 1) * limit;
+  return {
+    results: filtered.slice(start, start + limit),
+    total: filtered.length,
+    totalPages: Math.max(1, Math.ceil(filtered.length / limit)),
+    hasMore: start + limit < filtered.length,
+    hidden: products.length - visible.length,
+    filtered
+  };
+}
+
+// The filters a client sent, for echoing back in the response
+function describeFilters(options) {
+  const filters = {};
+  for (const key of ['minPrice', 'maxPrice', 'minRating', 'platforms']) {
+    if (options[key] !== undefined) filters[key] = options[key];
+  }
+  filters.includeAccessories = !!options.includeAccessories;
+  filters.excludeSponsored = !!options.excludeSponsored;
+  return filters;
+}
+
+module.exports = { SORTS, DEFAULT_LIMIT, MAX_LIMIT, parseSearchOptions, applySearchOptions, describeFilters, comparablePrice };
@@ -0,0 +1,183 @@
+// Selector health: the results of canary searches (each adapter's canaryQueries, run on a schedule by the
+// server) so a store's markup change shows up here before users notice.
+//
+// One check per storefront and query: { t, site, region, query, status, reason, tiles, products, fill, durationMs,
+// health, problems, artifacts }. `fill` is the share of result tiles with a usable name, price, image, rating and
+// link. health is "ok", "degraded" (a field's fill rate or the product count fell below its floor or well below the
+// recent baseline) or "failing" (no products at all, or a captcha, timeout or other failure from lib/site-status).
+// Checks are appended to a JSON-lines file; degraded and failing checks keep the page's HTML and a screenshot.
+const fs = require('fs');
+const path = require('path');
+const { snapshotName } = require('./snapshots');
+const { NOOP_LOGGER } = require('./logger');
+
+const FIELDS = ['name', 'price', 'image', 'rating', 'link'];
+// lowest acceptable fill rate; not every listing has a rating, and images may lazy-load
+const MIN_FILL = { name: 0.8, price: 0.8, image: 0.5, rating: 0, link: 0.8 };
+const MAX_FILL_DROP = 0.3; // below the baseline's fill rate by this much is degraded
+const MIN_PRODUCT_RATIO = 0.5; // fewer than half the baseline's products is degraded
+const BASELINE_RUNS = 5; // healthy checks of the same query averaged into the baseline
+const HEALTH_ORDER = ['ok', 'degraded', 'failing'];
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Raw tiles from extractProducts(..., { keepIncomplete: true }) -> { tiles, fill: { field: 0..1 } }
+function measureFill(adapter, rawItems) {
+  const tiles = (rawItems || []).length;
+  const filled = {
+    name: raw => !!raw.name,
+    price: raw => !!raw.price && adapter.parsePriceText(raw.price, { currency: adapter.currency }).price !== null,
+    image: raw => !!raw.image,
+    rating: raw => !!raw.rating && adapter.parseRating(raw.rating) !== null,
+    link: raw => !!(raw.link || (adapter.fallbackLink && adapter.fallbackLink(raw)))
+  };
+  const fill = {};
+  for (const field of FIELDS) fill[field] = tiles ? round(rawItems.filter(filled[field]).length / tiles) : 0;
+  return { tiles, fill };
+}
+
+class SelectorHealth {
+  // options.log: lib/logger Logger for checks and artifacts that could not be written
+  constructor({ file = null, artifactsDir = null, maxArtifacts = 20, maxHistory = 200, log = NOOP_LOGGER, now = Date.now } = {}) {
+    this.file = file;
+    this.artifactsDir = artifactsDir;
+    this.maxArtifacts = maxArtifacts;
+    this.maxHistory = maxHistory;
+    this.log = log;
+    this.now = now;
+    this.bySite = new Map();
+    if (this.file) this.load();
+  }
+
+  index(check) {
+    if (!this.bySite.has(check.site)) this.bySite.set(check.site, []);
+    const checks = this.bySite.get(check.site);
+    checks.push(check);
+    if (checks.length > this.maxHistory) checks.shift();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.index(JSON.parse(line));
+      } catch (e) {
+        // a torn last line from a crash mid-write; skip it
+      }
+    }
+  }
+
+  // Average products and fill rates over the last healthy checks of this site and query, or null
+  baseline(site, query) {
+    const healthy = (this.bySite.get(site) || []).filter(c => c.query === query && c.health === 'ok').slice(-BASELINE_RUNS);
+    if (!healthy.length) return null;
+    const mean = (read) => round(healthy.reduce((sum, c) => sum + read(c), 0) / healthy.length);
+    const fill = {};
+    for (const field of FIELDS) fill[field] = mean(c => c.fill[field]);
+    return { runs: healthy.length, products: mean(c => c.products), fill };
+  }
+
+  // Adds health and problems to a measured check ({ site, query, status, reason, tiles, products, fill })
+  assess(check) {
+    const problems = [];
+    let health = 'ok';
+    if (check.status !== 'ok') {
+      health = 'failing';
+      problems.push(check.reason ? `${check.status}: ${check.reason}` : check.status);
+    } else if (!check.products) {
+      health = 'failing';
+      problems.push(`no products from ${check.tiles} tiles`);
+    } else {
+      const baseline = this.baseline(check.site, check.query);
+      for (const field of FIELDS) {
+        const rate = check.fill[field];
+        if (rate < MIN_FILL[field]) {
+          problems.push(`${field} read on ${percent(rate)} of tiles (minimum ${percent(MIN_FILL[field])})`);
+        } else if (baseline && baseline.fill[field] - rate >= MAX_FILL_DROP) {
+          problems.push(`${field} read on ${percent(rate)} of tiles, down from ${percent(baseline.fill[field])}`);
+        }
+      }
+      if (baseline && check.products < baseline.products * MIN_PRODUCT_RATIO) {
+        problems.push(`${check.products} products, down from ${baseline.products}`);
+      }
+      if (problems.length) health = 'degraded';
+    }
+    return Object.assign({}, check, { health, problems });
+  }
+
+  record(check) {
+    const entry = Object.assign({ t: this.now() }, check);
+    this.index(entry);
+    if (this.file) {
+      try {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+      } catch (err) {
+        this.log.warn('selector health check could not be appended', { file: this.file, site: entry.site, error: err });
+      }
+    }
+    return entry;
+  }
+
+  // Write the failing page's HTML (and PNG screenshot) under artifactsDir/<site>/, keeping the newest maxArtifacts
+  // checks per site. Returns the { html, screenshot } file names (relative to the site directory), or null.
+  saveArtifacts(site, query, { html, screenshot }) {
+    if (!this.artifactsDir || !this.maxArtifacts) return null;
+    const dir = path.join(this.artifactsDir, site);
+    const base = `${new Date(this.now()).toISOString().replace(/[:.]/g, '-')}-${snapshotName(query)}`;
+    const saved = {};
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      if (html) fs.writeFileSync(path.join(dir, (saved.html = `${base}.html`)), html);
+      if (screenshot) fs.writeFileSync(path.join(dir, (saved.screenshot = `${base}.png`)), screenshot);
+      const bases = Array.from(new Set(fs.readdirSync(dir).map(f => f.replace(/\.(html|png)$/, '')))).sort();
+      for (const old of bases.slice(0, Math.max(0, bases.length - this.maxArtifacts))) {
+        for (const ext of ['.html', '.png']) fs.rmSync(path.join(dir, old + ext), { force: true });
+      }
+    } catch (err) {
+      this.log.warn('selector health artifacts could not be saved', { dir, site, error: err });
+    }
+    return saved;
+  }
+
+  // Absolute path of a saved artifact, or null for anything that is not one (no path tricks)
+  artifactPath(site, name) {
+    if (!this.artifactsDir || !/^[\w-]+$/.test(site) || !/^[\w-]+\.(html|png)$/.test(name)) return null;
+    const file = path.join(this.artifactsDir, site, name);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  // Per site: its health (the worst over each query's latest check), current and baseline fill per field, and the
+  // last `limit` checks, newest first
+  summary({ site, limit = 20 } = {}) {
+    const sites = {};
+    for (const [id, checks] of this.bySite) {
+      if (site && id !== site) continue;
+      const latestByQuery = new Map();
+      for (const c of checks) latestByQuery.set(c.query, c);
+      const latest = Array.from(latestByQuery.values());
+      const health = latest.reduce((worst, c) => (HEALTH_ORDER.indexOf(c.health) > HEALTH_ORDER.indexOf(worst) ? c.health : worst), 'ok');
+      const fields = {};
+      for (const field of FIELDS) {
+        const baselines = latest.map(c => this.baseline(id, c.query)).filter(Boolean);
+        fields[field] = {
+          fill: round(latest.reduce((sum, c) => sum + c.fill[field], 0) / latest.length),
+          baseline: baselines.length ? round(baselines.reduce((sum, b) => sum + b.fill[field], 0) / baselines.length) : null,
+          minimum: MIN_FILL[field]
+        };
+      }
+      sites[id] = {
+        health,
+        checkedAt: new Date(Math.max(...latest.map(c => c.t))).toISOString(),
+        problems: latest.flatMap(c => c.problems.map(p => `${c.query}: ${p}`)),
+        fields,
+        checks: (limit ? checks.slice(-limit) : []).reverse().map(c => Object.assign({}, c, { time: new Date(c.t).toISOString() }))
+      };
+    }
+    return sites;
+  }
+}
+
+module.exports = { SelectorHealth, measureFill, FIELDS, MIN_FILL, HEALTH_ORDER };
@@ -0,0 +1,90 @@
+// What happened when a store was scraped. A search page that yields no products is classified, so a captcha
+// or bot wall is not mistaken for a genuine "no results" page:
+//   ok               - products found
+//   empty            - the store says it has nothing for the query
+//   captcha          - a captcha / "are you a human" challenge
+//   blocked          - an access-denied page, login wall or 403/429/503 response
+//   timeout          - the page or the site's time budget ran out
+//   selector-miss    - a normal-looking page where no tile matched (the store changed its markup)
+//   navigation-error - the page could not be loaded at all (DNS, TLS, connection reset, ...)
+//   error            - anything else
+// Adapters add their own markers with the `detect` key (see adapters/index.js).
+const STATUSES = ['ok', 'empty', 'captcha', 'blocked', 'timeout', 'selector-miss', 'navigation-error', 'error'];
+const BLOCKED_HTTP = [403, 429, 503];
+
+// Markers every store gets; `empty` is store-specific only (its "no results" wording)
+const DEFAULT_DETECT = {
+  captcha: {
+    selectors: ['form[action*="captcha" i]', 'iframe[src*="recaptcha"]', 'iframe[src*="hcaptcha"]', '.g-recaptcha', '.h-captcha', '#captcha'],
+    text: ['not a robot', 'are you a human', 'verify you are (a )?human', 'complete the security check'],
+    urls: ['captcha']
+  },
+  blocked: {
+    selectors: [],
+    text: ['access denied', "you don't have permission to access", 'request (was )?blocked', 'unusual traffic'],
+    urls: []
+  },
+  empty: { selectors: [], text: [], urls: [] }
+};
+
+const KINDS = Object.keys(DEFAULT_DETECT);
+const PARTS = ['selectors', 'text', 'urls'];
+
+// adapter `detect` -> { captcha, blocked, empty }, each { selectors, text, urls } with the defaults added.
+// text and urls are case-insensitive regex sources matched against the page text and its final URL.
+function normalizeDetect(detect = {}) {
+  if (typeof detect !== 'object' || detect === null) throw new Error('detect must be an object');
+  const out = {};
+  for (const kind of KINDS) {
+    const spec = detect[kind] || {};
+    out[kind] = {};
+    for (const part of PARTS) {
+      const extra = spec[part] === undefined ? [] : spec[part];
+      if (!Array.isArray(extra)) throw new Error(`detect.${kind}.${part} must be an array`);
+      if (part !== 'selectors') {
+        for (const source of extra) {
+          try {
+            new RegExp(source, 'i');
+          } catch (e) {
+            throw new Error(`detect.${kind}.${part}: invalid pattern ${JSON.stringify(source)}`);
+          }
+        }
+      }
+      out[kind][part] = Array.from(new Set(DEFAULT_DETECT[kind][part].concat(extra.map(String))));
+    }
+  }
+  return out;
+}
+
+// A page with no products -> { status, reason }.
+// inspection is what extract.inspectPage found: { tiles, captcha, blocked, empty } (the matched marker or null)
+function classifyPage({ httpStatus = null, rawCount = 0, inspection }) {
+  const { tiles = 0, captcha = null, blocked = null, empty = null } = inspection || {};
+  if (captcha) return { status: 'captcha', reason: `captcha page (${captcha})` };
+  if (blocked) return { status: 'blocked', reason: `blocked page (${blocked})` };
+  if (BLOCKED_HTTP.includes(httpStatus)) return { status: 'blocked', reason: `HTTP ${httpStatus}` };
+  if (empty) return { status: 'empty', reason: 'no results for this query' };
+  if (httpStatus >= 400) return { status: 'navigation-error', reason: `HTTP ${httpStatus}` };
+  if (tiles === 0) return { status: 'selector-miss', reason: 'no element matched the item selector' };
+  if (rawCount === 0) return { status: 'selector-miss', reason: `${tiles} tiles matched but none had a name and price` };
+  return { status: 'selector-miss', reason: `${rawCount} tiles read but none could be turned into a product` };
+}
+
+// Error carrying a classified outcome, thrown by the scraper so the status survives retries and deadlines
+function siteFailure(status, reason) {
+  const err = new Error(reason);
+  err.code = 'ESITESTATUS';
+  err.siteStatus = status;
+  return err;
+}
+
+// Any scrape error -> { status, reason }
+function describeFailure(err) {
+  const message = err && err.message ? err.message : String(err);
+  if (err && err.siteStatus) return { status: err.siteStatus, reason: message };
+  if (err && (err.code === 'ETIMEDOUT' || err.name === 'TimeoutError')) return { status: 'timeout', reason: message };
+  if (/net::ERR_|Navigation failed|ERR_NAME_NOT_RESOLVED|ERR_CONNECTION/i.test(message)) return { status: 'navigation-error', reason: message };
+  return { status: 'error', reason: message };
+}
+
+module.exports = { STATUSES, BLOCKED_HTTP, DEFAULT_DETECT, normalizeDetect, classifyPage, siteFailure, describeFailure };
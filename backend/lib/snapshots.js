@@ -0,0 +1,134 @@
+// Offline HTML snapshots of store search pages.
+//
+// record: load a live search page and save its rendered HTML plus a small meta file
+// replay: load a saved snapshot into a page with the network cut off and run the normal extraction on it
+// domPage: the same without a browser, on jsdom (a dev dependency), for tests and machines without Chromium
+//
+// Layout: __fixtures__/snapshots/<site>/<name>.html + <name>.json ({ site, query, url, recordedAt }), and product
+// pages the same way under __fixtures__/product-pages (without a query). Fixtures written by hand rather than
+// recorded have recordedAt null and handBuilt true.
+const fs = require('fs');
+const path = require('path');
+const { loadSearchPage, extractProducts, extractProductDetail } = require('./extract');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', '__fixtures__', 'snapshots');
+const PRODUCT_PAGE_DIR = path.join(__dirname, '..', '__fixtures__', 'product-pages');
+
+function snapshotName(query) {
+  return String(query).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'snapshot';
+}
+
+function snapshotPaths(site, name, dir = SNAPSHOT_DIR) {
+  const base = path.join(dir, site, name);
+  return { html: `${base}.html`, meta: `${base}.json` };
+}
+
+function listSnapshots(site, dir = SNAPSHOT_DIR) {
+  const siteDir = path.join(dir, site);
+  if (!fs.existsSync(siteDir)) return [];
+  return fs.readdirSync(siteDir)
+    .filter(f => f.endsWith('.html'))
+    .map(f => f.slice(0, -'.html'.length))
+    .sort();
+}
+
+async function recordSnapshot(page, adapter, query, { dir = SNAPSHOT_DIR, name = snapshotName(query), timeout } = {}) {
+  await loadSearchPage(page, adapter, query, { timeout });
+  const html = await page.content();
+  const meta = { site: adapter.id, query, url: page.url(), recordedAt: new Date().toISOString() };
+
+  const paths = snapshotPaths(adapter.id, name, dir);
+  fs.mkdirSync(path.dirname(paths.html), { recursive: true });
+  fs.writeFileSync(paths.html, html);
+  fs.writeFileSync(paths.meta, JSON.stringify(meta, null, 2) + '\n');
+  return Object.assign({ name, bytes: Buffer.byteLength(html) }, paths, meta);
+}
+
+function readSnapshot(site, name, dir = SNAPSHOT_DIR) {
+  const paths = snapshotPaths(site, name, dir);
+  if (!fs.existsSync(paths.html)) throw new Error(`No snapshot ${site}/${name} in ${dir}`);
+  const meta = fs.existsSync(paths.meta) ? JSON.parse(fs.readFileSync(paths.meta, 'utf8')) : {};
+  return { html: fs.readFileSync(paths.html, 'utf8'), meta };
+}
+
+// Replays are fully offline: scripts are off and every request the markup tries to make is aborted
+async function replaySnapshot(page, adapter, name, { dir = SNAPSHOT_DIR } = {}) {
+  const { html, meta } = readSnapshot(adapter.id, name, dir);
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    if (req.isInterceptResolutionHandled && req.isInterceptResolutionHandled()) return;
+    req.abort().catch(() => {});
+  });
+  await page.setContent(html, { waitUntil: 'domcontentloaded' });
+  const baseUrl = meta.url || adapter.buildSearchUrl(meta.query || name);
+  const { products } = await extractProducts(page, adapter, baseUrl);
+  return products;
+}
+
+// Stand-in for a Puppeteer page holding `html` at `url`, parsed by jsdom with scripts off and nothing fetched.
+// evaluate() runs the in-page extractors the way page.evaluate does: the function's source inside the document,
+// with its argument and result passed as JSON. The page is already loaded, so goto() and request interception
+// do nothing and waitForSelector() only checks the document.
+function domPage(html, url) {
+  const { JSDOM } = require('jsdom');
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  const find = (selector) => dom.window.document.querySelector(selector);
+  return {
+    url: () => url,
+    content: async () => dom.serialize(),
+    evaluate: async (fn, arg) => {
+      const result = dom.window.eval(`(${fn.toString()})(${arg === undefined ? '' : JSON.stringify(arg)})`);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+    goto: async () => ({ status: () => 200 }),
+    waitForSelector: async (selector) => {
+      if (!find(selector)) throw Object.assign(new Error(`Waiting for selector \`${selector}\` failed`), { name: 'TimeoutError' });
+      return {};
+    },
+    waitForTimeout: async () => {},
+    $: async () => null,
+    setJavaScriptEnabled: async () => {},
+    setRequestInterception: async () => {},
+    on: () => {},
+    close: async () => dom.window.close()
+  };
+}
+
+// replaySnapshot on jsdom. CSS the browser would apply plays no part in extraction, so results are the same.
+async function replaySnapshotInDom(adapter, name, { dir = SNAPSHOT_DIR } = {}) {
+  const { html, meta } = readSnapshot(adapter.id, name, dir);
+  const baseUrl = meta.url || adapter.buildSearchUrl(meta.query || name);
+  const page = domPage(html, baseUrl);
+  try {
+    const { products } = await extractProducts(page, adapter, baseUrl);
+    return products;
+  } finally {
+    await page.close();
+  }
+}
+
+// A saved product page (__fixtures__/product-pages) through extractProductDetail on jsdom
+async function replayProductPageInDom(adapter, name, { dir = PRODUCT_PAGE_DIR } = {}) {
+  const { html, meta } = readSnapshot(adapter.id, name, dir);
+  const page = domPage(html, meta.url);
+  try {
+    return await extractProductDetail(page, adapter, meta.url);
+  } finally {
+    await page.close();
+  }
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  PRODUCT_PAGE_DIR,
+  snapshotName,
+  snapshotPaths,
+  listSnapshots,
+  recordSnapshot,
+  readSnapshot,
+  replaySnapshot,
+  domPage,
+  replaySnapshotInDom,
+  replayProductPageInDom
+};
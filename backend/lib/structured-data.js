@@ -0,0 +1,261 @@
+// schema.org product data embedded in store pages: JSON-LD (<script type="application/ld+json">), microdata
+// (itemscope/itemprop) and OpenGraph product meta tags (og:title, product:price:amount, ...).
+//
+// Stores change class names far more often than the data they publish for search engines, so extract.js reads
+// this first and uses the adapter's CSS selectors only for what it lacks. It is also all a store without an
+// adapter needs for its product pages (see adapters.generic).
+const { parsePriceText } = require('./price-parser');
+
+// A page is ready for structured extraction once one of these is in the DOM (the generic adapter's wait selector)
+const STRUCTURED_DATA_SELECTOR = 'script[type="application/ld+json"], [itemtype*="schema.org/Product" i], meta[property="product:price:amount"]';
+const PRODUCT_TYPES = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel'];
+const MAX_DEPTH = 8;
+
+// Runs inside the page via page.evaluate, so it must not reference anything outside its own body.
+// Returns the raw sources: { jsonld: [parsed blocks], microdata: [top-level items], meta: { 'og:title': ... } }
+function readStructuredData() {
+  const jsonld = [];
+  for (const script of document.querySelectorAll('script[type="application/ld+json" i]')) {
+    try {
+      // some stores wrap the block in an HTML comment
+      jsonld.push(JSON.parse(script.textContent.replace(/^\s*<!--|-->\s*$/g, '')));
+    } catch (e) {
+      // a malformed block says nothing about the others
+    }
+  }
+
+  // itemprop values per the microdata spec; a nested itemscope becomes an object with its own @type
+  const readItem = (scope, depth) => {
+    const item = { '@type': (scope.getAttribute('itemtype') || '').trim().split(/\s+/)[0] };
+    for (const el of scope.querySelectorAll('[itemprop]')) {
+      if (!el.parentElement || el.parentElement.closest('[itemscope]') !== scope) continue;
+      let value;
+      if (el.hasAttribute('itemscope')) value = depth < 4 ? readItem(el, depth + 1) : null;
+      else if (el.hasAttribute('content')) value = el.getAttribute('content');
+      else if (/^(A|LINK|AREA)$/.test(el.tagName)) value = el.getAttribute('href');
+      else if (/^(IMG|SOURCE|VIDEO|AUDIO|IFRAME|EMBED)$/.test(el.tagName)) value = el.getAttribute('src');
+      else if (el.tagName === 'TIME' && el.hasAttribute('datetime')) value = el.getAttribute('datetime');
+      else if (/^(DATA|METER)$/.test(el.tagName)) value = el.getAttribute('value');
+      else value = el.textContent.replace(/\s+/g, ' ').trim();
+      if (value === null || value === '') continue;
+      for (const name of el.getAttribute('itemprop').trim().split(/\s+/)) {
+        if (!(name in item)) item[name] = value;
+        else item[name] = [].concat(item[name], value);
+      }
+    }
+    return item;
+  };
+  const microdata = [];
+  for (const scope of document.querySelectorAll('[itemscope][itemtype]')) {
+    if (microdata.length >= 200) break;
+    if (!scope.hasAttribute('itemprop')) microdata.push(readItem(scope, 0));
+  }
+
+  const meta = {};
+  for (const el of document.querySelectorAll('meta[property], meta[name]')) {
+    const key = (el.getAttribute('property') || el.getAttribute('name') || '').toLowerCase();
+    const value = el.getAttribute('content');
+    if (/^(og|product):/.test(key) && value && value.trim() && !(key in meta)) meta[key] = value.trim();
+  }
+  return { jsonld, microdata, meta };
+}
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const asList = (value) => (value == null ? [] : [].concat(value));
+const typesOf = (node) => asList(node['@type']).map(t => String(t).replace(/^https?:\/\/schema\.org\//i, ''));
+const isProduct = (node) => typesOf(node).some(t => PRODUCT_TYPES.includes(t));
+
+// A name, or an object's name ({ "@type": "Brand", "name": "Apple" })
+function textOf(value) {
+  value = first(value);
+  if (value && typeof value === 'object') value = value.name || value['@value'];
+  if (value == null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function urlOf(value, base) {
+  value = first(value);
+  if (value && typeof value === 'object') value = value.url || value.contentUrl || value['@id'];
+  if (!value || typeof value !== 'string') return null;
+  try {
+    return new URL(value.trim(), base || undefined).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function amountOf(value, currency) {
+  value = first(value);
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+  const { price } = parsePriceText(String(value), { currency });
+  return price;
+}
+
+// "https://schema.org/InStock" -> { availability: 'In stock', inStock: true }
+function availabilityOf(value) {
+  const text = textOf(value);
+  if (!text) return { availability: null, inStock: null };
+  const name = text.replace(/^https?:\/\/schema\.org\//i, '');
+  const inStock = /^(InStock|InStoreOnly|OnlineOnly|LimitedAvailability|PreOrder|PreSale|BackOrder)$/i.test(name)
+    ? true
+    : (/^(OutOfStock|SoldOut|Discontinued)$/i.test(name) ? false : null);
+  return { availability: name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^(\w)(.*)$/, (m, a, rest) => a + rest.toLowerCase()), inStock };
+}
+
+// Every Product node in a JSON-LD block or microdata item: top-level, in @graph, in an ItemList's elements or
+// anywhere else. A Product's own properties are not searched, so isSimilarTo / isRelatedTo products are skipped.
+function collectProductNodes(value, found = [], depth = 0) {
+  if (depth > MAX_DEPTH || value == null || typeof value !== 'object') return found;
+  if (Array.isArray(value)) {
+    for (const v of value) collectProductNodes(v, found, depth + 1);
+    return found;
+  }
+  if (isProduct(value)) {
+    found.push(value);
+    return found;
+  }
+  for (const v of Object.values(value)) collectProductNodes(v, found, depth + 1);
+  return found;
+}
+
+// The offer to report: the cheapest in-stock one, else the cheapest. AggregateOffer lists its own offers or a lowPrice.
+function pickOffer(offers) {
+  const candidates = [];
+  for (const offer of asList(offers)) {
+    if (!offer || typeof offer !== 'object') continue;
+    if (offer.offers) candidates.push(...asList(offer.offers).filter(o => o && typeof o === 'object'));
+    candidates.push(offer);
+  }
+  const priced = candidates.map(offer => {
+    const currency = textOf(offer.priceCurrency);
+    const specs = asList(offer.priceSpecification).filter(s => s && typeof s === 'object');
+    const listSpec = specs.find(s => /ListPrice|StrikethroughPrice|MSRP/i.test(textOf(s.priceType) || ''));
+    const sellSpec = specs.find(s => s !== listSpec && s.price != null);
+    const price = amountOf(offer.price, currency) || amountOf(offer.lowPrice, currency) || (sellSpec ? amountOf(sellSpec.price, currency) : null);
+    return Object.assign({
+      price,
+      currency: textOf(offer.priceCurrency) || (sellSpec && textOf(sellSpec.priceCurrency)) || currency,
+      mrp: listSpec ? amountOf(listSpec.price, currency) : null,
+      seller: textOf(offer.seller),
+      url: offer.url
+    }, availabilityOf(offer.availability));
+  }).filter(o => o.price !== null);
+  if (!priced.length) return null;
+  const cheapest = (list) => list.reduce((best, o) => (o.price < best.price ? o : best));
+  const inStock = priced.filter(o => o.inStock !== false);
+  return cheapest(inStock.length ? inStock : priced);
+}
+
+// additionalProperty PropertyValues -> [[name, value]]
+function specsOf(node) {
+  const specs = [];
+  for (const prop of asList(node.additionalProperty)) {
+    const name = prop && textOf(prop.name);
+    const value = prop && textOf(prop.value);
+    if (name && value) specs.push([name, value]);
+  }
+  return specs;
+}
+
+// One Product node -> { name, brand, sku, url, images, price, currency, mrp, seller, availability, inStock,
+// rating (out of 5), ratingCount, specs }; null without a name
+function normalizeProduct(node, base) {
+  const name = textOf(node.name);
+  if (!name) return null;
+  const offer = pickOffer(node.offers);
+  const rating = node.aggregateRating && typeof first(node.aggregateRating) === 'object' ? first(node.aggregateRating) : null;
+  let ratingValue = rating ? amountOf(rating.ratingValue) : null;
+  const best = rating ? amountOf(rating.bestRating) : null;
+  if (ratingValue !== null && best && best !== 5) ratingValue = Math.round((ratingValue / best) * 5 * 10) / 10;
+  const count = rating ? amountOf(rating.ratingCount) || amountOf(rating.reviewCount) : null;
+  return {
+    name,
+    brand: textOf(node.brand) || textOf(node.manufacturer),
+    sku: textOf(node.sku) || textOf(node.productID) || textOf(node.mpn),
+    url: urlOf(node.url, base) || (offer ? urlOf(offer.url, base) : null),
+    images: Array.from(new Set(asList(node.image).map(img => urlOf(img, base)).filter(Boolean))),
+    price: offer ? offer.price : null,
+    currency: offer ? offer.currency : null,
+    mrp: offer && offer.mrp > offer.price ? offer.mrp : null,
+    seller: offer ? offer.seller : null,
+    availability: offer ? offer.availability : null,
+    inStock: offer ? offer.inStock : null,
+    rating: ratingValue,
+    ratingCount: count !== null ? Math.round(count) : null,
+    specs: specsOf(node)
+  };
+}
+
+// The page-level product described by OpenGraph tags (og:type product, or a product:price), or null
+function metaProduct(meta, base) {
+  if (!meta || !(meta['og:type'] === 'product' || meta['og:type'] === 'og:product' || meta['product:price:amount'] || meta['og:price:amount'])) return null;
+  const name = textOf(meta['og:title']);
+  if (!name) return null;
+  const currency = meta['product:price:currency'] || meta['og:price:currency'] || null;
+  const { availability, inStock } = availabilityOf(meta['product:availability'] || meta['og:availability']);
+  return {
+    name,
+    brand: textOf(meta['product:brand']),
+    sku: textOf(meta['product:retailer_item_id']),
+    url: urlOf(meta['og:url'], base),
+    images: [urlOf(meta['og:image'], base)].filter(Boolean),
+    price: amountOf(meta['product:price:amount'] || meta['og:price:amount'], currency),
+    currency: currency ? currency.toUpperCase() : null,
+    mrp: null,
+    seller: null,
+    availability,
+    inStock,
+    rating: null,
+    ratingCount: null,
+    specs: []
+  };
+}
+
+// Every product listed on a page (a search page's ItemList, or the products in its microdata) with a name and
+// price, once per URL or name. OpenGraph tags describe the page as a whole, so they are not used here.
+function structuredProducts(data, base) {
+  const products = [];
+  const seen = new Set();
+  const nodes = collectProductNodes((data && data.jsonld) || []).concat(collectProductNodes((data && data.microdata) || []));
+  for (const node of nodes) {
+    const product = normalizeProduct(node, base);
+    if (!product || product.price === null) continue;
+    const key = product.url || product.name.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    products.push(product);
+  }
+  return products;
+}
+
+// The product a product page is about: its first JSON-LD Product, with fields it lacks taken from the
+// microdata and then the OpenGraph tags; null when the page has none of them. `sources` names what was used.
+function structuredProduct(data, base) {
+  if (!data) return null;
+  const candidates = [
+    ['json-ld', collectProductNodes(data.jsonld || []).map(n => normalizeProduct(n, base)).find(Boolean)],
+    ['microdata', collectProductNodes(data.microdata || []).map(n => normalizeProduct(n, base)).find(Boolean)],
+    ['opengraph', metaProduct(data.meta, base)]
+  ].filter(([, product]) => product);
+  if (!candidates.length) return null;
+  const merged = { sources: [] };
+  for (const [source, product] of candidates) {
+    let used = false;
+    for (const [key, value] of Object.entries(product)) {
+      const empty = merged[key] == null || (Array.isArray(merged[key]) && !merged[key].length);
+      const has = value != null && !(Array.isArray(value) && !value.length);
+      if (empty && has) {
+        merged[key] = value;
+        used = true;
+      } else if (!(key in merged)) {
+        merged[key] = value;
+      }
+    }
+    if (used) merged.sources.push(source);
+  }
+  return merged;
+}
+
+module.exports = { STRUCTURED_DATA_SELECTOR, readStructuredData, structuredProducts, structuredProduct, collectProductNodes };
@@ -1,936 +1,994 @@
+const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
-const puppeteer = require('puppeteer');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const adapters = require('./adapters');
+const { loadSearchPage, extractProducts, loadProductPage, extractProductDetail, inspectPage, productIdFor } = require('./lib/extract');
+const { siteFailure, describeFailure } = require('./lib/site-status');
+const { withDeadline, mapWithConcurrency } = require('./lib/async');
+const { ResultCache } = require('./lib/cache');
+const { groupProducts, productKey, extractAttributes, isSameProduct } = require('./lib/matching');
+const { PriceHistory, WINDOWS } = require('./lib/price-history');
+const { DEFAULT_REGION, REGIONS, getRegion, normalizeRegion } = require('./lib/regions');
+const { ExchangeRates } = require('./lib/exchange-rates');
+const { parseSearchOptions, applySearchOptions, describeFilters } = require('./lib/search-options');
+const { scoreProducts } = require('./lib/relevance');
+const { SearchJobQueue } = require('./lib/search-jobs');
+const { BrowserPool } = require('./lib/browser-pool');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { Logger, LEVELS } = require('./lib/logger');
+const { loadConfig, publicConfig, changedKeys } = require('./lib/config');
+const { requireKey, originPolicy } = require('./lib/auth');
+const { SelectorHealth, measureFill, HEALTH_ORDER } = require('./lib/selector-health');
+const { assertPublicUrl } = require('./lib/public-url');
+
+// Most items one POST /api/watchlist/check takes; the extension sends longer watchlists in batches of this size
+const WATCHLIST_BATCH_SIZE = 20;
 
 class PriceComparisonServer {
-  constructor() {
-    // Simple browser pool settings
-    this.browserPool = null; // will be initialized in initializeBrowserPool
-    this.poolSize = parseInt(process.env.PUPPETEER_POOL_SIZE || '2', 10);
+  // config: the result of lib/config loadConfig() - defaults, config file and env, already validated
+  constructor(config) {
+    this.config = config;
+    this.startupConfig = config.values; // what the running components were built from
+    const { server, scraping, browserPool, cache, searchJobs, logging, priceHistory, exchangeRates, selectorHealth } = config.values;
+    adapters.configure(config.values.sites);
     this.app = express();
-    this.port = process.env.PORT || 3000;
-    this.defaultPageTimeout = 30000; // ms
-    this.browser = null;
-    this._debugLogs = [];
-    this._maxDebugLogs = 200;
+    this.port = server.port;
+    // JSON log lines to stdout and a rotated file (logging.file null disables it); GET /api/logs queries recent ones
+    this.logger = new Logger({
+      level: logging.level,
+      file: logging.file,
+      maxBytes: logging.maxBytes,
+      maxFiles: logging.maxFiles
+    });
+    this.defaultPageTimeout = scraping.pageTimeoutMs;
+    // BLOCK_REQUESTS=0 loads every image, font and tracker (to compare timings, or to debug an adapter)
+    this.blockRequests = scraping.blockRequests;
+    // Every scrape borrows a page from this pool; see lib/browser-pool.js for recycling and health checks
+    this.browserPool = new BrowserPool({
+      size: browserPool.size,
+      maxPagesPerBrowser: browserPool.pagesPerBrowser,
+      recyclePages: browserPool.recyclePages,
+      recycleMs: browserPool.recycleMs,
+      pageTimeoutMs: this.defaultPageTimeout,
+      userAgent: scraping.userAgent,
+      log: this.logger.child({ component: 'browserPool' })
+    });
+    this.siteTimeoutMs = scraping.siteTimeoutMs;
+    this.requestDeadlineMs = scraping.requestDeadlineMs;
+    this.maxRequestDeadlineMs = scraping.maxRequestDeadlineMs;
+    // Per-site result cache; cache.file (e.g. data/result-cache.json) keeps it across restarts
+    this.resultCache = new ResultCache({ ttlMs: cache.ttlMs, staleMs: cache.staleMs, file: cache.file, log: this.logger.child({ component: 'resultCache' }) });
+    this._inflightScrapes = new Map();
+    this.priceHistory = new PriceHistory({
+      file: priceHistory.file,
+      maxAgeMs: priceHistory.maxAgeDays * 24 * 60 * 60 * 1000,
+      maxPointsPerListing: priceHistory.maxPointsPerListing,
+      log: this.logger.child({ component: 'priceHistory' })
+    });
+    // edit config/exchange-rates.json (or exchangeRates.file) to update rates; it is re-read on change
+    this.exchangeRates = new ExchangeRates({ file: exchangeRates.file, log: this.logger.child({ component: 'exchangeRates' }) });
+    // POST /api/searches jobs; each running job already scrapes as many stores at once as the pool has pages
+    this.searchJobs = new SearchJobQueue({
+      concurrency: searchJobs.concurrency,
+      maxQueued: searchJobs.queueSize,
+      run: (job, control) => this.runSearchJob(job, control)
+    });
+    // canary searches on a timer (see start()); GET /api/selector-health reports them
+    this.selectorHealth = new SelectorHealth({
+      file: selectorHealth.file,
+      artifactsDir: selectorHealth.artifactsDir,
+      maxArtifacts: selectorHealth.maxArtifacts,
+      log: this.logger.child({ component: 'selectorHealth' })
+    });
+    this._selectorHealthRun = null;
+    // GET /metrics (Prometheus text format)
+    this.metrics = new MetricsRegistry({ prefix: 'price_compare_' });
+    this.meters = this.setupMetrics();
     this.setupMiddleware();
     this.setupRoutes();
-    this.initializeBrowser();
-    this.initializeBrowserPool().catch(err => {
-      console.warn('Browser pool failed to initialize:', err && err.message ? err.message : err);
-    });
   }
 
-  // Initialize a small pool of browsers to reuse for scraping
-  async initializeBrowserPool() {
-    try {
-      const size = Math.max(1, this.poolSize);
-      const launchOpts = {
-        headless: 'new',
-        timeout: 60000,
-        protocolTimeout: 120000,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--single-process',
-          '--disable-gpu'
-        ]
-      };
-
-      this.browserPool = {
-        size,
-        browsers: [],
-        available: [],
-        pending: []
-      };
-
-      for (let i = 0; i < size; i++) {
-        try {
-          const b = await puppeteer.launch(launchOpts);
-          this.browserPool.browsers.push(b);
-          this.browserPool.available.push(b);
-        } catch (err) {
-          this.logDebug('initializeBrowserPool launch failed for index', i, err && err.message ? err.message : String(err));
-        }
+  // Metrics updated as things happen; pool, cache and job figures are read from their owners at scrape time
+  setupMetrics() {
+    const pool = () => this.browserPool.stats();
+    const cache = () => this.resultCache.stats();
+    const poolGauge = (name, help, read) => this.metrics.gauge(name, help, { collect: () => read(pool()) });
+
+    poolGauge('browser_pool_size', 'Browsers the pool keeps running', s => s.size);
+    poolGauge('browser_pool_browsers', 'Browsers currently running', s => s.browsers.length);
+    poolGauge('browser_pool_open_pages', 'Pages currently in use', s => s.openPages);
+    poolGauge('browser_pool_available_pages', 'Free page slots on running browsers', s => s.availablePages);
+    poolGauge('browser_pool_pending', 'Callers waiting for a page', s => s.waiting);
+    poolGauge('browser_pool_launching', 'Browsers being launched', s => s.launching);
+    const poolEvents = { launched: 'launched', launchFailures: 'launch_failed', recycled: 'recycled', crashed: 'crashed', unhealthy: 'unhealthy', acquireTimeouts: 'acquire_timeout' };
+    this.metrics.counter('browser_pool_events_total', 'Browser launches (including relaunches), launch failures, recycles, crashes, failed health checks and acquire timeouts', {
+      labels: ['event'],
+      collect: () => {
+        const { counters } = pool();
+        return Object.entries(poolEvents).map(([key, event]) => ({ labels: { event }, value: counters[key] }));
       }
-      this.logDebug('initializeBrowserPool ready', this.browserPool.available.length, 'of', size);
-    } catch (err) {
-      console.error('Failed to initialize browser pool:', err);
-    }
-  }
+    });
+    this.metrics.counter('browser_pool_pages_served_total', 'Pages handed out by the pool', { collect: () => pool().counters.pagesServed });
 
-  async acquireFromPool(timeoutMs = 15000) {
-    if (!this.browserPool) throw new Error('No browser pool');
-    // immediate available
-    if (this.browserPool.available.length > 0) {
-      return this.browserPool.available.shift();
-    }
-    // otherwise wait
-    return await new Promise((resolve, reject) => {
-      const entry = { resolve, reject };
-      this.browserPool.pending.push(entry);
-      // timeout
-      entry.timer = setTimeout(() => {
-        const idx = this.browserPool.pending.indexOf(entry);
-        if (idx >= 0) this.browserPool.pending.splice(idx, 1);
-        reject(new Error('Pool acquire timeout'));
-      }, timeoutMs);
+    this.metrics.counter('cache_lookups_total', 'Result cache lookups by outcome', {
+      labels: ['result'],
+      collect: () => {
+        const { hits, staleHits, misses } = cache();
+        return [{ labels: { result: 'hit' }, value: hits }, { labels: { result: 'stale' }, value: staleHits }, { labels: { result: 'miss' }, value: misses }];
+      }
     });
-  }
+    this.metrics.gauge('cache_hit_ratio', 'Share of result cache lookups served from the cache (fresh or stale) since startup', {
+      collect: () => {
+        const { hits, staleHits, misses } = cache();
+        const total = hits + staleHits + misses;
+        return total ? (hits + staleHits) / total : 0;
+      }
+    });
+    this.metrics.gauge('cache_entries', 'Entries in the result cache', { collect: () => cache().size });
 
-  // Remove a browser instance from the pool (used when a pooled browser is detected as broken)
-  removeBrowserFromPool(browser) {
-    if (!this.browserPool) return;
-    try {
-      const bi = this.browserPool.browsers.indexOf(browser);
-      if (bi >= 0) this.browserPool.browsers.splice(bi, 1);
-      const ai = this.browserPool.available.indexOf(browser);
-      if (ai >= 0) this.browserPool.available.splice(ai, 1);
-      // if there are pending waiters, try to launch a replacement browser asynchronously
-      (async () => {
-        try {
-          const launchOpts = {
-            headless: 'new',
-            timeout: 60000,
-            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-          };
-          const nb = await puppeteer.launch(launchOpts);
-          this.browserPool.browsers.push(nb);
-          this.browserPool.available.push(nb);
-          this.logDebug('removeBrowserFromPool: replaced broken browser, pool size now', this.browserPool.available.length);
-          // if there are pending, satisfy one
-          if (this.browserPool.pending.length > 0) {
-            const entry = this.browserPool.pending.shift();
-            clearTimeout(entry.timer);
-            entry.resolve(this.browserPool.available.shift());
-          }
-        } catch (e) {
-          this.logDebug('removeBrowserFromPool: failed to replace browser', e && e.message ? e.message : String(e));
-        }
-      })();
-    } catch (e) {
-      this.logDebug('removeBrowserFromPool error', e && e.message ? e.message : String(e));
-    }
-  }
+    this.metrics.gauge('search_jobs', 'Background search jobs by status', {
+      labels: ['status'],
+      collect: () => Object.entries(this.searchJobs.stats()).map(([status, value]) => ({ labels: { status }, value }))
+    });
 
-  releaseToPool(browser) {
-    if (!this.browserPool) return;
-    // if there are waiters, satisfy first
-    if (this.browserPool.pending.length > 0) {
-      const entry = this.browserPool.pending.shift();
-      clearTimeout(entry.timer);
-      entry.resolve(browser);
-      return;
-    }
-    this.browserPool.available.push(browser);
-  }
+    const selectorSummary = () => Object.entries(this.selectorHealth.summary({ limit: 0 }));
+    this.metrics.gauge('selector_health', 'Latest canary health per storefront: 0 ok, 1 degraded, 2 failing', {
+      labels: ['site'],
+      collect: () => selectorSummary().map(([site, s]) => ({ labels: { site }, value: HEALTH_ORDER.indexOf(s.health) }))
+    });
+    this.metrics.gauge('selector_fill_rate', 'Share of canary result tiles with a usable value, per storefront and field', {
+      labels: ['site', 'field'],
+      collect: () => selectorSummary().flatMap(([site, s]) => Object.entries(s.fields).map(([field, f]) => ({ labels: { site, field }, value: f.fill })))
+    });
 
-  async destroyPool() {
-    if (!this.browserPool) return;
-    const all = this.browserPool.browsers.slice();
-    this.browserPool = null;
-    for (const b of all) {
-      try { await b.close(); } catch (e) {}
-    }
+    return {
+      httpRequests: this.metrics.counter('http_requests_total', 'HTTP requests by route and status code', { labels: ['method', 'route', 'status'] }),
+      httpDuration: this.metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route', { labels: ['method', 'route'] }),
+      siteOutcomes: this.metrics.counter('site_scrapes_total', 'Per-store search outcomes by status (lib/site-status), cache hits included', { labels: ['site', 'status'] }),
+      scrapeDuration: this.metrics.histogram('scrape_duration_seconds', 'Time to a store\'s outcome in a search, cache hits excluded', { labels: ['site', 'status'] }),
+      siteResults: this.metrics.histogram('site_results', 'Products a store returned per search, before filters', { labels: ['site'], buckets: [0, 1, 2, 4, 8, 16, 32, 64] })
+    };
   }
 
-  logDebug(...args) {
-    try {
-      const line = `[${new Date().toISOString()}] ${args.map(a => (a && a.stack) ? a.stack : (typeof a === 'object' ? JSON.stringify(a) : String(a))).join(' ')} `;
-      this._debugLogs.push(line);
-      if (this._debugLogs.length > this._maxDebugLogs) this._debugLogs.shift();
-      console.log(line);
-    } catch (e) {
-      console.log('logDebug error', e);
-    }
+  // One store's outcome in a search, for /metrics
+  recordSiteOutcome(site, state, resultCount) {
+    this.meters.siteOutcomes.inc({ site, status: state.status });
+    if (resultCount !== undefined) this.meters.siteResults.observe({ site }, resultCount);
+    if (!state.cached && state.durationMs !== undefined) this.meters.scrapeDuration.observe({ site, status: state.status }, state.durationMs / 1000);
   }
 
   setupMiddleware() {
-    // Enable CORS for chrome extension
+    // Each request gets an id (the client's X-Request-Id, or a new one), echoed back, and req.log: a logger that
+    // stamps it on every entry down through the scrape. Count and latency go to /metrics, labelled with the route
+    // pattern (not the raw path) to keep series few.
+    this.app.use((req, res, next) => {
+      const started = process.hrtime.bigint();
+      const given = req.get('X-Request-Id');
+      req.id = given && /^[\w.:-]{1,64}$/.test(given) ? given : crypto.randomUUID();
+      req.log = this.logger.child({ requestId: req.id });
+      res.set('X-Request-Id', req.id);
+      res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        this.meters.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        this.meters.httpDuration.observe({ method: req.method, route }, seconds);
+        // job polling, metrics scrapes and log reads would drown everything else
+        if (req.method === 'GET' && /^\/(api\/searches\/|metrics$|api\/logs$)/.test(req.path)) return;
+        req.log.debug('request', { method: req.method, path: req.path, route, status: res.statusCode, durationMs: Math.round(seconds * 1000) });
+      });
+      next();
+    });
+
+    // Browsers send an Origin; only the allowlisted extensions (and web origins) get in. A disallowed origin is
+    // refused outright rather than just denied CORS headers, since a simple POST would otherwise still start a scrape.
+    const { server, cors: corsConfig } = this.config.values;
+    const originAllowed = originPolicy({
+      extensionIds: corsConfig.extensionIds,
+      origins: corsConfig.origins,
+      anyLocal: server.mode !== 'production' && !corsConfig.extensionIds.length
+    });
+    this.app.use((req, res, next) => {
+      if (originAllowed(req.get('Origin'))) return next();
+      req.log.warn('origin not allowed', { origin: req.get('Origin'), path: req.path });
+      res.status(403).json({ error: 'Origin not allowed' });
+    });
     this.app.use(cors({
-      origin: ['chrome-extension://*', 'http://localhost:*'],
-      methods: ['GET', 'POST'],
-      allowedHeaders: ['Content-Type']
+      origin: true,
+      methods: ['GET', 'POST', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'X-Request-Id', 'X-API-Key', 'Authorization'],
+      exposedHeaders: ['X-Request-Id', 'Location']
     }));
 
     this.app.use(express.json());
 
     // Rate limiting
     const limiter = rateLimit({
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 50, // limit each IP to 50 requests per windowMs
-      message: { error: 'Too many requests, please try again later.' }
+      windowMs: this.config.values.rateLimit.windowMs,
+      max: this.config.values.rateLimit.max, // per IP per window
+      message: { error: 'Too many requests, please try again later.' },
+      // polling a search job or scraping /metrics is cheap and frequent; starting a search still counts
+      skip: (req) => req.method === 'GET' && (req.path.startsWith('/api/searches/') || req.path === '/metrics')
     });
     this.app.use(limiter);
   }
 
-  async initializeBrowser() {
-    try {
-      const launchOpts = {
-        headless: 'new',
-        timeout: 60000,
-        protocolTimeout: 120000,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--single-process',
-          '--disable-gpu'
-        ]
-      };
-
-      try {
-        this.browser = await puppeteer.launch(launchOpts);
-      } catch (err) {
-        console.warn('Default Puppeteer launch failed, attempting executablePath fallbacks:', err && err.message);
-        // Try common Chrome locations on Windows
-        const possiblePaths = [
-          process.env.CHROME_PATH,
-          'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-          'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
-        ].filter(Boolean);
-
-        let launched = false;
-        for (const p of possiblePaths) {
-          try {
-            this.browser = await puppeteer.launch(Object.assign({}, launchOpts, { executablePath: p }));
-            console.log(`Launched Puppeteer using executablePath=${p}`);
-            launched = true;
-            break;
-          } catch (err2) {
-            console.warn(`Launch with executablePath=${p} failed:`, err2 && err2.message);
-          }
-        }
+  setupRoutes() {
+    // Route guards (lib/auth.js). An admin key also opens the public routes. Without admin keys the admin routes
+    // are open in development and switched off (404) in production.
+    const { server, auth } = this.config.values;
+    const adminOff = server.mode === 'production' && !auth.adminKeys.length;
+    const admin = adminOff ? (req, res) => res.status(404).json({ error: 'Not found' }) : requireKey(auth.adminKeys, { realm: 'admin' });
+    const publicKeys = auth.apiKeys.length ? auth.apiKeys.concat(auth.adminKeys) : [];
+    const api = requireKey(publicKeys);
+    if (!auth.apiKeys.length) this.logger.warn('no API keys configured; the search API is open to anyone who can reach it');
+    if (!auth.adminKeys.length) this.logger.warn(`no admin keys configured; debug, log, config and metrics routes are ${adminOff ? 'disabled' : 'open'}`);
 
-        if (!launched) throw err;
-      }
+    this.app.get('/health', (req, res) => {
+      res.json({ status: 'OK', timestamp: new Date().toISOString() });
+    });
 
-      console.log('Browser initialized successfully');
+    this.app.get('/metrics', admin, (req, res) => {
+      res.set('Content-Type', METRICS_CONTENT_TYPE).send(this.metrics.render());
+    });
 
-      // Log browser disconnects and attempt reinitialization on disconnects
-      this.browser.on && this.browser.on('disconnected', async () => {
-        console.error('Puppeteer browser disconnected unexpectedly. Attempting to reinitialize...');
-        this.browser = null;
-        try {
-          await this.initializeBrowser();
-        } catch (reErr) {
-          console.error('Failed to reinitialize browser after disconnect:', reErr);
-        }
-      });
-    } catch (error) {
-      console.error('Failed to initialize browser:', error);
-    }
-  }
+    // Browsers in the pool, open pages, waiting callers and launch/recycle/crash counters
+    this.app.get('/api/browser-pool', admin, (req, res) => {
+      res.json(this.browserPool.stats());
+    });
 
-  setupRoutes() {
-    this.app.get('/health', (req, res) => {
-      res.json({ status: 'OK', timestamp: new Date().toISOString() });
+    // Effective settings (defaults < config file < env) with secrets redacted, which file and env vars they came
+    // from, and any file changes that wait for a restart
+    this.app.get('/api/config', admin, (req, res) => {
+      const { file, env, loadedAt, pendingRestart } = this.config;
+      const sites = {};
+      const storefronts = adapters.all(undefined, { includeDisabled: true });
+      for (const id of adapters.ids()) {
+        const adapter = storefronts.find(a => a.id === id && a.region === DEFAULT_REGION) || storefronts.find(a => a.id === id);
+        sites[id] = {
+          enabled: adapter.enabled,
+          maxItems: adapter.maxItems,
+          maxPages: adapter.maxPages,
+          timeoutMs: adapter.timeoutMs || this.siteTimeoutMs,
+          waitTimeoutMs: adapter.wait.timeoutMs
+        };
+      }
+      res.json({ file, env, loadedAt, pendingRestart: pendingRestart || [], config: Object.assign(publicConfig(this.config.values), { sites }) });
     });
 
-    this.app.get('/api/logs', (req, res) => {
-      res.json({ logs: this._debugLogs.slice(-100) });
+    // Recent log entries, oldest first: ?level=warn (minimum) &site= &requestId= &searchId= &since= &until= (ISO or epoch ms)
+    // &limit= (default 100, max 1000). Older entries are only in the log file.
+    this.app.get('/api/logs', admin, (req, res) => {
+      const { level, site, requestId, searchId } = req.query;
+      if (level !== undefined && !LEVELS[level]) return res.status(400).json({ error: `level must be one of ${Object.keys(LEVELS).join('|')}` });
+      const time = (value) => (value === undefined ? undefined : (/^\d+$/.test(value) ? Number(value) : Date.parse(value)));
+      const since = time(req.query.since);
+      const until = time(req.query.until);
+      if (Number.isNaN(since) || Number.isNaN(until)) return res.status(400).json({ error: 'since and until must be ISO times or epoch milliseconds' });
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+      const logs = this.logger.query({ level, site, requestId, searchId, since, until, limit });
+      res.json({ count: logs.length, logs });
     });
 
-    // Run a single internal scraper with the shared browser (for debugging)
-    this.app.get('/api/run-scraper', async (req, res) => {
+    // Run a single site adapter live, bypassing the cache (for debugging)
+    this.app.get('/api/run-scraper', admin, async (req, res) => {
       const site = (req.query.site || '').toLowerCase();
       const query = (req.query.query || '').trim();
       if (!query || query.length < 2) return res.status(400).json({ error: 'Query must be at least 2 characters' });
 
-      const mapping = {
-        amazon: this.scrapeAmazon.bind(this),
-        flipkart: this.scrapeFlipkart.bind(this),
-        myntra: this.scrapeMyntra.bind(this),
-        snapdeal: this.scrapeSnapdeal.bind(this)
-      };
-
-      if (!mapping[site]) return res.status(400).json({ error: 'Unknown site' });
+      if (!adapters.has(site)) return res.status(400).json({ error: 'Unknown site' });
 
       try {
-        const results = await mapping[site](query);
-        this.logDebug('run-scraper', site, 'returned', results.length);
-        return res.json({ site, query, resultsCount: results.length, samples: results.slice(0, 5) });
+        const results = await this.scrapeSite(site, query, { log: req.log.child({ site }) });
+        req.log.info('run-scraper finished', { site, count: results.length });
+        return res.json({ site, query, status: results.length ? 'ok' : 'empty', resultsCount: results.length, samples: results.slice(0, 5) });
       } catch (err) {
-        console.error('run-scraper error:', err);
-        return res.status(500).json({ error: 'run-scraper failed', message: err.message });
+        const { status, reason } = describeFailure(err);
+        req.log.error('run-scraper failed', { site, status, reason });
+        return res.status(500).json({ error: 'run-scraper failed', status, message: reason });
       }
     });
 
-    // Debug route: launch a temporary Puppeteer instance to inspect simple selector hits
-    this.app.get('/api/debug-scrape', async (req, res) => {
+    // Debug route: count raw item-selector hits on a live search page
+    this.app.get('/api/debug-scrape', admin, async (req, res) => {
       const site = (req.query.site || '').toLowerCase();
       const query = (req.query.query || '').trim();
       if (!query || query.length < 2) return res.status(400).json({ error: 'Query must be at least 2 characters' });
 
-      try {
-        const puppeteer = require('puppeteer');
-        const launchOpts = { headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'] };
-        const browser = await puppeteer.launch(launchOpts);
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1200, height: 800 });
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36');
-
-        let url;
-        let selector;
-        if (site === 'amazon') {
-          url = `https://www.amazon.in/s?k=${encodeURIComponent(query)}`;
-          selector = '[data-component-type="s-search-result"], div.s-main-slot > div';
-        } else if (site === 'flipkart') {
-          url = `https://www.flipkart.com/search?q=${encodeURIComponent(query)}`;
-          selector = 'div._1AtVbE, div._2kHMtA, div._3pLy-c';
-        } else if (site === 'myntra') {
-          url = `https://www.myntra.com/${encodeURIComponent(query)}`;
-          selector = '.product-base, .product-flex';
-        } else if (site === 'snapdeal') {
-          url = `https://www.snapdeal.com/search?keyword=${encodeURIComponent(query)}`;
-          selector = '.product-tuple-listing';
-        } else {
-          await browser.close();
-          return res.status(400).json({ error: 'Unknown site. Use amazon|flipkart|myntra|snapdeal' });
-        }
-
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-        // allow some time for dynamic content
-        await page.waitForTimeout(1000);
-
-        const info = await page.evaluate((sel) => {
-          const nodes = Array.from(document.querySelectorAll(sel || 'body'));
-          const samples = nodes.slice(0, 6).map(n => ({ html: n.innerHTML.slice(0, 300) }));
-          return { count: nodes.length, samples };
-        }, selector);
+      const adapter = adapters.get(site);
+      if (!adapter) {
+        return res.status(400).json({ error: `Unknown site. Use ${adapters.list().join('|')}` });
+      }
 
-        await browser.close();
-        res.json({ site, query, url, selector, info });
+      try {
+        const result = await this.browserPool.withPage(async (page) => {
+          const { url, timing } = await loadSearchPage(page, adapter, query, { timeout: this.defaultPageTimeout, blockRequests: this.blockRequests });
+          const info = await page.evaluate((sel) => {
+            const nodes = Array.from(document.querySelectorAll(sel || 'body'));
+            const samples = nodes.slice(0, 6).map(n => ({ html: n.innerHTML.slice(0, 300) }));
+            return { count: nodes.length, samples };
+          }, adapter.itemSelector);
+          return { url, timing, info };
+        }, { log: req.log.child({ site }) });
+        res.json(Object.assign({ site, query, selector: adapter.itemSelector }, result));
       } catch (err) {
-        console.error('Debug scrape (temp) failed:', err);
+        req.log.error('debug-scrape failed', { site, error: err });
         res.status(500).json({ error: 'Debug scrape failed', message: err.message });
       }
     });
 
-    // Temporary fresh-browser scrape endpoint
-    this.app.get('/api/temp-scrape', async (req, res) => {
+    // Single-site scrape through the result cache
+    this.app.get('/api/temp-scrape', admin, async (req, res) => {
       const site = (req.query.site || '').toLowerCase();
       const query = (req.query.query || '').trim();
       if (!query || query.length < 2) return res.status(400).json({ error: 'Query must be at least 2 characters' });
+      if (!adapters.has(site)) return res.status(400).json({ error: 'Unknown site' });
       try {
-        const data = await this.scrapeSiteWithTempBrowser(site, query);
-        res.json({ site, query, count: Array.isArray(data) ? data.length : 0, samples: (Array.isArray(data) ? data.slice(0,5) : []) });
+        const { items: data, cached, ageMs, stale } = await this.scrapeSiteCached(site, query, { fresh: this.wantsFreshResults(req), log: req.log.child({ site }) });
+        res.json({ site, query, cached, ageMs, stale, count: Array.isArray(data) ? data.length : 0, samples: (Array.isArray(data) ? data.slice(0,5) : []) });
       } catch (err) {
+        req.log.error('temp-scrape failed', { site, error: err });
         res.status(500).json({ error: 'temp-scrape failed', message: err && err.message ? err.message : String(err) });
       }
     });
 
-    this.app.post('/api/compare-prices', async (req, res) => {
+    // Canary results per storefront: health, current and baseline fill rate per field, and recent checks
+    // (?site=amazon-us &limit= checks per site, default 20, max 200)
+    this.app.get('/api/selector-health', admin, (req, res) => {
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+      if (!Number.isInteger(limit) || limit < 0 || limit > 200) return res.status(400).json({ error: 'limit must be an integer between 0 and 200' });
+      const { intervalMs, enabled } = this.config.values.selectorHealth;
+      res.json({ running: !!this._selectorHealthRun, schedule: { enabled, intervalMs }, sites: this.selectorHealth.summary({ site: req.query.site, limit }) });
+    });
+
+    // Start a canary run now; poll GET /api/selector-health for the outcome
+    this.app.post('/api/selector-health/run', admin, (req, res) => {
+      if (this._selectorHealthRun) return res.status(409).json({ error: 'A selector health run is already in progress' });
+      this.runSelectorHealth({ log: req.log.child({ component: 'selectorHealth' }) }).catch(err => req.log.error('selector health run failed', { error: err }));
+      res.status(202).json({ running: true });
+    });
+
+    // The HTML or screenshot saved with a degraded or failing check (its artifacts.html / artifacts.screenshot)
+    this.app.get('/api/selector-health/artifacts/:site/:name', admin, (req, res) => {
+      const file = this.selectorHealth.artifactPath(req.params.site, req.params.name);
+      if (!file) return res.status(404).json({ error: 'No such artifact' });
+      // a saved store page must not run its scripts against this origin
+      res.set('Content-Security-Policy', "default-src 'none'; img-src * data:; style-src * 'unsafe-inline'");
+      res.sendFile(file);
+    });
+
+    // Storefront regions with their stores, locale and default currency. productPatterns match the stores'
+    // product links (the extension uses them to spot product pages).
+    this.app.get('/api/regions', api, (req, res) => {
+      res.json({
+        default: DEFAULT_REGION,
+        regions: adapters.regions().map(code => Object.assign({ code }, REGIONS[code], {
+          // detailSelectors: where a product page shows its title and price, for clients reading the page themselves
+          stores: adapters.all(code).map(a => ({
+            site: a.id,
+            platform: a.platform,
+            hosts: a.hosts,
+            productPatterns: a.idPatterns.map(p => p.source),
+            detailSelectors: a.detail ? { title: a.detail.fields.title.selectors, price: a.detail.fields.price.selectors } : null
+          }))
+        }))
+      });
+    });
+
+    this.app.get('/api/exchange-rates', api, (req, res) => {
+      res.json(this.exchangeRates.current());
+    });
+
+    // Recorded prices for one listing (?id=amazon:B0CHX1W1XY) or a cross-store product (?cluster= or ?name=),
+    // optionally narrowed to one storefront ?region= or ?currency=
+    this.app.get('/api/price-history', api, (req, res) => {
+      const id = typeof req.query.id === 'string' ? req.query.id.trim() : '';
+      const name = typeof req.query.name === 'string' ? req.query.name.trim() : '';
+      const cluster = typeof req.query.cluster === 'string' && req.query.cluster.trim() ? req.query.cluster.trim() : (name ? productKey(name) : '');
+      const window = req.query.window || '30d';
+      const region = typeof req.query.region === 'string' ? normalizeRegion(req.query.region) : null;
+      const currency = typeof req.query.currency === 'string' ? req.query.currency.trim().toUpperCase() : null;
+
+      if (!id && !cluster) return res.status(400).json({ error: 'Pass id, cluster or name' });
+      if (!WINDOWS[window]) return res.status(400).json({ error: `window must be one of ${Object.keys(WINDOWS).join('|')}` });
+      if (region && !REGIONS[region]) return res.status(400).json({ error: `region must be one of ${Object.keys(REGIONS).join('|')}` });
+      if (currency && !/^[A-Z]{3}$/.test(currency)) return res.status(400).json({ error: 'currency must be a 3-letter code' });
+
+      const history = this.priceHistory.series(Object.assign(id ? { id } : { cluster }, { window, region, currency }));
+      res.json(Object.assign(id ? { id } : { cluster }, history));
+    });
+
+    // Product detail page for one listing URL: a supported store, or any page with schema.org Product data
+    this.app.post('/api/product', api, async (req, res) => {
+      const url = req.body && typeof req.body.url === 'string' ? req.body.url.trim() : '';
+      if (!/^https?:\/\//i.test(url)) return res.status(400).json({ error: 'url must be an http(s) product URL' });
+
+      try {
+        const product = await withDeadline(this.scrapeProductDetail(url, { log: req.log }), this.siteTimeoutMs, 'product page timed out');
+        res.json({ product, timestamp: new Date().toISOString() });
+      } catch (err) {
+        if (err.code === 'EURLNOTALLOWED') return res.status(400).json({ error: err.message });
+        req.log.error('product detail failed', { url, error: err });
+        res.status(500).json({ error: 'Failed to fetch product details', message: err.message });
+      }
+    });
+
+    // Read the product on any store page (see /api/product), search every store for it and return the offers
+    // that match it, cheapest first. Takes { url, deadlineMs, region, currency }; deadlineMs covers both steps.
+    this.app.post('/api/compare-url', api, async (req, res) => {
+      const url = req.body && typeof req.body.url === 'string' ? req.body.url.trim() : '';
+      if (!/^https?:\/\//i.test(url)) return res.status(400).json({ error: 'url must be an http(s) product URL' });
+      const { deadlineMs, region, currency } = req.body;
+      // the URL stands in for the query, which is only known once the page is read
+      const invalid = this.validateSearchRequest(url, deadlineMs, { region, currency });
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const startedAt = Date.now();
+      const budget = deadlineMs || this.requestDeadlineMs;
+      try {
+        const product = await withDeadline(this.scrapeProductDetail(url, { log: req.log }), Math.min(this.siteTimeoutMs, budget), 'product page timed out');
+        if (!product.title) return res.status(422).json({ error: 'The page has no product name to search for', product });
+        const remaining = Math.max(1000, budget - (Date.now() - startedAt));
+        res.json(Object.assign({ url }, await this.compareProduct(product, { deadlineMs: remaining, region, currency, fresh: this.wantsFreshResults(req), log: req.log })));
+      } catch (err) {
+        if (err.code === 'EURLNOTALLOWED') return res.status(400).json({ error: err.message });
+        req.log.error('compare-url failed', { url, error: err });
+        res.status(500).json({ error: 'Failed to compare the product', message: err.message });
+      }
+    });
+
+    // compare-url for a page the client already has open: it sends the title and price it read from the page, so
+    // only the other stores are searched. Takes { url, product: { title, price, currency, brand }, deadlineMs, region,
+    // currency }; product.currency defaults to the store's own.
+    this.app.post('/api/compare-product', api, async (req, res) => {
+      const url = req.body && typeof req.body.url === 'string' ? req.body.url.trim() : '';
+      const page = (req.body && req.body.product) || {};
+      if (!/^https?:\/\//i.test(url)) return res.status(400).json({ error: 'url must be an http(s) product URL' });
+      if (typeof page.title !== 'string' || !page.title.trim() || page.title.length > 500) {
+        return res.status(400).json({ error: 'product.title must be the product name on the page' });
+      }
+      if (page.price != null && !(typeof page.price === 'number' && page.price > 0)) {
+        return res.status(400).json({ error: 'product.price must be a positive number' });
+      }
+      const { deadlineMs, region, currency } = req.body;
+      const invalid = this.validateSearchRequest(page.title, deadlineMs, { region, currency });
+      if (invalid) return res.status(400).json({ error: invalid });
+      let adapter;
       try {
-        const { query } = req.body;
+        adapter = adapters.forUrl(url) || adapters.generic(url);
+      } catch (e) {
+        return res.status(400).json({ error: 'url must be an http(s) product URL' });
+      }
+
+      try {
+        const title = page.title.trim().replace(/\s+/g, ' ');
+        const product = {
+          id: productIdFor(adapter, url, title),
+          platform: adapter.platform,
+          url,
+          title,
+          brand: typeof page.brand === 'string' && page.brand.trim() ? page.brand.trim() : null,
+          price: page.price != null ? page.price : null,
+          currency: typeof page.currency === 'string' && page.currency.trim() ? page.currency.trim().toUpperCase() : adapter.currency
+        };
+        res.json(Object.assign({ url }, await this.compareProduct(product, { deadlineMs, region, currency, fresh: this.wantsFreshResults(req), log: req.log })));
+      } catch (err) {
+        req.log.error('compare-product failed', { url, error: err });
+        res.status(500).json({ error: 'Failed to compare the product', message: err.message });
+      }
+    });
+
+    // Re-check watched listings. Items with a link are refreshed from their product page;
+    // others ({ id, site, region, query }) are looked up in that storefront's (cached) search results.
+    this.app.post('/api/watchlist/check', api, async (req, res) => {
+      const items = Array.isArray(req.body && req.body.items) ? req.body.items : null;
+      if (!items || items.length === 0 || items.length > WATCHLIST_BATCH_SIZE) {
+        // maxItems tells the client what batch size to send
+        return res.status(400).json({ error: `items must be a non-empty array of at most ${WATCHLIST_BATCH_SIZE} { id, site, region, query, link }`, maxItems: WATCHLIST_BATCH_SIZE });
+      }
+      const regionOf = (i) => normalizeRegion(i.region);
+      const bySearch = (i) => adapters.has(i.site, regionOf(i)) && typeof i.query === 'string' && i.query.trim().length >= 2;
+      // a link on a store without an adapter is read through its schema.org data, when there is no search to fall back on
+      const byPage = (i) => typeof i.link === 'string' && /^https?:\/\//i.test(i.link) && (!!adapters.forUrl(i.link) || !bySearch(i));
+      const bad = items.find(i => !i || typeof i.id !== 'string' || !(byPage(i) || bySearch(i)));
+      if (bad) return res.status(400).json({ error: 'Each item needs an id and either an http(s) product link or a known site and query', item: bad });
+
+      // one scrape per distinct product page or site + query, on at most half the pool's pages so searches keep
+      // the rest; what is not done by the request deadline is reported unchecked
+      const jobKey = (i) => (byPage(i) ? `page\n${i.link}` : `search\n${i.site}\n${regionOf(i)}\n${i.query.trim()}`);
+      const jobs = new Map();
+      items.forEach(i => jobs.set(jobKey(i), i));
+      const outcomes = new Map();
+      let finished = false;
+      const concurrency = Math.max(1, Math.floor(this.browserPool.capacity / 2));
+      const checks = mapWithConcurrency(Array.from(jobs.entries()), concurrency, async ([key, i]) => {
+        if (finished) return;
+        try {
+          if (byPage(i)) {
+            const detail = await withDeadline(this.scrapeProductDetail(i.link, { log: req.log }), this.siteTimeoutMs, 'product page timed out');
+            outcomes.set(key, { detail });
+          } else {
+            const result = await withDeadline(this.scrapeSiteCached(i.site, i.query.trim(), { region: regionOf(i), log: req.log.child({ site: i.site }) }), this.siteTimeoutMs, `${i.site} timed out`);
+            outcomes.set(key, { items: result.items || [] });
+          }
+        } catch (err) {
+          outcomes.set(key, { error: err && err.message ? err.message : String(err) });
+        }
+      });
+      await withDeadline(checks, this.requestDeadlineMs, 'Request deadline exceeded').catch(err => {
+        req.log.warn('watchlist check deadline reached', { items: items.length, checked: outcomes.size, error: err });
+      });
+      finished = true;
+
+      const checkedAt = new Date().toISOString();
+      res.json({
+        items: items.map(i => {
+          const outcome = outcomes.get(jobKey(i)) || { error: 'Request deadline exceeded' };
+          if (outcome.error) return { id: i.id, checked: false, error: outcome.error, checkedAt };
+          if (outcome.detail) {
+            const d = outcome.detail;
+            return { id: i.id, checked: true, inStock: d.inStock && d.price !== null, price: d.price, link: d.url, availability: d.availability, checkedAt };
+          }
+          const match = outcome.items.find(p => p.id === i.id);
+          // not being in the current results is the best "out of stock" signal a search page gives us
+          return { id: i.id, checked: true, inStock: !!match, price: match ? match.price : null, link: match ? match.link : null, checkedAt };
+        })
+      });
+    });
+
+    this.app.post('/api/compare-prices', api, async (req, res) => {
+      try {
+        const { query, deadlineMs, region, currency } = req.body;
         
-        if (!query || query.trim().length < 2) {
-          return res.status(400).json({ 
-            error: 'Query must be at least 2 characters long' 
-          });
+        const invalid = this.validateSearchRequest(query, deadlineMs, { region, currency });
+        if (invalid) {
+          return res.status(400).json({ error: invalid });
+        }
+        const { options: search, error } = this.parseSearchOptions(req.body, region);
+        if (error) {
+          return res.status(400).json({ error });
         }
 
-        console.log(`Searching for: ${query}`);
-        const results = await this.scrapeMultipleSites(query.trim());
+        const display = this.displayOptions(region, currency);
+        const outcome = await this.scrapeMultipleSites(query.trim(), Object.assign({ deadlineMs, fresh: this.wantsFreshResults(req), search, log: req.log }, display));
         
-        res.json({
-          query: query.trim(),
-          results: results,
-          timestamp: new Date().toISOString()
-        });
+        res.json(this.searchResponse(query.trim(), display, search, outcome));
         
       } catch (error) {
-        console.error('Search error:', error);
+        req.log.error('search failed', { error });
         res.status(500).json({ 
           error: 'Failed to fetch product data',
           message: error.message 
         });
       }
     });
-  }
 
-  async scrapeMultipleSites(query) {
-    // Use per-site temporary browsers sequentially to avoid shared-browser instability
-    const sites = ['amazon', 'flipkart', 'myntra', 'snapdeal'];
-    const products = [];
-    for (let i = 0; i < sites.length; i++) {
-      const site = sites[i];
-      this.logDebug('scrapeMultipleSites: starting temporary-browser scraper', site);
+    // Streaming variant: one `site` event as each store finishes, then a `done` event with the merged list
+    this.app.get('/api/compare-prices/stream', requireKey(publicKeys, { allowQuery: true }), async (req, res) => {
+      const query = typeof req.query.query === 'string' ? req.query.query : '';
+      const deadlineMs = req.query.deadlineMs !== undefined ? Number(req.query.deadlineMs) : undefined;
+      const { region, currency } = req.query;
+
+      const invalid = this.validateSearchRequest(query, deadlineMs, { region, currency });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      const { options: search, error } = this.parseSearchOptions(req.query, region);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+
+      // a client that goes away stops the search: stores still running are left out of a result nobody reads
+      let closed = false;
+      const disconnected = new AbortController();
+      const heartbeat = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, 15000);
+      res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (!res.writableFinished) disconnected.abort();
+      });
+      const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      const display = this.displayOptions(region, currency);
       try {
-        const result = await this.scrapeSiteWithTempBrowser(site, query);
-        if (Array.isArray(result) && result.length > 0) {
-          products.push(...result);
-          this.logDebug('scrapeMultipleSites: temp-scraper', site, 'returned', result.length);
-        } else {
-          this.logDebug('scrapeMultipleSites: temp-scraper', site, 'returned zero items');
-        }
+        const outcome = await this.scrapeMultipleSites(query.trim(), Object.assign({
+          deadlineMs,
+          fresh: this.wantsFreshResults(req),
+          search,
+          signal: disconnected.signal,
+          log: req.log,
+          onSiteResult: (site, status, items) => {
+            const adapter = adapters.get(site, display.region);
+            send('site', Object.assign({ site, platform: adapter ? adapter.platform : site }, status, { results: items }));
+          }
+        }, display));
+        if (closed) req.log.info('stream closed by the client before the search finished');
+        send('done', this.searchResponse(query.trim(), display, search, outcome));
+      } catch (error) {
+        req.log.error('streaming search failed', { error });
+        send('failed', { error: 'Failed to fetch product data', message: error.message });
+      } finally {
+        clearInterval(heartbeat);
+        res.end();
+      }
+    });
+
+    // Job counterpart of compare-prices: 202 with the job right away, then GET /api/searches/:id until it is finished
+    this.app.post('/api/searches', api, (req, res) => {
+      const { query, deadlineMs, region, currency } = req.body || {};
+      const invalid = this.validateSearchRequest(query, deadlineMs, { region, currency });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      const { options: search, error } = this.parseSearchOptions(req.body, region);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const display = this.displayOptions(region, currency);
+      const sites = adapters.list(display.region).filter(site => !search.platforms || search.platforms.includes(site));
+      try {
+        const job = this.searchJobs.submit({ query: query.trim(), sites, deadlineMs, fresh: this.wantsFreshResults(req), search, display, requestId: req.id });
+        req.log.info('search job queued', { searchId: job.id, query: job.query });
+        res.status(202).location(`/api/searches/${job.id}`).json(job);
       } catch (err) {
-        console.error(`Temp-scraper ${site} failed:`, err && err.message ? err.message : err);
-        this.logDebug('scraper-failed-temp', site, err && err.message ? err.message : String(err));
+        if (err.code !== 'EQUEUEFULL') throw err;
+        res.status(503).set('Retry-After', '30').json({ error: err.message });
       }
-    }
+    });
 
-    // Sort by price (lowest first) and remove duplicates
-    return this.deduplicateAndSort(products);
+    this.app.get('/api/searches/:id', api, (req, res) => {
+      const job = this.searchJobs.get(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Unknown or expired search job' });
+      res.json(job);
+    });
+
+    this.app.delete('/api/searches/:id', api, (req, res) => {
+      const job = this.searchJobs.cancel(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Unknown or expired search job' });
+      if (job.status !== 'cancelled') return res.status(409).json({ error: `Search job already ${job.status}`, job });
+      req.log.info('search job cancelled', { searchId: job.id });
+      res.json(job);
+    });
   }
 
-  async withTimeout(promise, ms) {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), ms))
-    ]);
+  // SearchJobQueue worker: a normal multi-store search, reported site by site and stopped early on cancel
+  // Its log entries carry the submitting request's id and the job id (searchId).
+  async runSearchJob(job, { signal, onSiteResult }) {
+    const { query, deadlineMs, fresh, search, display, requestId } = job.params;
+    const log = this.logger.child({ requestId, searchId: job.id });
+    const outcome = await this.scrapeMultipleSites(query, Object.assign({ deadlineMs, fresh, search, signal, onSiteResult, log }, display));
+    return this.searchResponse(query, display, search, outcome);
   }
 
-  async withRetry(scraperFn, query, attempts = 2) {
-    let lastErr;
-    for (let i = 0; i < attempts; i++) {
-      try {
-        // each call should create/close its own page; call scraperFn which returns a Promise
-        return await scraperFn(query);
-      } catch (err) {
-        lastErr = err;
-        console.error(`Scraper attempt ${i + 1} failed:`, err && err.message ? err.message : err);
-        this.logDebug('withRetry', 'attempt', i + 1, 'failed', err && err.message ? err.message : String(err));
-        // if browser disconnected or protocol error, try to reinitialize browser once
-        if (/Protocol error|Connection closed|Timeout/.test(err.message || '')) {
-          try {
-            if (this.browser) {
-              await this.browser.close();
-            }
-            this.logDebug('withRetry', 'closed shared browser due to error, reinitializing');
-          } catch (closeErr) {
-            console.error('Error closing browser during retry:', closeErr);
-            this.logDebug('withRetry', 'error closing browser', closeErr && closeErr.message ? closeErr.message : String(closeErr));
-          }
-          await this.initializeBrowser();
-          this.logDebug('withRetry', 'reinitialized browser during retry');
-        }
-        // small backoff
-        await new Promise(r => setTimeout(r, 500 + i * 200));
-      }
+  // Returns an error message for a bad search request, or null when it is fine
+  validateSearchRequest(query, deadlineMs, { region, currency } = {}) {
+    if (!query || typeof query !== 'string' || query.trim().length < 2) {
+      return 'Query must be at least 2 characters long';
     }
-    throw lastErr;
+    if (deadlineMs !== undefined && !(Number.isFinite(deadlineMs) && deadlineMs >= 1000 && deadlineMs <= this.maxRequestDeadlineMs)) {
+      return `deadlineMs must be a number between 1000 and ${this.maxRequestDeadlineMs}`;
+    }
+    if (region !== undefined && !adapters.regions().includes(normalizeRegion(region))) {
+      return `region must be one of ${adapters.regions().join('|')}`;
+    }
+    if (currency !== undefined && !this.exchangeRates.supports(currency)) {
+      return `currency must be one of ${Object.keys(this.exchangeRates.current().rates).join('|')}`;
+    }
+    return null;
   }
 
-  async scrapeAmazon(query) {
-    // Use withRetry wrapper to handle transient protocol/timeout errors
-    return this.withRetry(async (q) => {
-      let page;
-      this.logDebug('scrapeAmazon start', q, 'browserPresent', !!this.browser);
-      if (!this.browser) {
-        this.logDebug('scrapeAmazon: browser missing, reinitializing');
-        await this.initializeBrowser();
-      }
-      try {
-        page = await this.browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36');
-        await page.setViewport({ width: 1200, height: 800 });
-        await page.setDefaultNavigationTimeout(this.defaultPageTimeout);
+  // Filter/sort/page options from a body or query string; platforms must be stores of the region
+  parseSearchOptions(input, region) {
+    return parseSearchOptions(input || {}, { knownPlatforms: adapters.list(normalizeRegion(region)) });
+  }
 
-        const searchUrl = `https://www.amazon.in/s?k=${encodeURIComponent(q)}`;
-        await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: this.defaultPageTimeout });
-        this.logDebug('scrapeAmazon: navigated', searchUrl, 'currentUrl', page.url());
+  // Body of a compare-prices response (and of the stream's `done` event)
+  searchResponse(query, display, search, outcome) {
+    const { results, clusters, sites, partial, total, totalBeforeFilters, hidden, totalPages, hasMore } = outcome;
+    return {
+      query,
+      region: display.region,
+      currency: display.currency,
+      locale: display.locale,
+      filters: describeFilters(search),
+      sort: search.sort,
+      page: search.page,
+      limit: search.limit,
+      total,
+      totalBeforeFilters,
+      hidden,
+      totalPages,
+      hasMore,
+      results,
+      clusters,
+      sites,
+      partial,
+      timestamp: new Date().toISOString()
+    };
+  }
 
-        // quick check for candidate nodes and sample names
-        try {
-          const dinfo = await page.evaluate(() => {
-            const items = Array.from(document.querySelectorAll('[data-component-type="s-search-result"], div.s-main-slot > div'));
-            const samples = items.slice(0, 6).map(n => {
-              const nameEl = n.querySelector('h2 a span, .a-size-medium.a-color-base.a-text-normal, .s-title-instructions-style');
-              return nameEl ? nameEl.textContent.trim().slice(0, 120) : null;
-            }).filter(Boolean);
-            return { count: items.length, samples };
-          });
-          this.logDebug('scrapeAmazon pageInfo', dinfo);
-        } catch (e) {
-          this.logDebug('scrapeAmazon evaluate-check failed', e && e.message ? e.message : String(e));
-        }
+  // Search every store for a product ({ id, title, brand, price, currency }) and pick out the offers that match it,
+  // cheapest first; the product's own listing is left out
+  async compareProduct(product, { deadlineMs, region, currency, fresh = false, log = this.logger } = {}) {
+    const query = this.searchQueryFor(product);
+    const display = this.displayOptions(region, currency);
+    const search = this.parseSearchOptions({}, region).options;
+    const outcome = await this.scrapeMultipleSites(query, Object.assign({ deadlineMs, fresh, search, log }, display));
+
+    const attrs = extractAttributes(product.title);
+    const cluster = outcome.clusters.find(c => c.offers.some(o => o.id === product.id))
+      || outcome.clusters.find(c => isSameProduct(extractAttributes(c.title), attrs));
+    const offers = cluster ? cluster.offers.filter(o => o.id !== product.id) : [];
+    return {
+      query,
+      product: this.withDisplayPrices([product], display.currency)[0],
+      matched: !!cluster,
+      cluster: cluster ? { key: cluster.key, title: cluster.title, priceSpread: cluster.priceSpread } : null,
+      offers,
+      currency: display.currency,
+      sites: outcome.sites,
+      partial: outcome.partial,
+      timestamp: new Date().toISOString()
+    };
+  }
 
-        // try multiple selector patterns to be more resilient to DOM changes
-        const products = await page.evaluate(() => {
-          const items = document.querySelectorAll('[data-component-type="s-search-result"], div.s-main-slot > div');
-          const results = [];
-
-          for (let i = 0; i < Math.min(items.length, 8); i++) {
-            const item = items[i];
-            try {
-              const nameEl = item.querySelector('h2 a span, .a-size-medium.a-color-base.a-text-normal, .s-title-instructions-style');
-              const priceEl = item.querySelector('.a-price .a-offscreen, .a-price-whole, .a-price-fraction');
-              const imageEl = item.querySelector('img.s-image, img[data-image-latency]');
-              const ratingEl = item.querySelector('.a-icon-alt');
-              const linkEl = item.querySelector('h2 a, a.a-link-normal.s-no-outline');
-
-              const name = nameEl ? nameEl.textContent.trim() : null;
-                const priceText = priceEl ? priceEl.textContent.replace(/[^\d.,]/g, '').replace(/,/g, '') : null;
-              const price = priceText ? parseFloat(priceText) : null;
-              const image = imageEl ? (imageEl.src || imageEl.getAttribute('data-src') || null) : null;
-              const rating = ratingEl ? parseFloat(ratingEl.textContent.split(' ')[0]) : null;
-              const link = linkEl ? (linkEl.getAttribute('href') || null) : null;
-
-              if (name && price) {
-                results.push({ platform: 'Amazon', name, price, image, rating, link: link ? (link.startsWith('http') ? link : ('https://amazon.in' + link)) : null });
-              }
-            } catch (e) {
-              // ignore parsing errors for individual items
-            }
-          }
-          return results;
-        });
+  // A store search for a product: its title (prefixed with the brand when the title leaves it out), cut to ten words,
+  // since store titles often run to a full spec sheet
+  searchQueryFor(product) {
+    const title = product.brand && !product.title.toLowerCase().includes(product.brand.toLowerCase()) ? `${product.brand} ${product.title}` : product.title;
+    return title.split(/\s+/).slice(0, 10).join(' ');
+  }
 
-        return products;
-      } finally {
-        if (page) await page.close().catch(() => {});
-      }
-    }, query, 2).catch(err => {
-      console.error('Amazon scraping error:', err);
-      return [];
-    });
+  // Region, display currency and locale for a search; the currency defaults to the region's own
+  displayOptions(region, currency) {
+    const info = getRegion(region);
+    return {
+      region: info.code,
+      currency: currency ? String(currency).toUpperCase() : info.currency,
+      locale: info.locale
+    };
+  }
 
-    // If the shared-browser run returned nothing, try a fresh temporary browser (more reliable in some envs)
-    if ((!Array.isArray(products) || products.length === 0)) {
-      this.logDebug('scrapeAmazon: no products from shared browser, attempting temporary fresh browser fallback');
+  // Copies of the items with displayPrice/displayCurrency in the requested currency (null when no rate is known)
+  withDisplayPrices(items, currency) {
+    if (!currency) return items;
+    return items.map(item => Object.assign({}, item, {
+      displayPrice: this.exchangeRates.convert(item.price, item.currency || currency, currency),
+      displayCurrency: currency
+    }));
+  }
+
+  // `Cache-Control: no-cache` (or `fresh: true` in the body / `?fresh=1`) skips cached results
+  wantsFreshResults(req) {
+    const cacheControl = String(req.get('Cache-Control') || '').toLowerCase();
+    if (/no-cache|no-store|max-age=0/.test(cacheControl)) return true;
+    const flag = (req.body && req.body.fresh !== undefined) ? req.body.fresh : req.query.fresh;
+    return flag === true || flag === 'true' || flag === '1';
+  }
+
+  // Scrape all sites concurrently, as many at once as the browser pool has pages. Each site runs under its own deadline,
+  // and once the request deadline passes we return whatever has finished instead of waiting on slow stores.
+  // `sites` maps each store to { status (lib/site-status), count, durationMs, reason } plus cache details.
+  // options: { deadlineMs, fresh, region, currency, search, signal, log, onSiteResult(site, status, items) } - the callback
+  // fires as each site settles; aborting `signal` stops waiting and returns what has finished so far. Only the region's stores (narrowed by search.platforms) are searched; prices are also
+  // given in `currency` (displayPrice). `search` (lib/search-options) filters, sorts and pages the merged list;
+  // an explicit search.limit walks further result pages on stores that support it.
+  async scrapeMultipleSites(query, options = {}) {
+    const region = normalizeRegion(options.region);
+    const search = options.search || parseSearchOptions({}).options;
+    const sites = adapters.list(region).filter(site => !search.platforms || search.platforms.includes(site));
+    const perSiteWanted = search.limitRequested ? Math.ceil((search.page * search.limit) / Math.max(1, sites.length)) : 0;
+    const deadlineMs = options.deadlineMs || this.requestDeadlineMs;
+    const log = options.log || this.logger;
+    const startedAt = Date.now();
+    log.info('search started', { query, region, sites, deadlineMs });
+    const products = [];
+    const status = {};
+    let finished = false;
+    sites.forEach(site => { status[site] = { status: 'pending', count: 0 }; });
+
+    const runSite = async (site) => {
+      const remaining = deadlineMs - (Date.now() - startedAt);
+      if (finished || remaining <= 0) return;
+      const adapter = adapters.get(site, region);
+      const pages = perSiteWanted ? Math.min(adapter.maxPages, Math.ceil(perSiteWanted / adapter.maxItems)) : 1;
+      const siteDeadline = Math.min((adapter.timeoutMs || this.siteTimeoutMs) * pages, remaining);
+      const siteStart = Date.now();
+      const siteLog = log.child({ site });
+      status[site].status = 'running';
+      siteLog.debug('site started', { deadlineMs: siteDeadline, pages });
       try {
-        const launchOpts = { headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'] };
-        const tempBrowser = await puppeteer.launch(launchOpts);
-        const tempPage = await tempBrowser.newPage();
-        await tempPage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36');
-        await tempPage.setViewport({ width: 1200, height: 800 });
-        await tempPage.goto(`https://www.amazon.in/s?k=${encodeURIComponent(query)}`, { waitUntil: 'networkidle2', timeout: this.defaultPageTimeout }).catch(() => {});
-        await tempPage.waitForTimeout(1000).catch(() => {});
-        const freshProducts = await tempPage.evaluate(() => {
-          const items = document.querySelectorAll('[data-component-type="s-search-result"], div.s-main-slot > div');
-          const results = [];
-          for (let i = 0; i < Math.min(items.length, 8); i++) {
-            const item = items[i];
-            try {
-              const nameEl = item.querySelector('h2 a span, .a-size-medium.a-color-base.a-text-normal, .s-title-instructions-style');
-              const priceEl = item.querySelector('.a-price .a-offscreen, .a-price-whole, .a-price-fraction');
-              const imageEl = item.querySelector('img.s-image, img[data-image-latency]');
-              const ratingEl = item.querySelector('.a-icon-alt');
-              const linkEl = item.querySelector('h2 a, a.a-link-normal.s-no-outline');
-
-              const name = nameEl ? nameEl.textContent.trim() : null;
-              const priceText = priceEl ? priceEl.textContent.replace(/[^\d.,]/g, '').replace(/,/g, '') : null;
-              const price = priceText ? parseFloat(priceText) : null;
-              const image = imageEl ? (imageEl.src || imageEl.getAttribute('data-src') || null) : null;
-              const rating = ratingEl ? parseFloat(ratingEl.textContent.split(' ')[0]) : null;
-              const link = linkEl ? (linkEl.getAttribute('href') || null) : null;
-
-              if (name && price) {
-                results.push({ platform: 'Amazon', name, price, image, rating, link: link ? (link.startsWith('http') ? link : ('https://amazon.in' + link)) : null });
-              }
-            } catch (e) {}
-          }
-          return results;
-        }).catch(() => []);
-        await tempPage.close().catch(() => {});
-        await tempBrowser.close().catch(() => {});
-        if (Array.isArray(freshProducts) && freshProducts.length > 0) {
-          this.logDebug('scrapeAmazon: temporary browser returned', freshProducts.length, 'items');
-          return freshProducts;
-        }
-      } catch (e) {
-        this.logDebug('scrapeAmazon fallback error', e && e.message ? e.message : String(e));
+        const result = await withDeadline(this.scrapeSiteCached(site, query, { fresh: options.fresh, region, pages, log: siteLog }), siteDeadline, `${site} timed out after ${siteDeadline}ms`);
+        if (finished) return;
+        // the adapter id and region let a client search the same storefront again (the extension's watchlist does)
+        const found = (Array.isArray(result.items) ? result.items : []).map(item => Object.assign({ site, region }, item));
+        const all = scoreProducts(query, this.withDisplayPrices(found, options.currency));
+        products.push(...all);
+        const items = applySearchOptions(all, Object.assign({}, search, { page: 1, limit: all.length || 1 })).filtered;
+        status[site] = { status: all.length ? 'ok' : 'empty', count: items.length, durationMs: Date.now() - siteStart, cached: result.cached, ageMs: result.ageMs, stale: result.stale };
+        if (!all.length) status[site].reason = 'no results for this query';
+        this.recordSiteOutcome(site, status[site], all.length);
+        siteLog.info('site finished', Object.assign({ found: all.length }, status[site]));
+        this.notifySiteResult(options, site, status[site], items);
+      } catch (err) {
+        if (finished) return;
+        const failure = describeFailure(err);
+        status[site] = { status: failure.status, count: 0, durationMs: Date.now() - siteStart, reason: failure.reason };
+        this.recordSiteOutcome(site, status[site]);
+        siteLog.warn('site failed', status[site]);
+        this.notifySiteResult(options, site, status[site], []);
+      }
+    };
+
+    // scrapes already in flight keep going (and still fill the cache); only this search stops waiting for them
+    const { signal } = options;
+    const aborted = new Promise(resolve => {
+      if (!signal) return;
+      if (signal.aborted) resolve();
+      else signal.addEventListener('abort', resolve, { once: true });
+    });
+    try {
+      await Promise.race([
+        withDeadline(mapWithConcurrency(sites, this.browserPool.capacity, runSite), deadlineMs, 'Request deadline exceeded'),
+        aborted
+      ]);
+    } catch (err) {
+      log.warn('request deadline reached', { afterMs: Date.now() - startedAt });
+    }
+    finished = true;
+
+    let partial = false;
+    for (const site of sites) {
+      if (status[site].status === 'pending' || status[site].status === 'running') {
+        partial = true;
+        status[site] = signal && signal.aborted
+          ? { status: 'cancelled', count: 0 }
+          : { status: 'timeout', count: 0, reason: 'Request deadline exceeded' };
+        if (status[site].status === 'timeout') this.recordSiteOutcome(site, status[site]);
       }
     }
 
+    // Remove duplicates, apply filters/sort/paging, then group every matching listing across stores
+    const unique = this.deduplicateAndSort(products);
+    const { results, total, totalPages, hasMore, hidden, filtered } = applySearchOptions(unique, search);
+    // the one line that explains an empty or partial search: every store's outcome
+    const summary = {};
+    for (const site of sites) summary[site] = status[site].reason ? `${status[site].status}: ${status[site].reason}` : status[site].status;
+    log.info('search finished', { query, durationMs: Date.now() - startedAt, total, hidden, partial, sites: summary });
+    return { results, clusters: groupProducts(filtered), sites: status, partial, total, totalBeforeFilters: unique.length, hidden, totalPages, hasMore };
   }
 
-  async scrapeFlipkart(query) {
-    return this.withRetry(async (q) => {
-      let page;
-      this.logDebug('scrapeFlipkart start', q, 'browserPresent', !!this.browser);
-      if (!this.browser) {
-        this.logDebug('scrapeFlipkart: browser missing, reinitializing');
-        await this.initializeBrowser();
-      }
-      try {
-        page = await this.browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36');
-        await page.setViewport({ width: 1200, height: 900 });
-        await page.setDefaultNavigationTimeout(this.defaultPageTimeout);
-
-        const searchUrl = `https://www.flipkart.com/search?q=${encodeURIComponent(q)}`;
-        await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: this.defaultPageTimeout });
-        this.logDebug('scrapeFlipkart: navigated', searchUrl, 'currentUrl', page.url());
-        try {
-          const dinfo = await page.evaluate(() => {
-            const items = Array.from(document.querySelectorAll('div._1AtVbE, div._2kHMtA, div._3pLy-c'));
-            const samples = items.slice(0, 6).map(n => {
-              const nameEl = n.querySelector('a.s1Q9rs, ._4rR01T, a[title]');
-              return nameEl ? (nameEl.textContent.trim().slice(0, 120) || nameEl.getAttribute('title')) : null;
-            }).filter(Boolean);
-            return { count: items.length, samples };
+  // One site's results through the cache. Fresh hits are returned as-is; stale hits are returned immediately
+  // while a background scrape refreshes them. Resolves to { items, cached, ageMs, stale }.
+  // pages > 1 walks further result pages; such deeper lists are cached under their own key.
+  async scrapeSiteCached(site, query, { fresh = false, region = DEFAULT_REGION, pages = 1, log = this.logger.child({ site }) } = {}) {
+    const key = ResultCache.key(site, query, region) + (pages > 1 ? `:pages=${pages}` : '');
+    if (!fresh) {
+      const hit = this.resultCache.get(key);
+      if (hit) {
+        log.debug(hit.fresh ? 'cache hit' : 'serving stale cache entry', { key, ageMs: hit.ageMs });
+        if (!hit.fresh) {
+          withDeadline(this.scrapeSiteOnce(site, query, key, { region, pages, log }), this.siteTimeoutMs).catch(err => {
+            log.warn('background refresh failed', { key, error: err });
           });
-          this.logDebug('scrapeFlipkart pageInfo', dinfo);
-        } catch (e) {
-          this.logDebug('scrapeFlipkart evaluate-check failed', e && e.message ? e.message : String(e));
         }
-
-        // close login modal if present
-        try {
-          const closeBtn = await page.$('button._2KpZ6l._2doB4z');
-          if (closeBtn) await closeBtn.click();
-        } catch (e) {}
-
-        const products = await page.evaluate(() => {
-          // select likely product containers
-          const items = document.querySelectorAll('div._1AtVbE, div._2kHMtA, div._3pLy-c');
-          const results = [];
-          for (let i = 0; i < Math.min(items.length, 8); i++) {
-            const item = items[i];
-            try {
-              const nameEl = item.querySelector('a.s1Q9rs, ._4rR01T, a[title]');
-              const priceEl = item.querySelector('._30jeq3, ._25b18c');
-              const imageEl = item.querySelector('img');
-              const ratingEl = item.querySelector('._3LWZlK');
-              const linkEl = item.querySelector('a[href]');
-
-              const name = nameEl ? (nameEl.textContent.trim() || nameEl.getAttribute('title')) : null;
-              const priceText = priceEl ? priceEl.textContent.replace(/[^\d.,]/g, '').replace(/,/g, '') : null;
-              const price = priceText ? parseFloat(priceText) : null;
-              const image = imageEl ? (imageEl.src || imageEl.getAttribute('data-src') || null) : null;
-              const rating = ratingEl ? parseFloat(ratingEl.textContent) : null;
-              const link = linkEl ? linkEl.getAttribute('href') : null;
-
-              if (name && price) {
-                results.push({ platform: 'Flipkart', name, price, image, rating, link: link ? (link.startsWith('http') ? link : ('https://flipkart.com' + link)) : null });
-              }
-            } catch (e) {}
-          }
-          return results;
-        });
-
-        return products;
-      } finally {
-        if (page) await page.close().catch(() => {});
+        return { items: hit.value, cached: true, ageMs: hit.ageMs, stale: !hit.fresh };
       }
-    }, query, 2).catch(err => {
-      console.error('Flipkart scraping error:', err);
-      return [];
-    });
+    }
+    const items = await this.scrapeSiteOnce(site, query, key, { region, pages, log });
+    return { items, cached: false, ageMs: 0, stale: false };
   }
 
-  async scrapeMyntra(query) {
-    let page;
-    try {
-      page = await this.browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-      
-      const searchUrl = `https://www.myntra.com/${encodeURIComponent(query)}`;
-      await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 10000 });
-
-      const products = await page.evaluate(() => {
-        const items = document.querySelectorAll('.product-base');
-        const results = [];
-
-        for (let i = 0; i < Math.min(items.length, 5); i++) {
-          const item = items[i];
-          try {
-            const nameEl = item.querySelector('.product-product');
-            const priceEl = item.querySelector('.product-discountedPrice');
-            const imageEl = item.querySelector('.product-imageSlider img');
-            const ratingEl = item.querySelector('.product-ratingsCount');
-            const linkEl = item.querySelector('a');
-
-            if (nameEl && priceEl) {
-              const name = nameEl.textContent.trim();
-              const priceText = priceEl.textContent.replace(/[^\d.]/g, '');
-              const price = priceText ? parseFloat(priceText) : null;
-              const image = imageEl ? imageEl.src : null;
-              const rating = ratingEl ? parseFloat(ratingEl.textContent) : null;
-              const link = linkEl ? 'https://myntra.com' + linkEl.getAttribute('href') : null;
-
-              if (price && name) {
-                results.push({
-                  platform: 'Myntra',
-                  name,
-                  price,
-                  image,
-                  rating,
-                  link
-                });
-              }
-            }
-          } catch (e) {
-            console.log('Error parsing Myntra item:', e);
-          }
+  // Live scrape shared by concurrent callers for the same key; non-empty results are written to the cache.
+  // The scrape's own log entries carry the context of whichever caller started it.
+  scrapeSiteOnce(site, query, key, { region = DEFAULT_REGION, pages = 1, log = this.logger.child({ site }) } = {}) {
+    if (this._inflightScrapes.has(key)) {
+      log.debug('joining in-flight scrape', { key });
+      return this._inflightScrapes.get(key);
+    }
+    const run = this.scrapeSite(site, query, { region, pages, log })
+      .then(items => {
+        // empty pages are not cached: they are as likely to be a bot wall as a real "no results"
+        if (Array.isArray(items) && items.length > 0) {
+          this.resultCache.set(key, items);
+          this.priceHistory.record(items, { query, site, region });
         }
-        return results;
-      });
+        return items;
+      })
+      .finally(() => this._inflightScrapes.delete(key));
+    this._inflightScrapes.set(key, run);
+    return run;
+  }
 
-      return products;
-    } catch (error) {
-      console.error('Myntra scraping error:', error);
-      return [];
-    } finally {
-      if (page) await page.close();
+  notifySiteResult(options, site, status, items) {
+    if (typeof options.onSiteResult !== 'function') return;
+    try {
+      options.onSiteResult(site, status, items);
+    } catch (e) {
+      (options.log || this.logger).warn('onSiteResult callback failed', { site, error: e });
     }
   }
 
-  async scrapeSnapdeal(query) {
-    let page;
-    try {
-      page = await this.browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-      
-      const searchUrl = `https://www.snapdeal.com/search?keyword=${encodeURIComponent(query)}`;
-      await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 10000 });
-
-      const products = await page.evaluate(() => {
-        const items = document.querySelectorAll('.product-tuple-listing');
-        const results = [];
-
-        for (let i = 0; i < Math.min(items.length, 5); i++) {
-          const item = items[i];
-          try {
-            const nameEl = item.querySelector('.product-title');
-            const priceEl = item.querySelector('.product-price');
-            const imageEl = item.querySelector('.product-image img');
-            const ratingEl = item.querySelector('.filled-stars');
-            const linkEl = item.querySelector('.dp-widget-link');
-
-            if (nameEl && priceEl) {
-              const name = nameEl.textContent.trim();
-              const priceText = priceEl.textContent.replace(/[^\d.]/g, '');
-              const price = priceText ? parseFloat(priceText) : null;
-              const image = imageEl ? imageEl.src : null;
-              const rating = ratingEl ? parseFloat(ratingEl.getAttribute('title')) : null;
-              const link = linkEl ? linkEl.getAttribute('href') : null;
-
-              if (price && name) {
-                results.push({
-                  platform: 'Snapdeal',
-                  name,
-                  price,
-                  image,
-                  rating,
-                  link
-                });
-              }
-            }
-          } catch (e) {
-            console.log('Error parsing Snapdeal item:', e);
-          }
-        }
-        return results;
-      });
+  // Scrape one site's search results live (no cache), `pages` result pages deep
+  async scrapeSite(site, query, { region = DEFAULT_REGION, pages = 1, log = this.logger.child({ site }) } = {}) {
+    const adapter = adapters.get(site, region);
+    if (!adapter) throw new Error(`Unknown site: ${site}`);
+    return this.withScrapePage(`${site} search`, page => this.scrapeAdapterPage(page, adapter, query, { pages, log }), log);
+  }
 
-      return products;
-    } catch (error) {
-      console.error('Snapdeal scraping error:', error);
-      return [];
-    } finally {
-      if (page) await page.close();
+  // Navigate a configured page to the adapter's search URL (and up to `pages` result pages) and return
+  // normalized results, each with its 1-based `rank` in the store's own ordering
+  async scrapeAdapterPage(page, adapter, query, { pages = 1, log = this.logger.child({ site: adapter.id }) } = {}) {
+    const products = [];
+    const seen = new Set();
+    for (let pageNumber = 1; pageNumber <= Math.min(pages, adapter.maxPages); pageNumber++) {
+      const { url, httpStatus, timing } = await loadSearchPage(page, adapter, query, { timeout: this.defaultPageTimeout, pageNumber, blockRequests: this.blockRequests });
+      log.debug('search page loaded', { page: pageNumber, url, currentUrl: page.url(), httpStatus, timing });
+      const { raw, structured, products: found } = await extractProducts(page, adapter);
+      log.debug('search page extracted', { page: pageNumber, tiles: raw.length, structured, products: found.length });
+      if (found.length === 0 && pageNumber === 1) {
+        // only the store's own "no results" page counts as empty; a captcha, bot wall or broken selector is a failure
+        const { status, reason } = await inspectPage(page, adapter, { httpStatus, rawCount: raw.length });
+        log[status === 'empty' ? 'info' : 'warn']('no products on search page', { status, reason, url: page.url() });
+        if (status !== 'empty') throw siteFailure(status, reason);
+      }
+      const added = found.filter(p => !seen.has(p.id));
+      added.forEach(p => seen.add(p.id));
+      products.push(...added);
+      // a page with nothing new means we ran past the end (or the store ignored the page parameter)
+      if (added.length === 0) break;
     }
+    return products.map((p, i) => Object.assign(p, { rank: i + 1 }));
   }
 
-  // Fallback: launch a temporary browser and scrape a single site (used by scrapeMultipleSites)
-  async scrapeSiteWithTempBrowser(site, query) {
-    const pupp = require('puppeteer');
-  const launchOpts = { headless: 'new', timeout: 60000, protocolTimeout: 120000, args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'] };
-    let browser = null;
-    let page = null;
-    let borrowedFromPool = false;
-    let lastErr = null;
+  // Product detail page for a URL: through the store's adapter, or through the page's schema.org data alone on a
+  // store without one (public hosts only, see lib/public-url)
+  async scrapeProductDetail(url, { log = this.logger } = {}) {
+    let adapter = adapters.forUrl(url);
+    if (!adapter) {
+      await assertPublicUrl(url);
+      adapter = adapters.generic(url);
+    }
+    const siteLog = log.child({ site: adapter.id });
+    const detail = await this.withScrapePage(`${adapter.id} product`, async (page) => {
+      const { url: finalUrl, httpStatus, timing } = await loadProductPage(page, adapter, url, { timeout: this.defaultPageTimeout, blockRequests: this.blockRequests });
+      siteLog.debug('product page loaded', { url, currentUrl: finalUrl, httpStatus, timing });
+      return extractProductDetail(page, adapter, finalUrl);
+    }, siteLog);
+    // a store without an adapter has no region to assume a currency from
+    if (detail.price !== null && (detail.currency || !adapter.generic)) {
+      this.priceHistory.record([{ id: detail.id, platform: detail.platform, name: detail.title, price: detail.price, currency: detail.currency }], { site: adapter.id, region: adapter.region });
+    }
+    return detail;
+  }
 
-    // Try twice: prefer pooled browser first, then fallback to fresh browser on failure
+  // Run fn(page) on a pooled page, retrying once on failure; a browser that broke is replaced by the pool
+  async withScrapePage(label, fn, log = this.logger) {
+    let lastErr = null;
     for (let attempt = 0; attempt < 2; attempt++) {
       try {
-        this.logDebug('scrapeSiteWithTempBrowser attempt', attempt + 1, 'site', site);
-
-        if (this.browserPool && !browser) {
-          try {
-            browser = await this.acquireFromPool(30000);
-            borrowedFromPool = true;
-          } catch (e) {
-            this.logDebug('scrapeSiteWithTempBrowser: pool acquire failed', e && e.message ? e.message : String(e));
-          }
-        }
-
-        if (!browser) {
-          browser = await pupp.launch(launchOpts);
-          borrowedFromPool = false;
-        }
-
-        // create page
-        try {
-          page = await browser.newPage();
-        } catch (e) {
-          this.logDebug('scrapeSiteWithTempBrowser: newPage failed', e && e.message ? e.message : String(e));
-          if (borrowedFromPool) {
-            try { this.removeBrowserFromPool(browser); } catch (er) {}
-          }
-          try { await browser.close().catch(() => {}); } catch (er) {}
-          browser = null;
-          page = null;
-          throw e;
-        }
-
-        await page.setViewport({ width: 1200, height: 900 });
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36');
-
-        let data = [];
-
-        if (site === 'amazon') {
-          const url = `https://www.amazon.in/s?k=${encodeURIComponent(query)}`;
-          await page.goto(url, { waitUntil: 'networkidle2', timeout: this.defaultPageTimeout });
-          await page.waitForTimeout(1500).catch(() => {});
-          data = await page.evaluate(() => {
-            const items = Array.from(document.querySelectorAll('[data-component-type="s-search-result"], div.s-main-slot > div'));
-            const results = [];
-            for (let i = 0; i < Math.min(items.length, 8); i++) {
-              const item = items[i];
-              try {
-                const nameEl = item.querySelector('h2 a span, .a-size-medium.a-color-base.a-text-normal');
-                const priceEl = item.querySelector('.a-price .a-offscreen, .a-price-whole');
-                const imageEl = item.querySelector('img.s-image');
-                const ratingEl = item.querySelector('.a-icon-alt');
-                const linkEl = item.querySelector('h2 a');
-                const dataAsin = item.getAttribute('data-asin') || (item.dataset ? item.dataset.asin : null);
-                const name = nameEl ? nameEl.textContent.trim() : null;
-                const priceText = priceEl ? priceEl.textContent.replace(/[^\d.,]/g, '').replace(/,/g, '') : null;
-                const price = priceText ? parseFloat(priceText) : null;
-                const image = imageEl ? (imageEl.src || null) : null;
-                const rating = ratingEl ? parseFloat(ratingEl.textContent.split(' ')[0]) : null;
-                let link = null;
-                if (linkEl) link = linkEl.getAttribute('href') || null;
-                if (!link && dataAsin) link = `/dp/${dataAsin}`;
-                if (name && price) results.push({ platform: 'Amazon', name, price, image, rating, link: link ? (link.startsWith('http') ? link : ('https://amazon.in' + link)) : null });
-              } catch (e) {}
-            }
-            return results;
-          });
-        } else if (site === 'flipkart') {
-          const url = `https://www.flipkart.com/search?q=${encodeURIComponent(query)}`;
-          await page.goto(url, { waitUntil: 'networkidle2', timeout: this.defaultPageTimeout });
-          await page.waitForTimeout(1200).catch(() => {});
-          data = await page.evaluate(() => {
-            const items = Array.from(document.querySelectorAll('div._1AtVbE, div._2kHMtA, div._3pLy-c'));
-            const results = [];
-            for (let i = 0; i < Math.min(items.length, 8); i++) {
-              const item = items[i];
-              try {
-                const nameEl = item.querySelector('a.s1Q9rs, ._4rR01T, a[title]');
-                const priceEl = item.querySelector('._30jeq3, ._25b18c');
-                const imageEl = item.querySelector('img');
-                const ratingEl = item.querySelector('._3LWZlK');
-                const linkEl = item.querySelector('a[href]');
-                const name = nameEl ? (nameEl.textContent.trim() || nameEl.getAttribute('title')) : null;
-                const priceText = priceEl ? priceEl.textContent.replace(/[^\d.,]/g, '').replace(/,/g, '') : null;
-                const price = priceText ? parseFloat(priceText) : null;
-                const image = imageEl ? (imageEl.src || null) : null;
-                const rating = ratingEl ? parseFloat(ratingEl.textContent) : null;
-                const link = linkEl ? linkEl.getAttribute('href') : null;
-                if (name && price) results.push({ platform: 'Flipkart', name, price, image, rating, link: link ? (link.startsWith('http') ? link : ('https://flipkart.com' + link)) : null });
-              } catch (e) {}
-            }
-            return results;
-          });
-        } else if (site === 'myntra') {
-          const url = `https://www.myntra.com/${encodeURIComponent(query)}`;
-          await page.goto(url, { waitUntil: 'networkidle2', timeout: this.defaultPageTimeout });
-          await page.waitForTimeout(800).catch(() => {});
-          data = await page.evaluate(() => {
-            const items = Array.from(document.querySelectorAll('.product-base'));
-            const results = [];
-            for (let i = 0; i < Math.min(items.length, 6); i++) {
-              const item = items[i];
-              try {
-                const nameEl = item.querySelector('.product-product');
-                const priceEl = item.querySelector('.product-discountedPrice');
-                const imageEl = item.querySelector('.product-imageSlider img');
-                const ratingEl = item.querySelector('.product-ratingsCount');
-                const linkEl = item.querySelector('a');
-                if (nameEl && priceEl) {
-                  const name = nameEl.textContent.trim();
-                  const priceText = priceEl.textContent.replace(/[^\d.,]/g, '').replace(/,/g, '');
-                  const price = priceText ? parseFloat(priceText) : null;
-                  const image = imageEl ? imageEl.src : null;
-                  const rating = ratingEl ? parseFloat(ratingEl.textContent) : null;
-                  const link = linkEl ? 'https://myntra.com' + linkEl.getAttribute('href') : null;
-                  if (price && name) results.push({ platform: 'Myntra', name, price, image, rating, link });
-                }
-              } catch (e) {}
-            }
-            return results;
-          });
-        } else if (site === 'snapdeal') {
-          const url = `https://www.snapdeal.com/search?keyword=${encodeURIComponent(query)}`;
-          await page.goto(url, { waitUntil: 'networkidle2', timeout: this.defaultPageTimeout });
-          await page.waitForTimeout(800).catch(() => {});
-          data = await page.evaluate(() => {
-            const items = Array.from(document.querySelectorAll('.product-tuple-listing'));
-            const results = [];
-            for (let i = 0; i < Math.min(items.length, 6); i++) {
-              const item = items[i];
-              try {
-                const nameEl = item.querySelector('.product-title');
-                const priceEl = item.querySelector('.product-price');
-                const imageEl = item.querySelector('.product-image img');
-                const ratingEl = item.querySelector('.filled-stars');
-                const linkEl = item.querySelector('.dp-widget-link');
-                if (nameEl && priceEl) {
-                  const name = nameEl.textContent.trim();
-                  const priceText = priceEl.textContent.replace(/[^\d.,]/g, '').replace(/,/g, '');
-                  const price = priceText ? parseFloat(priceText) : null;
-                  const image = imageEl ? imageEl.src : null;
-                  const rating = ratingEl ? parseFloat(ratingEl.getAttribute('title')) : null;
-                  const link = linkEl ? linkEl.getAttribute('href') : null;
-                  if (price && name) results.push({ platform: 'Snapdeal', name, price, image, rating, link });
-                }
-              } catch (e) {}
-            }
-            return results;
-          });
-        }
-
-        // normalize links relative to final page url
-        const base = page.url();
-        const normalized = (Array.isArray(data) ? data : []).map(p => {
-          let link = p.link || null;
-          if (link && !/^https?:\/\//i.test(link)) {
-            try { link = new URL(link, base).href; } catch (e) {}
-          }
-          return Object.assign({}, p, { link });
-        });
-
-        // cleanup and return
-        try { await page.close().catch(() => {}); } catch (e) {}
-        if (browser) {
-          if (borrowedFromPool) this.releaseToPool(browser);
-          else await browser.close().catch(() => {});
-        }
-
-        return normalized;
+        return await this.browserPool.withPage(fn, { log });
       } catch (err) {
         lastErr = err;
-        this.logDebug('scrapeSiteWithTempBrowser attempt failed', attempt + 1, err && err.message ? err.message : String(err));
-        try { if (page) await page.close().catch(() => {}); } catch (e) {}
-        if (browser) {
-          try {
-            if (borrowedFromPool) this.removeBrowserFromPool(browser);
-            else await browser.close().catch(() => {});
-          } catch (e) {}
-        }
-        browser = null;
-        page = null;
-        borrowedFromPool = false;
-        // small delay before retry
-        await new Promise(r => setTimeout(r, 600));
-        continue;
+        log.warn('scrape attempt failed', { label, attempt: attempt + 1, error: err && err.message ? err.message : String(err) });
+        // a captcha or a changed layout looks the same on the second try
+        if (err && err.siteStatus) break;
+        if (attempt === 0) await new Promise(r => setTimeout(r, 600));
       }
     }
-
-    throw new Error(lastErr ? (lastErr.message || String(lastErr)) : 'temp-scrape failed');
+    throw lastErr;
   }
 
   deduplicateAndSort(products) {
@@ -946,27 +1004,125 @@ class PriceComparisonServer {
       }
     });
 
-    // Sort by price (lowest first)
-    return unique.sort((a, b) => (a.price || 999999) - (b.price || 999999));
+    // Sort by price (lowest first), in the display currency when one was requested
+    const sortPrice = (p) => (p.displayPrice != null ? p.displayPrice : p.price) || Number.MAX_SAFE_INTEGER;
+    return unique.sort((a, b) => sortPrice(a) - sortPrice(b));
+  }
+
+  // Every enabled storefront's canary queries, one page at a time so searches keep the rest of the pool.
+  // Resolves to the recorded checks; a run already in progress is joined rather than doubled.
+  runSelectorHealth({ log = this.logger.child({ component: 'selectorHealth' }) } = {}) {
+    if (this._selectorHealthRun) return this._selectorHealthRun;
+    const run = (async () => {
+      const checks = [];
+      for (const adapter of adapters.all()) {
+        for (const query of adapter.canaryQueries) checks.push(await this.runCanary(adapter, query, log.child({ site: adapter.idPrefix })));
+      }
+      const unhealthy = checks.filter(c => c.health !== 'ok').map(c => `${c.site} "${c.query}": ${c.health}`);
+      log[unhealthy.length ? 'warn' : 'info']('selector health run finished', { checks: checks.length, unhealthy });
+      return checks;
+    })().finally(() => { this._selectorHealthRun = null; });
+    this._selectorHealthRun = run;
+    return run;
+  }
+
+  // One canary search: load the page, measure tiles and field fill rates, and keep the page's HTML and a screenshot
+  // when the result is degraded or failing
+  async runCanary(adapter, query, log) {
+    const started = Date.now();
+    const base = { site: adapter.idPrefix, region: adapter.region, query };
+    let check;
+    try {
+      check = await withDeadline(this.browserPool.withPage(async (page) => {
+        const { httpStatus } = await loadSearchPage(page, adapter, query, { timeout: this.defaultPageTimeout, blockRequests: this.blockRequests });
+        const { raw, products } = await extractProducts(page, adapter, page.url(), { keepIncomplete: true });
+        const { tiles, fill } = measureFill(adapter, raw);
+        const { status, reason } = products.length ? { status: 'ok', reason: null } : await inspectPage(page, adapter, { httpStatus, rawCount: raw.length });
+        const measured = this.selectorHealth.assess(Object.assign({}, base, { status, reason, tiles, products: products.length, fill, durationMs: Date.now() - started }));
+        if (measured.health !== 'ok') {
+          const html = await page.content().catch(() => null);
+          const screenshot = await page.screenshot({ type: 'png' }).catch(() => null);
+          measured.artifacts = this.selectorHealth.saveArtifacts(base.site, query, { html, screenshot });
+        }
+        return measured;
+      }, { log }), this.siteTimeoutMs, `${base.site} canary timed out after ${this.siteTimeoutMs}ms`);
+    } catch (err) {
+      const { status, reason } = describeFailure(err);
+      check = this.selectorHealth.assess(Object.assign({}, base, { status, reason, tiles: 0, products: 0, fill: measureFill(adapter, []).fill, durationMs: Date.now() - started }));
+    }
+    log[check.health === 'ok' ? 'debug' : 'warn']('canary checked', { query, health: check.health, products: check.products, fill: check.fill, problems: check.problems });
+    return this.selectorHealth.record(check);
+  }
+
+  // Re-read the config file after it changes. Site settings (sites.<id>) apply to the next search; other changed
+  // keys are logged and listed in GET /api/config as pendingRestart. A file that no longer validates is ignored
+  // and the running config stays in place.
+  reloadConfig() {
+    let next;
+    try {
+      next = loadConfig({ file: this.config.file, knownSites: adapters.ids() });
+      adapters.configure(next.values.sites);
+    } catch (err) {
+      this.logger.error('config reload rejected; keeping the running config', { file: this.config.file, problems: err.problems || [err.message] });
+      return false;
+    }
+    const changed = changedKeys(this.config.values, next.values);
+    const pendingRestart = changedKeys(this.startupConfig, next.values).filter(key => !key.startsWith('sites.'));
+    this.config = Object.assign({}, next, { values: Object.assign({}, this.startupConfig, { sites: next.values.sites }), pendingRestart });
+    this.logger.info('config reloaded', { file: next.file, changed, pendingRestart });
+    return true;
   }
 
   async start() {
+    this.browserPool.start().then(() => {
+      const { browsers, size } = this.browserPool.stats();
+      if (browsers.length < size) this.logger.warn('browser pool started short; will retry on demand', { browsers: browsers.length, size });
+    }).catch(err => this.logger.error('browser pool failed to start; will retry on demand', { error: err }));
+
     this.app.listen(this.port, () => {
-      console.log(`Price Comparison Server running on port ${this.port}`);
-      console.log(`Health check: http://localhost:${this.port}/health`);
+      this.logger.info('Price Comparison Server running', { port: Number(this.port), health: `http://localhost:${this.port}/health`, config: this.config.file });
     });
 
+    // polling stat() rather than fs.watch: editors that save by rename would otherwise end the watch
+    if (this.config.file) {
+      fs.watchFile(this.config.file, { interval: 2000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) this.reloadConfig();
+      }).unref();
+    }
+
+    const { selectorHealth } = this.config.values;
+    if (selectorHealth.enabled) {
+      const runScheduled = () => this.runSelectorHealth().catch(err => this.logger.error('selector health run failed', { error: err }));
+      setTimeout(() => {
+        runScheduled();
+        setInterval(runScheduled, selectorHealth.intervalMs).unref();
+      }, selectorHealth.initialDelayMs).unref();
+    }
+
     // Graceful shutdown
     process.on('SIGINT', async () => {
-      console.log('Shutting down server...');
-      if (this.browser) {
-        await this.browser.close();
-      }
+      this.logger.info('Shutting down server');
+      this.resultCache.persist();
+      await this.browserPool.destroy();
       process.exit(0);
     });
   }
 }
 
-// Start the server
-const server = new PriceComparisonServer();
-server.start().catch(console.error);
\ No newline at end of file
+// Start the server when run directly (tests require the class); a bad config file or env value stops it here
+// with the list of problems
+if (require.main === module) {
+  require('dotenv').config();
+  let config;
+  try {
+    config = loadConfig({ knownSites: adapters.ids() });
+  } catch (err) {
+    if (err.code !== 'ECONFIG') throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+  const server = new PriceComparisonServer(config);
+  server.start().catch(console.error);
+}
+
+module.exports = { PriceComparisonServer, WATCHLIST_BATCH_SIZE };
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Record or replay search-page snapshots used by the scraper regression tests.
+//
+//   node snapshot.js record <site|all> "<query>"   save live HTML under __fixtures__/snapshots
+//   node snapshot.js replay <site|all> [name]      run extraction against saved HTML, no network
+const adapters = require('./adapters');
+const { launchBrowser, USER_AGENT } = require('./lib/browser-pool');
+const { recordSnapshot, replaySnapshot, listSnapshots, snapshotName } = require('./lib/snapshots');
+
+(async () => {
+  const [mode, siteArg = 'all', arg] = process.argv.slice(2);
+  if (!['record', 'replay'].includes(mode) || (mode === 'record' && !arg)) {
+    console.error('Usage: node snapshot.js record <site|all> "<query>" | replay <site|all> [name]');
+    process.exit(1);
+  }
+
+  const sites = siteArg === 'all' ? adapters.list() : [siteArg];
+  const unknown = sites.filter(s => !adapters.has(s));
+  if (unknown.length) {
+    console.error(`Unknown site: ${unknown.join(', ')}. Use ${adapters.list().join('|')}|all`);
+    process.exit(1);
+  }
+
+  let browser;
+  let failed = false;
+  try {
+    browser = await launchBrowser();
+    for (const site of sites) {
+      const adapter = adapters.get(site);
+      const names = mode === 'record' ? [snapshotName(arg)] : (arg ? [arg] : listSnapshots(site));
+      for (const name of names) {
+        const page = await browser.newPage();
+        try {
+          if (mode === 'record') {
+            await page.setUserAgent(USER_AGENT);
+            await page.setViewport({ width: 1200, height: 900 });
+            const saved = await recordSnapshot(page, adapter, arg, { name });
+            console.log(`Saved ${site}/${name} (${saved.bytes} bytes) from ${saved.url}`);
+          } else {
+            const products = await replaySnapshot(page, adapter, name);
+            console.log(`${site}/${name}: ${products.length} products`);
+            console.log(JSON.stringify(products, null, 2));
+          }
+        } catch (err) {
+          failed = true;
+          console.error(`${mode} ${site}/${name} failed:`, err && err.message ? err.message : err);
+        } finally {
+          await page.close().catch(() => {});
+        }
+      }
+    }
+  } catch (err) {
+    failed = true;
+    console.error('Error in snapshot:', err);
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+  }
+  process.exit(failed ? 2 : 0);
+})();
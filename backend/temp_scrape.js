@@ -1,20 +1,11 @@
-const puppeteer = require('puppeteer');
+const { launchBrowser, USER_AGENT } = require('./lib/browser-pool');
 
 (async () => {
   const query = process.argv[2] || '7 habits';
-  const launchOpts = {
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage'
-    ]
-  };
-
   try {
-    const browser = await puppeteer.launch(launchOpts);
+    const browser = await launchBrowser();
     const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/117.0.0.0 Safari/537.36');
+    await page.setUserAgent(USER_AGENT);
     await page.setViewport({ width: 1200, height: 800 });
     const url = `https://www.amazon.in/s?k=${encodeURIComponent(query)}`;
     console.log('Navigating to', url);
@@ -2,7 +2,19 @@
 
 class BackgroundService {
   constructor() {
+    this.apiBase = 'http://localhost:3000';
+    this.watchlistCheckMinutes = 30;
+    // items per POST /api/watchlist/check; lowered to the server's maxItems if it turns a batch down
+    this.watchlistBatchSize = 20;
+    this.searchPollMs = 1500;
+    this.pollingJobId = null;
+    // product-page comparisons by URL, so revisiting a page shows its offers without another scrape
+    this.pageComparisons = new Map();
+    this.pageComparisonTtlMs = 15 * 60 * 1000;
+    this.storePages = null;
     this.initializeListeners();
+    // pick up a search that was still running when the worker was last stopped
+    this.resumeSearchJob();
   }
 
   initializeListeners() {
@@ -29,9 +41,60 @@ class BackgroundService {
         case 'trackSearch':
           this.trackSearchAnalytics(request.query);
           break;
+
+        case 'getWatchlist':
+          this.getWatchlist().then(watchlist => sendResponse({ watchlist }));
+          return true;
+
+        case 'addToWatchlist':
+          this.addToWatchlist(request.product, request.query, request.targetPrice).then(sendResponse);
+          return true;
+
+        case 'updateWatchlistItem':
+          this.updateWatchlistItem(request.id, request.changes).then(sendResponse);
+          return true;
+
+        case 'removeFromWatchlist':
+          this.removeFromWatchlist(request.id).then(sendResponse);
+          return true;
+
+        case 'checkWatchlistNow':
+          this.checkWatchlist().then(sendResponse);
+          return true;
+
+        case 'getProductDetail':
+          this.getProductDetail(request.url).then(sendResponse);
+          return true;
+
+        case 'getProductPage':
+          this.getProductPage(request.url, request.hasProductData).then(sendResponse);
+          return true;
+
+        case 'compareProductPage':
+          this.compareProductPage(request.page).then(sendResponse);
+          return true;
+
+        case 'cancelSearch':
+          this.cancelSearch().then(sendResponse);
+          return true;
       }
     });
 
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === 'searchStream') this.watchSearchStream(port);
+    });
+
+    // Clicking a price-drop notification opens the listing
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      if (!notificationId.startsWith('watch:')) return;
+      const id = notificationId.slice('watch:'.length);
+      this.getWatchlist().then(watchlist => {
+        const item = watchlist.find(w => w.id === id);
+        if (item) this.openProductPage(item.link);
+        chrome.notifications.clear(notificationId);
+      });
+    });
+
     // Handle extension icon click (optional - popup handles most interactions)
     chrome.action.onClicked.addListener((tab) => {
       console.log('Extension icon clicked on tab:', tab.url);
@@ -86,6 +149,392 @@ class BackgroundService {
     });
   }
 
+  // Watchlist entries live in chrome.storage.local under `watchlist`:
+  // { id, site, region, platform, name, link, query, targetPrice, lastPrice, inStock, addedAt, lastCheckedAt }
+  // site and region are the result's adapter id and storefront; null for a store the backend has no adapter for.
+  getWatchlist() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['watchlist'], (result) => resolve((result.watchlist || []).map(item => this.withStorefront(item))));
+    });
+  }
+
+  // Entries saved before results carried site and region kept the id prefix as the site: "amazon", "amazon-us"
+  // (a regional storefront) or a hostname (a store without an adapter)
+  withStorefront(item) {
+    if (item.region !== undefined) return item;
+    const prefix = /^([a-z0-9]+)(?:-([a-z]{2}))?$/.exec(item.site || '');
+    return Object.assign({}, item, { site: prefix ? prefix[1] : null, region: prefix ? prefix[2] || 'in' : null });
+  }
+
+  saveWatchlist(watchlist) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ watchlist }, () => resolve(watchlist));
+    });
+  }
+
+  async addToWatchlist(product, query, targetPrice) {
+    if (!product || !product.id) return { ok: false, error: 'Product has no id' };
+    const watchlist = await this.getWatchlist();
+    if (watchlist.some(w => w.id === product.id)) return { ok: true, watchlist };
+
+    watchlist.push({
+      id: product.id,
+      site: product.site || null,
+      region: product.region || null,
+      platform: product.platform,
+      name: product.name,
+      link: product.link,
+      currency: product.currency || 'INR',
+      query,
+      targetPrice: Number.isFinite(targetPrice) ? targetPrice : product.price,
+      lastPrice: product.price,
+      inStock: true,
+      addedAt: Date.now(),
+      lastCheckedAt: Date.now()
+    });
+    return { ok: true, watchlist: await this.saveWatchlist(watchlist) };
+  }
+
+  async updateWatchlistItem(id, changes) {
+    const watchlist = await this.getWatchlist();
+    const item = watchlist.find(w => w.id === id);
+    if (!item) return { ok: false, error: 'Not on the watchlist' };
+    if (changes && Number.isFinite(changes.targetPrice) && changes.targetPrice > 0) item.targetPrice = changes.targetPrice;
+    return { ok: true, watchlist: await this.saveWatchlist(watchlist) };
+  }
+
+  async removeFromWatchlist(id) {
+    const watchlist = (await this.getWatchlist()).filter(w => w.id !== id);
+    return { ok: true, watchlist: await this.saveWatchlist(watchlist) };
+  }
+
+  // fetch() against the backend, sending the API key saved in the popup's Settings tab (chrome.storage.local `apiKey`).
+  // A missing or rejected key throws with a hint, so every caller reports it the same way.
+  async apiFetch(path, options = {}) {
+    const { apiKey } = await new Promise(resolve => chrome.storage.local.get(['apiKey'], resolve));
+    const headers = Object.assign({}, options.headers, apiKey ? { 'X-API-Key': apiKey } : {});
+    const response = await fetch(`${this.apiBase}${path}`, Object.assign({}, options, { headers }));
+    if (response.status === 401 || response.status === 403) {
+      const data = await response.json().catch(() => ({}));
+      const message = data.error || `HTTP ${response.status}`;
+      throw new Error(/key/i.test(message) ? `${message}. Set the server's API key in the extension's Settings tab.` : message);
+    }
+    return response;
+  }
+
+  // Product detail for the popup's detail view
+  async getProductDetail(url) {
+    try {
+      const response = await this.apiFetch('/api/product', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      return { ok: true, product: data.product };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  // Ask the backend for current prices and notify on a drop below target or a return to stock
+  async checkWatchlist() {
+    const watchlist = await this.getWatchlist();
+    if (watchlist.length === 0) return { ok: true, watchlist };
+
+    // one batch at a time, so a long watchlist never holds more than a batch's scrapes on the server
+    const results = new Map();
+    for (let start = 0; start < watchlist.length;) {
+      const batch = watchlist.slice(start, start + this.watchlistBatchSize);
+      try {
+        const response = await this.apiFetch('/api/watchlist/check', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ items: batch.map(w => ({ id: w.id, site: w.site, region: w.region, query: w.query, link: w.link })) })
+        });
+        const data = await response.json().catch(() => ({}));
+        // a server that takes fewer items per request says how many; send the same items again in smaller batches
+        if (response.status === 400 && data.maxItems > 0 && data.maxItems < batch.length) {
+          this.watchlistBatchSize = data.maxItems;
+          continue;
+        }
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        (data.items || []).forEach(r => results.set(r.id, r));
+        start += batch.length;
+      } catch (error) {
+        console.error('Watchlist check failed:', error);
+        // keep what the earlier batches found; the rest waits for the next check
+        if (results.size === 0) return { ok: false, error: error.message, watchlist };
+        break;
+      }
+    }
+
+    for (const item of watchlist) {
+      const result = results.get(item.id);
+      if (!result || !result.checked) continue;
+
+      const wasInStock = item.inStock;
+      const previousPrice = item.lastPrice;
+      item.inStock = result.inStock;
+      item.lastCheckedAt = Date.now();
+      if (!result.inStock) continue;
+
+      item.lastPrice = result.price;
+      if (result.link) item.link = result.link;
+      if (!wasInStock) {
+        this.notifyWatchlist(item, `Back in stock on ${item.platform} at ${this.formatPrice(result.price, item.currency)}`);
+      } else if (result.price < item.targetPrice && (previousPrice === null || result.price < previousPrice || previousPrice >= item.targetPrice)) {
+        this.notifyWatchlist(item, `Now ${this.formatPrice(result.price, item.currency)} on ${item.platform} (target ${this.formatPrice(item.targetPrice, item.currency)})`);
+      }
+    }
+    return { ok: true, watchlist: await this.saveWatchlist(watchlist) };
+  }
+
+  // The popup streams its own searches (GET /api/compare-prices/stream) and posts { params } on this port when one
+  // starts, { finished: true } when its stream ends. A popup closed in between leaves the search unfinished, so it
+  // carries on here as a server-side job; stores the stream already finished come from the server's result cache.
+  watchSearchStream(port) {
+    let params = null;
+    port.onMessage.addListener((message) => {
+      if (message.params) {
+        params = message.params;
+        // a job still running from an earlier popup is replaced by this search
+        this.cancelSearch();
+      }
+      if (message.finished) params = null;
+    });
+    port.onDisconnect.addListener(() => {
+      if (params) this.startSearch(params);
+    });
+  }
+
+  // Searches carried on from a closed popup run as server-side jobs (POST /api/searches) owned by this worker.
+  // The latest search is mirrored to chrome.storage.local `searchJob` (the server's job view plus the `request`
+  // that started it, or the popup's own streamed result, which has no job id); the popup renders from there.
+  getSearchJob() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['searchJob'], (result) => resolve(result.searchJob || null));
+    });
+  }
+
+  saveSearchJob(searchJob) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ searchJob }, () => resolve(searchJob));
+    });
+  }
+
+  isSearchFinished(job) {
+    return !job || ['done', 'failed', 'cancelled'].includes(job.status);
+  }
+
+  async startSearch(params) {
+    const previous = await this.getSearchJob();
+    if (previous && previous.id && !this.isSearchFinished(previous)) await this.cancelSearch();
+
+    let job;
+    try {
+      const response = await this.apiFetch('/api/searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params)
+      });
+      job = await response.json();
+      if (!response.ok) throw new Error(job.error || `HTTP ${response.status}`);
+    } catch (error) {
+      console.error('Starting search failed:', error);
+      await this.saveSearchJob({ id: null, status: 'failed', query: params.query, error: error.message, request: params });
+      return { ok: false, error: error.message };
+    }
+
+    job.request = params;
+    await this.saveSearchJob(job);
+    this.pollSearchJob(job.id);
+    return { ok: true, job };
+  }
+
+  async cancelSearch() {
+    const job = await this.getSearchJob();
+    if (!job || !job.id || this.isSearchFinished(job)) return { ok: true, job };
+    this.pollingJobId = null;
+    chrome.alarms.clear('search-job');
+    try {
+      const response = await this.apiFetch(`/api/searches/${job.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      // 409: it finished before the cancel arrived; keep what it found
+      const latest = response.status === 409 ? data.job : data;
+      // the popup may have stored a newer search meanwhile
+      const current = await this.getSearchJob();
+      if (!current || current.id !== job.id) return { ok: true, job: current };
+      if (latest && latest.id) return { ok: true, job: await this.saveSearchJob(Object.assign(latest, { request: job.request })) };
+    } catch (error) {
+      console.error('Cancelling search failed:', error);
+    }
+    return { ok: true, job: await this.saveSearchJob(Object.assign({}, job, { status: 'cancelled' })) };
+  }
+
+  resumeSearchJob() {
+    this.getSearchJob().then(job => {
+      if (job && job.id && !this.isSearchFinished(job)) this.pollSearchJob(job.id);
+    });
+  }
+
+  // Poll until the job finishes. The alarm restarts polling if Chrome stops this worker in between.
+  async pollSearchJob(id) {
+    if (this.pollingJobId === id) return;
+    this.pollingJobId = id;
+    chrome.alarms.create('search-job', { periodInMinutes: 1 });
+    let failures = 0;
+
+    while (this.pollingJobId === id) {
+      await new Promise(resolve => setTimeout(resolve, this.searchPollMs));
+      const current = await this.getSearchJob();
+      if (!current || current.id !== id || this.pollingJobId !== id) break;
+
+      let job;
+      try {
+        const response = await this.apiFetch(`/api/searches/${id}`);
+        if (response.status === 404) {
+          job = Object.assign({}, current, { status: 'failed', error: 'The search expired on the server' });
+        } else if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        } else {
+          job = await response.json();
+        }
+        failures = 0;
+      } catch (error) {
+        // the server may be restarting; give up after a few misses in a row
+        if (++failures < 5) continue;
+        job = Object.assign({}, current, { status: 'failed', error: error.message });
+      }
+
+      // cancelled or replaced while the request was in flight
+      if (this.pollingJobId !== id) break;
+      job.request = current.request;
+      if (JSON.stringify(job) !== JSON.stringify(current)) await this.saveSearchJob(job);
+      if (this.isSearchFinished(job)) break;
+    }
+
+    if (this.pollingJobId === id) {
+      this.pollingJobId = null;
+      chrome.alarms.clear('search-job');
+    }
+  }
+
+  // The supported stores' hosts, product-link patterns, title and price selectors and storefront currency, from
+  // GET /api/regions; refreshed daily, and retried after a few minutes when the server could not be reached
+  async getStorePages() {
+    if (this.storePages && Date.now() < this.storePages.expiresAt) return this.storePages.stores;
+    let stores = [];
+    let ttl = 5 * 60 * 1000;
+    try {
+      const response = await this.apiFetch('/api/regions');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      stores = data.regions.flatMap(region => region.stores.map(store => ({
+        platform: store.platform,
+        hosts: store.hosts,
+        patterns: (store.productPatterns || []).map(source => new RegExp(source)),
+        selectors: store.detailSelectors || null,
+        currency: region.currency
+      })));
+      ttl = 24 * 60 * 60 * 1000;
+    } catch (error) {
+      console.error('Loading the store list failed:', error);
+    }
+    this.storePages = { stores, expiresAt: Date.now() + ttl };
+    return stores;
+  }
+
+  // Whether the tab's page is a product page to compare: a supported store's product link, or any page with
+  // schema.org product data. Includes the store's title and price selectors and currency for reading the page,
+  // and the comparison already made for this URL, if any.
+  async getProductPage(url, hasProductData) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return { productPage: false };
+    }
+    const host = parsed.hostname.toLowerCase();
+    const stores = await this.getStorePages();
+    const store = stores.find(s => s.hosts.some(h => host === h || host.endsWith(`.${h}`)));
+    const productPage = store ? store.patterns.some(p => p.test(url)) : !!hasProductData;
+    if (!productPage) return { productPage: false };
+    const cached = this.pageComparisons.get(url);
+    return {
+      productPage: true,
+      selectors: store ? store.selectors : null,
+      currency: store ? store.currency : null,
+      comparison: cached && Date.now() < cached.expiresAt ? cached.result : null
+    };
+  }
+
+  // Compare the product the content script read off a store page ({ url, title, brand, price, currency }) with the
+  // other stores through POST /api/compare-product, which searches for it. Offers are priced in the currency the
+  // backend returns; only cheaper ones are kept.
+  async compareProductPage(page) {
+    const { url, title, brand, price, currency } = page;
+    const cached = this.pageComparisons.get(url);
+    if (cached && Date.now() < cached.expiresAt) return cached.result;
+
+    const { region, displayCurrency } = await new Promise(resolve => chrome.storage.local.get(['region', 'displayCurrency'], resolve));
+    let data;
+    try {
+      const response = await this.apiFetch('/api/compare-product', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          url,
+          product: { title, brand, price, currency },
+          deadlineMs: 45000,
+          region: region || undefined,
+          currency: displayCurrency || undefined
+        })
+      });
+      data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    } catch (error) {
+      console.error('Product page comparison failed:', error);
+      return { ok: false, error: error.message };
+    }
+
+    // the converted price when the backend had a rate, else the store's own
+    const priceOf = (p) => (p.displayPrice != null
+      ? { amount: p.displayPrice, currency: p.displayCurrency }
+      : { amount: p.price, currency: p.currency || data.currency });
+    const own = priceOf(data.product);
+    const offers = data.offers
+      .filter(o => o.link && o.platform !== data.product.platform)
+      .map(o => {
+        const { amount, currency } = priceOf(o);
+        const saving = own.amount != null && currency === own.currency ? own.amount - amount : null;
+        return { platform: o.platform, link: o.link, price: amount, currency, saving };
+      })
+      .filter(o => o.price != null && (own.amount == null || o.saving > 0))
+      .sort((a, b) => a.price - b.price);
+
+    const result = { ok: true, matched: data.matched, title: data.cluster ? data.cluster.title : data.product.title, offers };
+    this.pageComparisons.set(url, { result, expiresAt: Date.now() + this.pageComparisonTtlMs });
+    // keep the newest few dozen pages
+    if (this.pageComparisons.size > 50) this.pageComparisons.delete(this.pageComparisons.keys().next().value);
+    return result;
+  }
+
+  // items saved before regions existed have no currency; they are all Indian listings
+  formatPrice(amount, currency = 'INR') {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'INR', maximumFractionDigits: 2 }).format(amount);
+  }
+
+  notifyWatchlist(item, message) {
+    chrome.notifications.create(`watch:${item.id}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: item.name.length > 60 ? item.name.substring(0, 60) + '...' : item.name,
+      message
+    });
+  }
+
   showWelcomeNotification() {
     // Show welcome notification on installation
     chrome.notifications.create({
@@ -114,10 +563,15 @@ class BackgroundService {
 // Initialize background service
 const backgroundService = new BackgroundService();
 
-// Clean up old data daily
+// Clean up old data daily, re-check watched prices periodically
 chrome.alarms.create('cleanup', { periodInMinutes: 24 * 60 });
+chrome.alarms.create('watchlist-check', { periodInMinutes: backgroundService.watchlistCheckMinutes });
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'cleanup') {
     backgroundService.cleanupOldData();
+  } else if (alarm.name === 'watchlist-check') {
+    backgroundService.checkWatchlist();
+  } else if (alarm.name === 'search-job') {
+    backgroundService.resumeSearchJob();
   }
 });
\ No newline at end of file
@@ -110,16 +110,308 @@ class TextSelectionHandler {
   }
 }
 
-// Initialize the text selection handler
+// schema.org product data a store publishes on its product pages (see backend/lib/structured-data.js)
+const PRODUCT_DATA_SELECTOR = '[itemtype*="schema.org/Product" i], meta[property="product:price:amount"], meta[property="og:type"][content="product"]';
+
+// On a product page, reads the product's title and price off the page and lists cheaper offers on other stores
+class ProductPageWidget {
+  constructor() {
+    this.panelId = 'price-comparison-panel';
+    this.currentUrl = null;
+    this.dismissed = false;
+    // a product page whose title or price has not rendered yet: { url, page, until }
+    this.pending = null;
+    this.readTimer = null;
+    this.check();
+    // Flipkart and Myntra navigate client-side: a new URL comes with DOM changes or a popstate, not a page load.
+    // The same DOM changes bring in a product that was still rendering.
+    this.observer = new MutationObserver(() => {
+      if (location.href !== this.currentUrl) this.check();
+      else if (this.pending) this.scheduleRead();
+    });
+    this.observer.observe(document.documentElement, { childList: true, subtree: true });
+    window.addEventListener('popstate', () => {
+      if (location.href !== this.currentUrl) this.check();
+    });
+  }
+
+  // Product data in the page itself, for stores the backend has no adapter for
+  hasProductData() {
+    if (document.querySelector(PRODUCT_DATA_SELECTOR)) return true;
+    return this.jsonLdProducts().length > 0;
+  }
+
+  async check() {
+    const url = location.href;
+    this.currentUrl = url;
+    this.pending = null;
+    this.removePanel();
+    if (this.dismissed) return;
+
+    // the background worker knows the supported stores' product links and selectors, and keeps earlier
+    // comparisons per URL
+    const page = await chrome.runtime.sendMessage({ action: 'getProductPage', url, hasProductData: this.hasProductData() });
+    if (location.href !== url || this.dismissed || !page || !page.productPage) return;
+    if (page.comparison) {
+      this.renderComparison(page.comparison, url);
+      return;
+    }
+    // single-page stores render the product after the URL changes; keep looking for a few seconds
+    this.pending = { url, page, until: Date.now() + 10000 };
+    this.readAndCompare();
+    setTimeout(() => this.readAndCompare(), 10100);
+  }
+
+  scheduleRead() {
+    if (this.readTimer) return;
+    this.readTimer = setTimeout(() => {
+      this.readTimer = null;
+      this.readAndCompare();
+    }, 250);
+  }
+
+  readAndCompare() {
+    const { url, page, until } = this.pending || {};
+    if (!url || location.href !== url) return;
+    const product = this.readProduct(page.selectors, page.currency);
+    // a page that never shows a price (out of stock, say) is still compared by its title once the wait is over
+    const waiting = Date.now() <= until;
+    if (!product.title || (product.price === null && waiting)) {
+      if (!waiting) this.pending = null;
+      return;
+    }
+    this.pending = null;
+    this.compare(Object.assign({ url }, product));
+  }
+
+  // { title, brand, price, currency } from the page: its schema.org data (JSON-LD, microdata, OpenGraph) first,
+  // then the store's own selectors (from GET /api/regions) for what that leaves out. currency defaults to the store's.
+  readProduct(selectors, currency) {
+    const product = { title: null, brand: null, price: null, currency: null };
+    const fill = (values) => Object.keys(product).forEach(key => {
+      if (product[key] === null && values[key] !== null && values[key] !== undefined && values[key] !== '') product[key] = values[key];
+    });
+
+    for (const item of this.jsonLdProducts()) {
+      const offers = [].concat(item.offers || []);
+      const offer = offers.find(o => o && (o.price != null || o.lowPrice != null)) || {};
+      const brand = item.brand && typeof item.brand === 'object' ? item.brand.name : item.brand;
+      fill({ title: this.clean(item.name), brand: this.clean(brand), price: this.parsePrice(offer.price != null ? offer.price : offer.lowPrice), currency: offer.priceCurrency });
+    }
+
+    const scope = document.querySelector('[itemtype*="schema.org/Product" i]');
+    if (scope) {
+      const prop = (name) => {
+        const el = scope.querySelector(`[itemprop="${name}"]`);
+        return el ? el.getAttribute('content') || el.textContent : null;
+      };
+      fill({ title: this.clean(prop('name')), brand: this.clean(prop('brand')), price: this.parsePrice(prop('price')), currency: prop('priceCurrency') });
+    }
+
+    const meta = (property) => {
+      const el = document.querySelector(`meta[property="${property}"]`);
+      return el ? el.getAttribute('content') : null;
+    };
+    if (meta('og:type') === 'product' || meta('product:price:amount')) {
+      fill({ title: this.clean(meta('og:title')), price: this.parsePrice(meta('product:price:amount')), currency: meta('product:price:currency') });
+    }
+
+    if (selectors) {
+      fill({ title: this.clean(this.firstText(selectors.title)), price: this.parsePrice(this.firstText(selectors.price)) });
+    }
+    fill({ currency });
+    return product;
+  }
+
+  // Product objects in the page's JSON-LD, including those inside @graph or lists
+  jsonLdProducts() {
+    const products = [];
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      const types = [].concat(node['@type'] || []).map(t => String(t).replace(/^https?:\/\/schema\.org\//, ''));
+      if (types.includes('Product')) products.push(node);
+      visit(node['@graph']);
+    };
+    document.querySelectorAll('script[type="application/ld+json" i]').forEach(script => {
+      try {
+        visit(JSON.parse(script.textContent));
+      } catch (e) {
+        // some stores ship broken JSON-LD; their selectors may still work
+      }
+    });
+    return products;
+  }
+
+  // Text of the first selector that matches something non-blank
+  firstText(selectors) {
+    for (const selector of selectors || []) {
+      const el = document.querySelector(selector);
+      const text = el && el.textContent.trim();
+      if (text) return text;
+    }
+    return null;
+  }
+
+  clean(text) {
+    return typeof text === 'string' && text.trim() ? text.trim().replace(/\s+/g, ' ') : null;
+  }
+
+  // "₹71,900.00", "$799.00", "849,00 €" or 65999 -> a number; null when there is none. The last separator is the
+  // decimal point only when two digits follow it.
+  parsePrice(value) {
+    if (typeof value === 'number') return value > 0 ? value : null;
+    const match = /\d[\d.,\s]*/.exec(String(value || ''));
+    if (!match) return null;
+    const digits = match[0].replace(/\s/g, '').replace(/[.,]$/, '');
+    const decimal = /[.,](\d{2})$/.exec(digits);
+    const whole = (decimal ? digits.slice(0, -3) : digits).replace(/[.,]/g, '');
+    const price = Number(decimal ? `${whole}.${decimal[1]}` : whole);
+    return price > 0 ? price : null;
+  }
+
+  // Starts as soon as the product is read: the backend searches the other stores for it
+  async compare(page) {
+    this.renderPanel('<div class="pc-status">Checking other stores…</div>');
+    const response = await chrome.runtime.sendMessage({ action: 'compareProductPage', page });
+    if (location.href !== page.url || this.dismissed) return;
+    if (!response || !response.ok) {
+      this.renderPanel(`<div class="pc-status">Comparison failed${response && response.error ? `: ${this.escapeHtml(response.error)}` : ''}</div>`);
+    } else {
+      this.renderComparison(response, page.url);
+    }
+  }
+
+  renderComparison(comparison, url) {
+    if (comparison.offers.length === 0) {
+      this.renderPanel(`<div class="pc-status">${comparison.matched ? 'This is the best price we found.' : 'No matching offers on other stores.'}</div>`);
+      setTimeout(() => { if (location.href === url) this.removePanel(); }, 5000);
+      return;
+    }
+    this.renderPanel(comparison.offers.map(offer => `
+      <a class="pc-offer" href="${this.escapeHtml(offer.link)}" target="_blank" rel="noopener">
+        <span>${this.escapeHtml(offer.platform)}</span>
+        <strong>${this.escapeHtml(this.formatPrice(offer.price, offer.currency))}</strong>
+        ${offer.saving ? `<small>save ${this.escapeHtml(this.formatPrice(offer.saving, offer.currency))}</small>` : ''}
+      </a>
+    `).join(''));
+  }
+
+  // In the currency the backend priced the offer in, in the browser's locale
+  formatPrice(amount, currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 2 }).format(amount);
+    } catch (e) {
+      return `${amount} ${currency || ''}`.trim();
+    }
+  }
+
+  renderPanel(body) {
+    let panel = document.getElementById(this.panelId);
+    if (!panel) {
+      this.injectStyles();
+      panel = document.createElement('div');
+      panel.id = this.panelId;
+      document.body.appendChild(panel);
+    }
+    panel.innerHTML = `
+      <div class="pc-header">🛍️ Price Comparison <button class="pc-close" title="Hide on this page">×</button></div>
+      ${body}
+    `;
+    panel.querySelector('.pc-close').addEventListener('click', () => {
+      this.dismissed = true;
+      this.removePanel();
+    });
+  }
+
+  removePanel() {
+    const panel = document.getElementById(this.panelId);
+    if (panel) panel.remove();
+  }
+
+  injectStyles() {
+    if (document.getElementById('price-comparison-panel-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'price-comparison-panel-styles';
+    style.textContent = `
+      #price-comparison-panel {
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        width: 240px;
+        background: white;
+        border-radius: 12px;
+        box-shadow: 0 4px 16px rgba(0,0,0,0.18);
+        font: 13px 'Segoe UI', system-ui, sans-serif;
+        color: #333;
+        z-index: 10000;
+        overflow: hidden;
+      }
+      #price-comparison-panel .pc-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 8px 12px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+        font-weight: 600;
+      }
+      #price-comparison-panel .pc-close {
+        background: none;
+        border: none;
+        color: white;
+        font-size: 16px;
+        cursor: pointer;
+      }
+      #price-comparison-panel .pc-status {
+        padding: 10px 12px;
+        color: #666;
+      }
+      #price-comparison-panel .pc-offer {
+        display: flex;
+        gap: 8px;
+        align-items: baseline;
+        padding: 8px 12px;
+        border-top: 1px solid #eee;
+        color: #333;
+        text-decoration: none;
+      }
+      #price-comparison-panel .pc-offer:hover {
+        background: #f8f9fa;
+      }
+      #price-comparison-panel .pc-offer span {
+        flex: 1;
+      }
+      #price-comparison-panel .pc-offer small {
+        color: #28a745;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  escapeHtml(str) {
+    return String(str || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Initialize the text selection handler and, on product pages, the comparison panel
+function initializeContentScript() {
+  new TextSelectionHandler();
+  new ProductPageWidget();
+}
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    new TextSelectionHandler();
-  });
+  document.addEventListener('DOMContentLoaded', initializeContentScript);
 } else {
-  new TextSelectionHandler();
+  initializeContentScript();
 }
 
 // Export for potential future use
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = TextSelectionHandler;
+  module.exports = { TextSelectionHandler, ProductPageWidget };
 }
\ No newline at end of file
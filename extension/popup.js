@@ -1,29 +1,122 @@
 class PriceComparisonPopup {
   constructor() {
-    this.apiEndpoint = 'http://localhost:3000/api/compare-prices';
+    this.streamEndpoint = 'http://localhost:3000/api/compare-prices/stream';
+    this.eventSource = null;
+    // tells the background worker which search is streaming, so it can carry it on if the popup closes
+    this.searchPort = null;
+    this.stopStream = null;
+    // the backend returns whatever stores finished within this budget
+    this.searchDeadlineMs = 45000;
+    this.currentQuery = '';
+    // formatting for the selected region; the currency select can override the region's own currency
+    this.locale = 'en-IN';
+    this.displayCurrency = 'INR';
+    this.watchedIds = new Set();
     this.initializeElements();
     this.bindEvents();
     this.loadSelectedText();
+    this.loadSearchSettings();
+    this.loadWatchlist();
+    this.loadSearchJob();
   }
 
   initializeElements() {
     this.productInput = document.getElementById('productInput');
     this.useSelectionBtn = document.getElementById('useSelection');
     this.searchBtn = document.getElementById('searchBtn');
+    this.regionSelect = document.getElementById('regionSelect');
+    this.currencySelect = document.getElementById('currencySelect');
+    this.includeAccessoriesInput = document.getElementById('includeAccessories');
+    this.includeSponsoredInput = document.getElementById('includeSponsored');
     this.loadingIndicator = document.getElementById('loadingIndicator');
     this.errorMessage = document.getElementById('errorMessage');
     this.resultsContainer = document.getElementById('resultsContainer');
     this.resultsList = document.getElementById('resultsList');
     this.resultCount = document.getElementById('resultCount');
+    this.streamStatus = document.getElementById('streamStatus');
+    this.siteNotices = document.getElementById('siteNotices');
+    this.cancelSearchBtns = document.querySelectorAll('.cancel-search');
     this.emptyState = document.getElementById('emptyState');
+    this.tabs = document.querySelectorAll('.tab');
+    this.watchlistCount = document.getElementById('watchlistCount');
+    this.watchlistItems = document.getElementById('watchlistItems');
+    this.watchlistEmpty = document.getElementById('watchlistEmpty');
+    this.checkWatchlistBtn = document.getElementById('checkWatchlistBtn');
+    this.detailView = document.getElementById('detailView');
+    this.detailContent = document.getElementById('detailContent');
+    this.detailBackBtn = document.getElementById('detailBackBtn');
+    this.apiKeyInput = document.getElementById('apiKeyInput');
+    this.saveSettingsBtn = document.getElementById('saveSettingsBtn');
+    this.settingsStatus = document.getElementById('settingsStatus');
   }
 
   bindEvents() {
     this.searchBtn.addEventListener('click', () => this.handleSearch());
+    this.cancelSearchBtns.forEach(btn => btn.addEventListener('click', () => this.cancelSearch()));
     this.useSelectionBtn.addEventListener('click', () => this.useSelectedText());
     this.productInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this.handleSearch();
     });
+    this.regionSelect.addEventListener('change', () => this.saveSearchSettings());
+    this.currencySelect.addEventListener('change', () => this.saveSearchSettings());
+    this.includeAccessoriesInput.addEventListener('change', () => this.saveSearchSettings());
+    this.includeSponsoredInput.addEventListener('change', () => this.saveSearchSettings());
+    this.tabs.forEach(tab => tab.addEventListener('click', () => this.showView(tab.dataset.view)));
+    this.checkWatchlistBtn.addEventListener('click', () => this.checkWatchlistNow());
+    this.detailBackBtn.addEventListener('click', () => this.showView('searchView'));
+    this.saveSettingsBtn.addEventListener('click', () => this.saveApiKey());
+  }
+
+  showView(viewId) {
+    this.tabs.forEach(tab => {
+      const active = tab.dataset.view === viewId;
+      tab.classList.toggle('active', active);
+      document.getElementById(tab.dataset.view).classList.toggle('hidden', !active);
+    });
+    this.detailView.classList.add('hidden');
+    if (viewId === 'watchlistView') this.loadWatchlist();
+    if (viewId === 'settingsView') this.loadApiKey();
+  }
+
+  // The key lives in chrome.storage.local `apiKey`; the background worker adds it to every backend request
+  loadApiKey() {
+    this.settingsStatus.textContent = '';
+    chrome.storage.local.get(['apiKey'], (result) => {
+      this.apiKeyInput.value = result?.apiKey || '';
+    });
+  }
+
+  saveApiKey() {
+    const apiKey = this.apiKeyInput.value.trim();
+    const done = () => { this.settingsStatus.textContent = 'Saved'; };
+    if (apiKey) chrome.storage.local.set({ apiKey }, done);
+    else chrome.storage.local.remove('apiKey', done);
+  }
+
+  loadSearchSettings() {
+    chrome.storage.local.get(['region', 'displayCurrency', 'includeAccessories', 'excludeSponsored'], (result) => {
+      if (result?.region) this.regionSelect.value = result.region;
+      if (result?.displayCurrency !== undefined) this.currencySelect.value = result.displayCurrency;
+      this.includeAccessoriesInput.checked = !!result?.includeAccessories;
+      this.includeSponsoredInput.checked = !result?.excludeSponsored;
+      this.applySearchSettings();
+    });
+  }
+
+  saveSearchSettings() {
+    this.applySearchSettings();
+    chrome.storage.local.set({
+      region: this.regionSelect.value,
+      displayCurrency: this.currencySelect.value,
+      includeAccessories: this.includeAccessoriesInput.checked,
+      excludeSponsored: !this.includeSponsoredInput.checked
+    });
+  }
+
+  applySearchSettings() {
+    const option = this.regionSelect.selectedOptions[0];
+    this.locale = option ? option.dataset.locale : 'en-IN';
+    this.displayCurrency = this.currencySelect.value || (option ? option.dataset.currency : 'INR');
   }
 
   async loadSelectedText() {
@@ -69,7 +162,7 @@ class PriceComparisonPopup {
     }
   }
 
-  async handleSearch() {
+  handleSearch() {
     const query = this.productInput.value.trim();
     if (!query) {
       this.showError('Please enter a product name');
@@ -77,27 +170,189 @@ class PriceComparisonPopup {
     }
 
     this.showLoading();
+    this.currentQuery = query;
 
-    try {
-      const response = await fetch(this.apiEndpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query })
-      });
+    const params = {
+      query,
+      deadlineMs: this.searchDeadlineMs,
+      region: this.regionSelect.value,
+      currency: this.displayCurrency,
+      // accessories and weak matches are hidden by the server unless this is set
+      includeAccessories: this.includeAccessoriesInput.checked,
+      // sponsored placements are kept (and badged) unless the user opts out
+      excludeSponsored: !this.includeSponsoredInput.checked
+    };
+    this.streamSearch(params);
+  }
+
+  // Cards are added as each store finishes (GET /api/compare-prices/stream); the final `done` event replaces them
+  // with the merged, sorted list. The search is announced to the background worker over a port: if the popup closes
+  // before the stream ends, the worker runs it on as a job (POST /api/searches) and the popup shows it next time.
+  async streamSearch(params) {
+    this.closeStream();
+    // EventSource cannot send headers, so the API key goes in the query string
+    const { apiKey } = await new Promise(resolve => chrome.storage.local.get(['apiKey'], resolve));
+    const url = new URL(this.streamEndpoint);
+    Object.entries(Object.assign({}, params, { apiKey })).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+    });
 
-      if (!response.ok) {
-        const text = await response.text().catch(() => '');
-        throw new Error(`HTTP ${response.status} ${text}`);
+    const source = new EventSource(url);
+    this.eventSource = source;
+    this.searchPort = chrome.runtime.connect({ name: 'searchStream' });
+    this.searchPort.postMessage({ params });
+    const received = [];
+    const sites = {};
+    const finish = (job) => {
+      this.closeStream();
+      // the finished search is kept as the last search job, shown again when the popup reopens
+      chrome.storage.local.set({ searchJob: Object.assign({ id: null, query: params.query, request: params }, job) });
+      this.renderSearchJob(Object.assign({ query: params.query }, job));
+    };
+    this.stopStream = () => finish({ status: 'cancelled', results: received });
+
+    source.addEventListener('site', (event) => {
+      const data = JSON.parse(event.data);
+      sites[data.site] = data;
+      if (Array.isArray(data.results) && data.results.length > 0) {
+        if (received.length === 0) this.showStreamingResults();
+        received.push(...data.results);
+        data.results.forEach(product => this.resultsList.appendChild(this.createProductElement(product)));
+        this.resultCount.textContent = `${received.length} result${received.length !== 1 ? 's' : ''}`;
       }
+      const done = Object.keys(sites).map(site => sites[site].platform || site);
+      this.streamStatus.querySelector('span').textContent = `Waiting for more stores… (${done.join(', ')} done)`;
+      this.showSiteNotices(sites);
+    });
 
-      const data = await response.json();
-      this.displayResults(data.results, query);
-    } catch (error) {
-      console.error('Search error:', error);
+    source.addEventListener('done', (event) => finish({ status: 'done', response: JSON.parse(event.data) }));
+
+    source.addEventListener('failed', (event) => {
+      console.error('Search error:', event.data);
+      finish({ status: 'failed', error: JSON.parse(event.data).message });
+    });
+
+    // connection-level failure (server down, 4xx); EventSource would otherwise keep reconnecting and search again
+    source.onerror = () => {
+      if (this.eventSource !== source) return;
+      if (received.length > 0) finish({ status: 'cancelled', results: received });
+      else finish({ status: 'failed', error: 'The search stream could not be opened' });
+    };
+  }
+
+  closeStream() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    if (this.searchPort) {
+      this.searchPort.postMessage({ finished: true });
+      this.searchPort.disconnect();
+      this.searchPort = null;
+    }
+    this.stopStream = null;
+    this.streamStatus.classList.add('hidden');
+  }
+
+  // Show the last search job, whatever state it is in (the popup may have been closed while it ran)
+  loadSearchJob() {
+    chrome.storage.local.get(['searchJob'], (result) => this.renderSearchJob(result?.searchJob, true));
+    chrome.storage.onChanged.addListener((changes, area) => {
+      // searches streamed here (no server job id) are already on screen
+      const job = changes.searchJob && changes.searchJob.newValue;
+      if (area === 'local' && job && job.id && !this.eventSource) this.renderSearchJob(job);
+    });
+  }
+
+  renderSearchJob(job, restoring = false) {
+    if (!job) return;
+    const query = job.query || '';
+    this.currentQuery = query;
+    if (restoring && !this.productInput.value) this.productInput.value = query;
+
+    if (job.status === 'queued' || job.status === 'running') {
+      const results = job.results || [];
+      if (results.length === 0) {
+        this.showLoading();
+        return;
+      }
+      this.showStreamingResults();
+      results.forEach(product => this.resultsList.appendChild(this.createProductElement(product)));
+      this.resultCount.textContent = `${results.length} result${results.length !== 1 ? 's' : ''}`;
+      const done = Object.keys(job.sites || {}).filter(site => !['pending', 'running'].includes(job.sites[site].status));
+      this.streamStatus.querySelector('span').textContent = `Waiting for more stores… (${done.join(', ')} done)`;
+      this.showSiteNotices(job.sites);
+      return;
+    }
+
+    this.streamStatus.classList.add('hidden');
+    if (job.status === 'done' && job.response) {
+      const data = job.response;
+      if (Array.isArray(data.clusters)) {
+        this.displayClusters(data.clusters, query, data.partial, data.sites);
+      } else {
+        this.displayResults(data.results, query, data.partial, data.sites);
+      }
+      if (data.hidden > 0 && !this.resultsContainer.classList.contains('hidden')) {
+        this.resultCount.textContent += ` · ${data.hidden} accessories/unrelated hidden`;
+      }
+    } else if (job.status === 'cancelled') {
+      if (job.results && job.results.length > 0) {
+        this.displayResults(job.results, query, true);
+      } else {
+        this.hideAllSections();
+        this.emptyState.classList.remove('hidden');
+      }
+    } else if (!restoring) {
+      console.error('Search error:', job.error);
       this.showError('Failed to fetch prices. Please check your connection and try again.');
     }
   }
 
+  // Stops the search on screen: this popup's stream, or the job the background worker carried on
+  cancelSearch() {
+    if (this.stopStream) this.stopStream();
+    else chrome.runtime.sendMessage({ action: 'cancelSearch' });
+  }
+
+  // Why a store is missing from the results: "Amazon blocked the request", "Myntra timed out", ...
+  siteNoticeText(site, state) {
+    const name = site.charAt(0).toUpperCase() + site.slice(1);
+    switch (state && state.status) {
+      case 'captcha': return `${name} blocked the request (captcha)`;
+      case 'blocked': return `${name} blocked the request`;
+      case 'timeout': return `${name} timed out`;
+      case 'empty': return `${name} has no results for this search`;
+      case 'selector-miss': return `${name} changed its page layout, so its results could not be read`;
+      case 'navigation-error': return `${name} could not be reached`;
+      case 'error': return `${name} failed`;
+      default: return null;
+    }
+  }
+
+  siteNoticeTexts(sites) {
+    return Object.keys(sites || {}).map(site => this.siteNoticeText(site, sites[site])).filter(Boolean);
+  }
+
+  showSiteNotices(sites) {
+    const notices = this.siteNoticeTexts(sites);
+    this.siteNotices.innerHTML = notices.map(text => `<li>${this.escapeHtml(text)}</li>`).join('');
+    this.siteNotices.classList.toggle('hidden', notices.length === 0);
+  }
+
+  // "No products found" plus which stores could not be searched
+  showNoResults(query, sites) {
+    const notices = this.siteNoticeTexts(sites);
+    this.showError(`No products found for "${query}". ${notices.length ? `${notices.join('. ')}.` : 'Try a different search term.'}`);
+  }
+
+  showStreamingResults() {
+    this.hideAllSections();
+    this.resultsList.innerHTML = '';
+    this.resultsContainer.classList.remove('hidden');
+    this.streamStatus.classList.remove('hidden');
+  }
+
   showLoading() {
     this.hideAllSections();
     this.loadingIndicator.classList.remove('hidden');
@@ -114,15 +369,15 @@ class PriceComparisonPopup {
     }, 6000);
   }
 
-  displayResults(results, query) {
+  displayResults(results, query, partial = false, sites = null) {
     this.hideAllSections();
 
     if (!results || results.length === 0) {
-      this.showError(`No products found for "${query}". Try a different search term.`);
+      this.showNoResults(query, sites);
       return;
     }
 
-    this.resultCount.textContent = `${results.length} result${results.length !== 1 ? 's' : ''}`;
+    this.resultCount.textContent = `${results.length} result${results.length !== 1 ? 's' : ''}${partial ? ' (some stores timed out)' : ''}`;
     this.resultsList.innerHTML = '';
 
     results.forEach(product => {
@@ -130,36 +385,229 @@ class PriceComparisonPopup {
       this.resultsList.appendChild(productElement);
     });
 
+    this.showSiteNotices(sites);
+    this.resultsContainer.classList.remove('hidden');
+  }
+
+  // Grouped view: one card per product with every store's offer, cheapest first
+  displayClusters(clusters, query, partial = false, sites = null) {
+    this.hideAllSections();
+
+    if (!clusters || clusters.length === 0) {
+      this.showNoResults(query, sites);
+      return;
+    }
+
+    const offers = clusters.reduce((n, c) => n + c.offers.length, 0);
+    this.resultCount.textContent = `${clusters.length} product${clusters.length !== 1 ? 's' : ''} · ${offers} offer${offers !== 1 ? 's' : ''}${partial ? ' (some stores timed out)' : ''}`;
+    this.resultsList.innerHTML = '';
+
+    clusters.forEach(cluster => {
+      const element = cluster.offers.length > 1
+        ? this.createClusterElement(cluster)
+        : this.createProductElement(cluster.cheapest);
+      this.resultsList.appendChild(element);
+    });
+
+    this.showSiteNotices(sites);
     this.resultsContainer.classList.remove('hidden');
   }
 
+  createClusterElement(cluster) {
+    const div = document.createElement('div');
+    div.className = 'product-item cluster-item';
+
+    const cheapest = cluster.cheapest;
+    const spread = cluster.priceSpread || {};
+    const savings = spread.difference > 0
+      ? `Save ${this.formatPrice(spread.difference, cheapest.currency)} (${spread.percent}%) vs. highest`
+      : 'Same price everywhere';
+
+    div.innerHTML = `
+      <div class="product-header">
+        <div class="product-info">
+          <div class="product-name">${this.escapeHtml(cluster.title)}</div>
+          <div class="cluster-meta">${cluster.platforms.length} stores · ${this.escapeHtml(savings)}</div>
+        </div>
+      </div>
+      <div class="product-details">
+        <div class="product-price">${this.formatProductPrice(cheapest)}</div>
+        <div class="product-platform">Cheapest on ${this.escapeHtml(cheapest.platform || '')}</div>
+      </div>
+      <div class="offer-list"></div>
+    `;
+
+    const list = div.querySelector('.offer-list');
+    cluster.offers.forEach(offer => {
+      const row = document.createElement('div');
+      row.className = 'offer-row';
+      row.innerHTML = `
+        <span class="offer-platform">${this.escapeHtml(offer.platform || '')}${this.sponsoredBadge(offer)}</span>
+        <span class="offer-price">${this.formatProductPrice(offer)}</span>
+        <button class="watch-button">👁</button>
+        <button class="offer-button">Go</button>
+      `;
+      this.bindWatchButton(row.querySelector('.watch-button'), offer);
+      row.querySelector('.offer-button').addEventListener('click', () => {
+        if (offer.link) {
+          chrome.runtime.sendMessage({ action: 'openProductPage', url: offer.link });
+        } else {
+          this.showError('Product link is missing or invalid.');
+        }
+      });
+      list.appendChild(row);
+    });
+
+    return div;
+  }
+
+  bindWatchButton(button, product) {
+    if (!product.id) {
+      button.remove();
+      return;
+    }
+    const markWatching = () => {
+      button.classList.add('watching');
+      button.textContent = button.textContent.includes('Watch') ? '👁 Watching' : '✓';
+      button.title = 'On your watchlist';
+    };
+    if (this.watchedIds.has(product.id)) markWatching();
+    button.title = button.title || 'Notify me when the price drops';
+
+    button.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      if (this.watchedIds.has(product.id)) return;
+      // target starts at the current price; edit it in the Watchlist tab
+      const response = await chrome.runtime.sendMessage({ action: 'addToWatchlist', product, query: this.currentQuery });
+      if (response && response.ok) {
+        this.renderWatchlist(response.watchlist);
+        markWatching();
+      } else {
+        this.showError('Could not add this item to the watchlist.');
+      }
+    });
+  }
+
+  async loadWatchlist() {
+    const response = await chrome.runtime.sendMessage({ action: 'getWatchlist' });
+    this.renderWatchlist((response && response.watchlist) || []);
+  }
+
+  async checkWatchlistNow() {
+    this.checkWatchlistBtn.disabled = true;
+    this.checkWatchlistBtn.textContent = 'Checking…';
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'checkWatchlistNow' });
+      if (response && response.watchlist) this.renderWatchlist(response.watchlist);
+      if (response && !response.ok) this.watchlistEmpty.querySelector('p').textContent = `Check failed: ${response.error}`;
+    } finally {
+      this.checkWatchlistBtn.disabled = false;
+      this.checkWatchlistBtn.textContent = 'Check now';
+    }
+  }
+
+  renderWatchlist(watchlist) {
+    this.watchedIds = new Set(watchlist.map(w => w.id));
+    this.watchlistCount.textContent = watchlist.length ? `(${watchlist.length})` : '';
+    this.watchlistItems.innerHTML = '';
+    this.watchlistEmpty.classList.toggle('hidden', watchlist.length > 0);
+
+    watchlist.forEach(item => {
+      const div = document.createElement('div');
+      div.className = 'product-item watch-item';
+      const belowTarget = item.inStock && item.lastPrice < item.targetPrice;
+      const checked = item.lastCheckedAt ? new Date(item.lastCheckedAt).toLocaleString() : 'never';
+      const status = item.inStock
+        ? `Now ${this.formatPrice(item.lastPrice, item.currency || 'INR')}${belowTarget ? ' — below your target!' : ''}`
+        : 'Not found in the latest search (may be out of stock)';
+
+      div.innerHTML = `
+        <div class="product-header">
+          <div class="product-info">
+            <div class="product-platform">${this.escapeHtml(item.platform || '')}</div>
+            <div class="product-name">${this.escapeHtml(item.name)}</div>
+          </div>
+        </div>
+        <div class="watch-status${belowTarget ? ' below-target' : ''}">${this.escapeHtml(status)} · checked ${this.escapeHtml(checked)}</div>
+        <div class="watch-target">
+          <label>Notify below (${this.escapeHtml(item.currency || 'INR')})</label>
+          <input type="number" min="1" step="1" value="${Number(item.targetPrice) || ''}">
+          <button class="secondary-button remove-watch">Remove</button>
+        </div>
+      `;
+
+      div.querySelector('.product-header').addEventListener('click', () => {
+        if (item.link) chrome.runtime.sendMessage({ action: 'openProductPage', url: item.link });
+      });
+      div.querySelector('input').addEventListener('change', async (event) => {
+        const targetPrice = parseFloat(event.target.value);
+        if (!Number.isFinite(targetPrice) || targetPrice <= 0) return;
+        await chrome.runtime.sendMessage({ action: 'updateWatchlistItem', id: item.id, changes: { targetPrice } });
+      });
+      div.querySelector('.remove-watch').addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ action: 'removeFromWatchlist', id: item.id });
+        if (response && response.watchlist) this.renderWatchlist(response.watchlist);
+      });
+
+      this.watchlistItems.appendChild(div);
+    });
+  }
+
+  formatPrice(price, currency = this.displayCurrency) {
+    return (price || price === 0)
+      ? new Intl.NumberFormat(this.locale, { style: 'currency', currency: currency || this.displayCurrency }).format(price)
+      : 'N/A';
+  }
+
+  // Converted price when the backend supplied one, else the store's own price and currency
+  formatProductPrice(product) {
+    return product.displayPrice != null
+      ? this.formatPrice(product.displayPrice, product.displayCurrency)
+      : this.formatPrice(product.price, product.currency);
+  }
+
+  // Ad placements the store mixed into its results
+  sponsoredBadge(product) {
+    return product.sponsored ? ' <span class="sponsored-badge" title="Paid placement on this store">Sponsored</span>' : '';
+  }
+
   createProductElement(product) {
     const div = document.createElement('div');
     div.className = 'product-item';
 
     const rating = product.rating ? parseFloat(product.rating) : 0;
     const ratingStars = this.generateStars(rating);
-    const priceText = (product.price || product.price === 0)
-      ? new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(product.price)
-      : 'N/A';
+    const priceText = this.formatProductPrice(product);
 
     div.innerHTML = `
       <div class="product-header">
         <div class="product-info">
-          <div class="product-platform">${this.escapeHtml(product.platform || '')}</div>
+          <div class="product-platform">${this.escapeHtml(product.platform || '')}${this.sponsoredBadge(product)}</div>
           <div class="product-name">${this.escapeHtml(product.name)}</div>
         </div>
       </div>
       <div class="product-details">
-        <div class="product-price">${priceText}</div>
+        <div class="product-price">${priceText}${product.mrp ? ` <span class="detail-mrp"><s>${this.formatPrice(product.mrp, product.currency)}</s> ${product.discountPercent}% off</span>` : ''}</div>
         <div class="product-rating">
           <span class="rating-stars">${ratingStars}</span>
           <span>${rating > 0 ? rating.toFixed(1) : 'N/A'}</span>
         </div>
       </div>
-      <button class="buy-button">🛒 Go to ${this.escapeHtml(product.platform || 'site')}</button>
+      <div class="product-actions">
+        <button class="buy-button">🛒 Go to ${this.escapeHtml(product.platform || 'site')}</button>
+        <button class="watch-button">👁 Watch</button>
+        <button class="details-button" title="Seller, delivery, specs and more">ⓘ</button>
+      </div>
     `;
 
+    this.bindWatchButton(div.querySelector('.watch-button'), product);
+    const detailsBtn = div.querySelector('.details-button');
+    if (product.link) {
+      detailsBtn.addEventListener('click', () => this.showProductDetail(product));
+    } else {
+      detailsBtn.remove();
+    }
+
     // attach click handler to open product page via background script
     const buyBtn = div.querySelector('.buy-button');
     buyBtn.addEventListener('click', () => {
@@ -180,6 +628,53 @@ class PriceComparisonPopup {
     return div;
   }
 
+  // Detail view: fetches the listing's own product page, replacing the search view until "Back"
+  async showProductDetail(product) {
+    document.querySelectorAll('.view').forEach(view => view.classList.toggle('hidden', view !== this.detailView));
+    this.detailContent.innerHTML = '<div class="loading"><div class="spinner"></div><p>Loading product details...</p></div>';
+
+    try {
+      // the background worker makes the request so the API key is sent the same way as for searches
+      const response = await chrome.runtime.sendMessage({ action: 'getProductDetail', url: product.link });
+      if (!response || !response.ok) throw new Error((response && response.error) || 'Could not load product details.');
+      this.renderProductDetail(response.product);
+    } catch (error) {
+      console.error('Product detail error:', error);
+      this.detailContent.innerHTML = `<div class="error"><p>${this.escapeHtml(error.message || 'Could not load product details.')}</p></div>`;
+    }
+  }
+
+  renderProductDetail(detail) {
+    const facts = [
+      ['Seller', detail.seller],
+      ['Availability', detail.availability || (detail.inStock ? 'In stock' : 'Out of stock')],
+      ['Delivery', detail.delivery],
+      ['Ratings', detail.rating ? `${detail.rating.toFixed(1)} ★${detail.ratingCount ? ` (${detail.ratingCount.toLocaleString(this.locale)})` : ''}` : null]
+    ].filter(([, value]) => value);
+    const specs = Object.entries(detail.specs || {}).slice(0, 12);
+    const images = (detail.images || []).slice(0, 4);
+
+    this.detailContent.innerHTML = `
+      <div class="product-item detail-item">
+        <div class="product-platform">${this.escapeHtml(detail.platform || '')}${detail.brand ? ` · ${this.escapeHtml(detail.brand)}` : ''}</div>
+        <div class="product-name">${this.escapeHtml(detail.title)}</div>
+        ${images.length ? `<div class="detail-images">${images.map(src => `<img src="${this.escapeHtml(src)}" alt="">`).join('')}</div>` : ''}
+        <div class="product-details">
+          <div class="product-price">${this.formatPrice(detail.price, detail.currency)}</div>
+          ${detail.mrp && detail.mrp > detail.price ? `<div class="detail-mrp"><s>${this.formatPrice(detail.mrp, detail.currency)}</s>${detail.discountPercent ? ` ${detail.discountPercent}% off` : ''}</div>` : ''}
+        </div>
+        <dl class="detail-facts">
+          ${facts.map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(value)}</dd>`).join('')}
+        </dl>
+        ${specs.length ? `<h4>Specifications</h4><dl class="detail-facts">${specs.map(([key, value]) => `<dt>${this.escapeHtml(key)}</dt><dd>${this.escapeHtml(value)}</dd>`).join('')}</dl>` : ''}
+        <button class="buy-button">🛒 Go to ${this.escapeHtml(detail.platform || 'site')}</button>
+      </div>
+    `;
+    this.detailContent.querySelector('.buy-button').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openProductPage', url: detail.url });
+    });
+  }
+
   escapeHtml(str) {
     if (!str) return '';
     return String(str)